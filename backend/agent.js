@@ -0,0 +1,128 @@
+import 'dotenv/config';
+import axios from 'axios';
+import MonitorService from './services/monitorService.js';
+import logger from './utils/logger.js';
+
+/**
+ * Probe agent
+ * Runs the checks of the monitors assigned to this agent from the network it
+ * is started in: leases due checks from the server, runs them with the same
+ * MonitorService logic as the server and posts the results back. Needs no
+ * database; create the agent in the dashboard to get its token.
+ *
+ * Environment: SERVER_URL, AGENT_TOKEN, AGENT_CONCURRENCY (default 5),
+ * AGENT_POLL_INTERVAL (milliseconds, default 5000)
+ */
+
+const SERVER_URL = process.env.SERVER_URL || 'http://localhost:5000';
+const AGENT_TOKEN = process.env.AGENT_TOKEN;
+const CONCURRENCY = parseInt(process.env.AGENT_CONCURRENCY) || 5;
+const POLL_INTERVAL_MS = parseInt(process.env.AGENT_POLL_INTERVAL) || 5000;
+
+const api = axios.create({
+  baseURL: `${SERVER_URL.replace(/\/$/, '')}/api/probe`,
+  headers: { Authorization: `Bearer ${AGENT_TOKEN}` },
+  timeout: 30000,
+});
+
+let activeChecks = 0;
+let isStopping = false;
+
+/**
+ * Run a leased check and report its result
+ * @param {Object} lease - { leaseId, isRetry, monitor, variables }
+ */
+async function runLease({ leaseId, isRetry, monitor, variables }) {
+  let result;
+  try {
+    result = await MonitorService.runCheck(monitor, { isRetry, variables });
+  } catch (error) {
+    // Configuration errors (e.g. a missing URL) are reported as failed checks
+    result = {
+      status: 'failure',
+      latency: 0,
+      errorMessage: error.message,
+      validationErrors: [error.message],
+      isRetry,
+      checkedAt: new Date(),
+    };
+  }
+
+  const { data } = await api.post('/results', {
+    results: [{ leaseId, result }],
+  });
+  for (const rejected of data.rejected) {
+    logger.warn(`Result for ${monitor.name} was rejected: ${rejected.message}`);
+  }
+}
+
+/**
+ * Lease as many due checks as there are free slots and start them
+ */
+async function poll() {
+  const free = CONCURRENCY - activeChecks;
+  if (free <= 0) {
+    return;
+  }
+
+  const { data } = await api.post('/lease', { limit: free });
+
+  for (const lease of data.checks) {
+    activeChecks++;
+    runLease(lease)
+      .catch((error) =>
+        logger.error(
+          `Failed to report check of ${lease.monitor.name}:`,
+          error.response?.data?.message || error.message,
+        ),
+      )
+      .finally(() => activeChecks--);
+  }
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {Number} ms
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function main() {
+  if (!AGENT_TOKEN) {
+    console.error('AGENT_TOKEN is not set');
+    process.exit(1);
+  }
+
+  logger.info(
+    `Probe agent started (server: ${SERVER_URL}, concurrency: ${CONCURRENCY})`,
+  );
+
+  // Polling also tells the server the agent is online
+  while (!isStopping) {
+    try {
+      await poll();
+    } catch (error) {
+      logger.error(
+        'Failed to lease checks:',
+        error.response?.data?.message || error.message,
+      );
+    }
+    await sleep(POLL_INTERVAL_MS);
+  }
+
+  // Running checks still report their results before the agent exits
+  while (activeChecks > 0) {
+    await sleep(100);
+  }
+  process.exit(0);
+}
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    logger.info(`${signal} received, stopping probe agent...`);
+    isStopping = true;
+  });
+}
+
+main();
@@ -0,0 +1,239 @@
+import { AgentRepository } from '../repositories/index.js';
+import AgentService from '../services/agentService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Find an agent of the current user
+ * Sends the error response when the ID is invalid or the agent is not found
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @returns {Object|null} Agent, or null when a response was sent
+ */
+async function findOwnAgent(req, res) {
+  const id = parseInt(req.params.id);
+  if (isNaN(id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid agent ID',
+    });
+    return null;
+  }
+
+  const agent = await AgentRepository.findById(id);
+
+  if (!agent) {
+    res.status(404).json({
+      success: false,
+      message: 'Agent not found',
+    });
+    return null;
+  }
+
+  // Verify agent belongs to current user
+  if (agent.userId !== req.user.id) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied',
+    });
+    return null;
+  }
+
+  return agent;
+}
+
+export async function getAgents(req, res) {
+  try {
+    const agents = await AgentRepository.findByUserId(req.user.id);
+
+    res.json({
+      success: true,
+      agents: agents.map((agent) => AgentService.toAgentResponse(agent)),
+    });
+  } catch (error) {
+    logger.error('Error fetching agents', {
+      type: 'agent',
+      action: 'fetch_all',
+      userId: req.user.id,
+      error: {
+        name: error.name,
+        message: error.message,
+      },
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch agents',
+    });
+  }
+}
+
+export async function createAgent(req, res) {
+  try {
+    const { name, location, enabled } = req.body;
+
+    try {
+      AgentService.validateConfig({ name, location });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    // The token is only returned here; the database keeps its hash
+    const token = AgentService.generateToken();
+    const agent = await AgentRepository.create({
+      userId: req.user.id,
+      name: name.trim(),
+      location: location.trim(),
+      tokenHash: AgentService.hashToken(token),
+      enabled: enabled !== undefined ? Boolean(enabled) : true,
+    });
+
+    res.status(201).json({
+      success: true,
+      agent: AgentService.toAgentResponse(agent),
+      token,
+      message: 'Agent created successfully',
+    });
+  } catch (error) {
+    logger.error('Error creating agent', {
+      type: 'agent',
+      action: 'create',
+      userId: req.user.id,
+      error: {
+        name: error.name,
+        message: error.message,
+      },
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create agent',
+    });
+  }
+}
+
+export async function updateAgent(req, res) {
+  try {
+    const agent = await findOwnAgent(req, res);
+    if (!agent) {
+      return;
+    }
+
+    const { name, location, enabled } = req.body;
+
+    try {
+      AgentService.validateConfig({
+        name: name ?? agent.name,
+        location: location ?? agent.location,
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    const updates = {};
+    if (name !== undefined) {
+      updates.name = name.trim();
+    }
+    if (location !== undefined) {
+      updates.location = location.trim();
+    }
+    if (enabled !== undefined) {
+      updates.enabled = Boolean(enabled);
+    }
+
+    const updatedAgent = await AgentRepository.updateById(agent.id, updates);
+
+    res.json({
+      success: true,
+      agent: AgentService.toAgentResponse(updatedAgent),
+      message: 'Agent updated successfully',
+    });
+  } catch (error) {
+    logger.error('Error updating agent', {
+      type: 'agent',
+      action: 'update',
+      userId: req.user.id,
+      agentId: req.params.id,
+      error: {
+        name: error.name,
+        message: error.message,
+      },
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update agent',
+    });
+  }
+}
+
+export async function regenerateAgentToken(req, res) {
+  try {
+    const agent = await findOwnAgent(req, res);
+    if (!agent) {
+      return;
+    }
+
+    // The old token stops working immediately
+    const token = AgentService.generateToken();
+    const updatedAgent = await AgentRepository.updateById(agent.id, {
+      tokenHash: AgentService.hashToken(token),
+    });
+
+    res.json({
+      success: true,
+      agent: AgentService.toAgentResponse(updatedAgent),
+      token,
+      message: 'Agent token regenerated',
+    });
+  } catch (error) {
+    logger.error('Error regenerating agent token', {
+      type: 'agent',
+      action: 'regenerate_token',
+      userId: req.user.id,
+      agentId: req.params.id,
+      error: {
+        name: error.name,
+        message: error.message,
+      },
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to regenerate agent token',
+    });
+  }
+}
+
+export async function deleteAgent(req, res) {
+  try {
+    const agent = await findOwnAgent(req, res);
+    if (!agent) {
+      return;
+    }
+
+    // Monitors that only ran on this agent go back to the server
+    await AgentRepository.deleteById(agent.id);
+
+    res.json({
+      success: true,
+      message: 'Agent deleted successfully',
+    });
+  } catch (error) {
+    logger.error('Error deleting agent', {
+      type: 'agent',
+      action: 'delete',
+      userId: req.user.id,
+      agentId: req.params.id,
+      error: {
+        name: error.name,
+        message: error.message,
+      },
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete agent',
+    });
+  }
+}
@@ -172,6 +172,7 @@ export async function login(req, res) {
         id: user.id,
         username: user.username,
         email: user.email,
+        role: user.role,
       },
     });
   } catch (error) {
@@ -199,6 +200,7 @@ export async function getCurrentUser(req, res) {
         id: req.user.id,
         username: req.user.username,
         email: req.user.email,
+        role: req.user.role,
       },
     });
   } catch (error) {
@@ -249,6 +251,7 @@ export async function refreshToken(req, res) {
         id: user.id,
         username: user.username,
         email: user.email,
+        role: user.role,
       },
     });
   } catch (error) {
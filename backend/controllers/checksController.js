@@ -1,11 +1,19 @@
-import { count } from 'drizzle-orm';
+import { count, getTableColumns } from 'drizzle-orm';
 import { getDb, schema } from '../db/index.js';
 import MonitorService from '../services/monitorService.js';
-import { MonitorRepository } from '../repositories/index.js';
+import {
+  MonitorRepository,
+  CheckResultRepository,
+} from '../repositories/index.js';
+import ChangeDetectionService from '../services/changeDetectionService.js';
 import logger from '../utils/logger.js';
 
 const { checkResults } = schema;
 
+// Content snapshots are only returned by the diff endpoint
+const { contentSnapshot: _contentSnapshot, ...checkColumns } =
+  getTableColumns(checkResults);
+
 export async function getMonitorChecks(req, res) {
   try {
     const monitorId = parseInt(req.params.monitorId);
@@ -38,7 +46,7 @@ export async function getMonitorChecks(req, res) {
     const { eq, desc } = await import('drizzle-orm');
 
     const checks = await db
-      .select()
+      .select(checkColumns)
       .from(checkResults)
       .where(eq(checkResults.monitorId, monitorId))
       .orderBy(desc(checkResults.checkedAt))
@@ -178,6 +186,7 @@ export async function getMonitorChart(req, res) {
       latency: check.latency,
       status: check.status,
       httpStatus: check.httpStatus,
+      timings: check.timings,
     }));
 
     res.json({
@@ -201,3 +210,83 @@ export async function getMonitorChart(req, res) {
     });
   }
 }
+
+export async function getCheckDiff(req, res) {
+  try {
+    const monitorId = parseInt(req.params.monitorId);
+    const fromId = parseInt(req.query.from);
+    const toId = parseInt(req.query.to);
+    if (isNaN(monitorId) || isNaN(fromId) || isNaN(toId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Monitor ID and the from/to check IDs are required',
+      });
+    }
+
+    // Verify monitor belongs to current user
+    const monitor = await MonitorRepository.findById(monitorId);
+    if (!monitor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Monitor not found',
+      });
+    }
+    if (monitor.userId !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
+    }
+
+    const checks = await Promise.all([
+      CheckResultRepository.findById(fromId),
+      CheckResultRepository.findById(toId),
+    ]);
+    if (checks.some((check) => !check || check.monitorId !== monitorId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Check not found',
+      });
+    }
+    if (checks.some((check) => !check.contentHash)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Both checks need content recorded by change detection',
+      });
+    }
+
+    const [from, to] = checks;
+    const [fromContent, toContent] = await Promise.all(
+      checks.map((check) => CheckResultRepository.findSnapshotForCheck(check)),
+    );
+
+    res.json({
+      success: true,
+      diff: {
+        from: {
+          id: from.id,
+          checkedAt: from.checkedAt,
+          hash: from.contentHash,
+        },
+        to: { id: to.id, checkedAt: to.checkedAt, hash: to.contentHash },
+        changed: from.contentHash !== to.contentHash,
+        ...ChangeDetectionService.diff(fromContent, toContent),
+      },
+    });
+  } catch (error) {
+    logger.error('Error computing check diff', {
+      type: 'check',
+      action: 'diff',
+      monitorId: req.params.monitorId,
+      userId: req.user.id,
+      error: {
+        name: error.name,
+        message: error.message,
+      },
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to compute check diff',
+    });
+  }
+}
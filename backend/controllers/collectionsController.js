@@ -1,7 +1,23 @@
 import CollectionRepository from '../repositories/CollectionRepository.js';
 import { MonitorRepository } from '../repositories/MonitorRepository.js';
+import { MonitorAgentRepository } from '../repositories/MonitorAgentRepository.js';
+import AuthService from '../services/authService.js';
+import ConnectionService from '../services/connectionService.js';
 import MonitorService from '../services/monitorService.js';
 
+/**
+ * Mask the auth and connection secrets of a monitor for a response
+ * @param {Object} monitor
+ * @returns {Object}
+ */
+function redactMonitor(monitor) {
+  return {
+    ...monitor,
+    authConfig: AuthService.redact(monitor.authConfig),
+    connectionConfig: ConnectionService.redact(monitor.connectionConfig),
+  };
+}
+
 /**
  * Collections Controller - handles HTTP requests for collections
  */
@@ -260,7 +276,7 @@ class CollectionsController {
 
       // Add uptime percentage to each monitor
       const monitorsWithStats = monitors.map((monitor) => ({
-        ...monitor,
+        ...redactMonitor(monitor),
         uptimePercentage: MonitorRepository.calculateUptimePercentage(monitor),
       }));
 
@@ -320,12 +336,18 @@ class CollectionsController {
 
       // Trigger checks for all monitors in parallel
       // Don't await - return response immediately and checks run in background
-      const checkPromises = monitors.map((monitor) =>
-        MonitorService.executeCheck(monitor).catch((error) => {
+      // Monitors on probe agents run on the agents at their next poll
+      const checkPromises = monitors.map(async (monitor) => {
+        try {
+          if ((await MonitorAgentRepository.requestCheck(monitor.id)) > 0) {
+            return null;
+          }
+          return await MonitorService.executeCheck(monitor);
+        } catch (error) {
           console.error(`Error checking monitor ${monitor.id}:`, error);
           return { error: true, monitorId: monitor.id };
-        }),
-      );
+        }
+      });
 
       // Start checks in background
       Promise.all(checkPromises).then(() => {
@@ -410,7 +432,7 @@ class CollectionsController {
 
       res.json({
         success: true,
-        data: updated,
+        data: redactMonitor(updated),
         message: 'Monitor added to collection',
       });
     } catch (error) {
@@ -475,7 +497,7 @@ class CollectionsController {
 
       res.json({
         success: true,
-        data: updated,
+        data: redactMonitor(updated),
         message: 'Monitor removed from collection',
       });
     } catch (error) {
@@ -13,6 +13,7 @@ export async function getDashboardSummary(req, res) {
     const totalMonitors = monitors.length;
     const upMonitors = monitors.filter(m => m.status === 'up').length;
     const downMonitors = monitors.filter(m => m.status === 'down').length;
+    const degradedMonitors = monitors.filter(m => m.status === 'degraded').length;
     const enabledMonitors = monitors.filter(m => m.enabled).length;
 
     const since = new Date();
@@ -44,6 +45,7 @@ export async function getDashboardSummary(req, res) {
         totalMonitors,
         upMonitors,
         downMonitors,
+        degradedMonitors,
         enabledMonitors,
         last24Hours: {
           totalChecks,
@@ -0,0 +1,73 @@
+import { MonitorRepository } from '../repositories/index.js';
+import MonitorService from '../services/monitorService.js';
+import { HEARTBEAT_SIGNALS } from '../services/heartbeatService.js';
+import logger from '../utils/logger.js';
+
+export async function receiveHeartbeat(req, res) {
+  try {
+    const { token } = req.params;
+    const signal = req.params.signal || 'ping';
+
+    if (!HEARTBEAT_SIGNALS.includes(signal)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown heartbeat signal',
+      });
+    }
+
+    const monitor = await MonitorRepository.findByHeartbeatToken(token);
+
+    if (!monitor || monitor.type !== 'heartbeat') {
+      return res.status(404).json({
+        success: false,
+        message: 'Heartbeat not found',
+      });
+    }
+
+    if (!monitor.enabled) {
+      return res.json({
+        success: true,
+        message: 'Monitor is disabled, heartbeat ignored',
+      });
+    }
+
+    // Jobs may post their output; JSON bodies arrive already parsed
+    let body = null;
+    if (typeof req.body === 'string') {
+      body = req.body;
+    } else if (req.body && Object.keys(req.body).length > 0) {
+      body = JSON.stringify(req.body);
+    }
+
+    await MonitorService.recordHeartbeat(monitor, signal, {
+      body,
+      sourceIp: req.ip,
+      userAgent: req.get('user-agent') || null,
+    });
+
+    logger.debug('Heartbeat received', {
+      type: 'monitor',
+      action: 'heartbeat',
+      monitorId: monitor.id,
+      signal,
+    });
+
+    res.json({
+      success: true,
+      message: 'Heartbeat received',
+    });
+  } catch (error) {
+    logger.error('Error receiving heartbeat', {
+      type: 'monitor',
+      action: 'heartbeat',
+      error: {
+        name: error.name,
+        message: error.message,
+      },
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record heartbeat',
+    });
+  }
+}
@@ -23,9 +23,12 @@ export async function getLogs(req, res) {
         httpStatus: checkResults.httpStatus,
         latency: checkResults.latency,
         errorMessage: checkResults.errorMessage,
+        errorCode: checkResults.errorCode,
         validationErrors: checkResults.validationErrors,
         responseData: checkResults.responseData,
         responseMetadata: checkResults.responseMetadata,
+        timings: checkResults.timings,
+        isRetry: checkResults.isRetry,
         checkedAt: checkResults.checkedAt,
       })
       .from(checkResults)
@@ -1,15 +1,353 @@
-import { MonitorRepository } from '../repositories/index.js';
+import {
+  MonitorRepository,
+  AgentRepository,
+  MonitorAgentRepository,
+} from '../repositories/index.js';
 import SchedulerService from '../services/schedulerService.js';
+import AgentService from '../services/agentService.js';
+import TcpCheckService from '../services/tcpCheckService.js';
+import DnsCheckService from '../services/dnsCheckService.js';
+import HeartbeatService from '../services/heartbeatService.js';
+import TransactionService from '../services/transactionService.js';
+import ConnectionService from '../services/connectionService.js';
+import AuthService from '../services/authService.js';
+import ChangeDetectionService from '../services/changeDetectionService.js';
+import { ResponseValidator } from '../utils/validator.js';
+import {
+  parseCron,
+  getNextRun,
+  getNextRuns,
+  validateTimezone,
+} from '../utils/cron.js';
 import logger from '../utils/logger.js';
 
+const MONITOR_TYPES = ['http', 'tcp', 'dns', 'heartbeat', 'transaction'];
+
+// Types that do not need a URL of their own
+const URL_OPTIONAL_TYPES = ['heartbeat', 'transaction'];
+
+// Upper bound for typeConfig.maxRedirects of HTTP monitors
+const MAX_REDIRECTS = 20;
+
+// Bounds for the per-monitor request timeout and response size limit
+const MIN_TIMEOUT_MS = 100;
+const MAX_TIMEOUT_MS = 120000;
+const MAX_RESPONSE_BYTES = 50 * 1024 * 1024;
+
+// Check interval bounds and the default for new monitors
+const MIN_CHECK_INTERVAL_SECONDS = 10;
+const MAX_CHECK_INTERVAL_SECONDS = 7 * 24 * 60 * 60;
+const DEFAULT_CHECK_INTERVAL_SECONDS = 30 * 60;
+
+// Upcoming runs returned by the schedule preview
+const SCHEDULE_PREVIEW_RUNS = 5;
+
+// Probe agents a single monitor can run on
+const MAX_AGENTS_PER_MONITOR = 20;
+
+// Limits for confirmation retries of failed checks
+const MAX_RETRIES_BEFORE_DOWN = 10;
+const MAX_RETRY_INTERVAL_SECONDS = 600;
+
+const HTTP_METHODS = [
+  'GET',
+  'POST',
+  'PUT',
+  'PATCH',
+  'DELETE',
+  'HEAD',
+  'OPTIONS',
+];
+
+/**
+ * Validate the monitor type, its target and type-specific configuration
+ * @param {String} type - Monitor type
+ * @param {String} url - Request URL (http), host:port (tcp), hostname (dns)
+ *   or empty (heartbeat, transaction)
+ * @param {Object} typeConfig - Type-specific configuration
+ * @returns {String|null} Error message or null if valid
+ */
+function validateTarget(type, url, typeConfig) {
+  if (!MONITOR_TYPES.includes(type)) {
+    return `Type must be one of: ${MONITOR_TYPES.join(', ')}`;
+  }
+
+  if (
+    typeConfig !== undefined &&
+    (typeof typeConfig !== 'object' || Array.isArray(typeConfig))
+  ) {
+    return 'Type configuration must be an object';
+  }
+
+  try {
+    if (type === 'http') {
+      ChangeDetectionService.validateConfig(typeConfig?.changeDetection);
+      return validateRedirectOptions(typeConfig || {});
+    } else if (type === 'tcp') {
+      TcpCheckService.parseTarget(url);
+    } else if (type === 'dns') {
+      DnsCheckService.validateConfig(url, typeConfig || {});
+    } else if (type === 'heartbeat') {
+      HeartbeatService.validateConfig(typeConfig || {});
+    } else if (type === 'transaction') {
+      TransactionService.validateConfig(typeConfig || {});
+      for (const [index, step] of typeConfig.steps.entries()) {
+        const stepError =
+          validateRequestOptions(step) || validateRules(step.validationRules);
+        if (stepError) {
+          return `Step ${index + 1}: ${stepError}`;
+        }
+      }
+    }
+  } catch (error) {
+    return error.message;
+  }
+
+  return null;
+}
+
+/**
+ * Validate the HTTP request options of a monitor
+ * @param {Object} options - { method, headers, body }
+ * @returns {String|null} Error message or null if valid
+ */
+function validateRequestOptions({ method, headers, body }) {
+  if (
+    method !== undefined &&
+    (typeof method !== 'string' || !HTTP_METHODS.includes(method.toUpperCase()))
+  ) {
+    return `Method must be one of: ${HTTP_METHODS.join(', ')}`;
+  }
+
+  if (headers !== undefined && headers !== null) {
+    if (typeof headers !== 'object' || Array.isArray(headers)) {
+      return 'Headers must be an object of header names to values';
+    }
+    for (const [name, value] of Object.entries(headers)) {
+      if (!/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(name)) {
+        return `Invalid header name: ${name}`;
+      }
+      if (typeof value !== 'string') {
+        return `Header value for ${name} must be a string`;
+      }
+    }
+  }
+
+  if (body !== undefined && body !== null && typeof body !== 'string') {
+    return 'Body must be a string';
+  }
+
+  return null;
+}
+
+/**
+ * Validate the redirect policy of an HTTP monitor
+ * @param {Object} typeConfig - { followRedirects, maxRedirects }
+ * @returns {String|null} Error message or null if valid
+ */
+function validateRedirectOptions({ followRedirects, maxRedirects }) {
+  if (followRedirects !== undefined && typeof followRedirects !== 'boolean') {
+    return 'followRedirects must be a boolean';
+  }
+
+  if (
+    maxRedirects !== undefined &&
+    (!Number.isInteger(maxRedirects) ||
+      maxRedirects < 0 ||
+      maxRedirects > MAX_REDIRECTS)
+  ) {
+    return `maxRedirects must be an integer between 0 and ${MAX_REDIRECTS}`;
+  }
+
+  return null;
+}
+
+/**
+ * Validate the check schedule of a monitor
+ * A cron schedule replaces the interval; null or '' removes it
+ * @param {Object} options - { checkIntervalSeconds, schedule, scheduleTimezone }
+ * @returns {String|null} Error message or null if valid
+ */
+function validateScheduleOptions({
+  checkIntervalSeconds,
+  schedule,
+  scheduleTimezone,
+}) {
+  if (
+    checkIntervalSeconds !== undefined &&
+    (!Number.isInteger(checkIntervalSeconds) ||
+      checkIntervalSeconds < MIN_CHECK_INTERVAL_SECONDS ||
+      checkIntervalSeconds > MAX_CHECK_INTERVAL_SECONDS)
+  ) {
+    return `Check interval must be an integer between ${MIN_CHECK_INTERVAL_SECONDS} and ${MAX_CHECK_INTERVAL_SECONDS} seconds`;
+  }
+
+  try {
+    if (scheduleTimezone !== undefined) {
+      validateTimezone(scheduleTimezone);
+    }
+    if (schedule) {
+      if (!getNextRun(parseCron(schedule), new Date())) {
+        return 'Schedule does not run within the next 5 years';
+      }
+    }
+  } catch (error) {
+    return `Invalid schedule: ${error.message}`;
+  }
+
+  return null;
+}
+
+/**
+ * Validate the confirmation retry settings of a monitor
+ * @param {Object} options - { retriesBeforeDown, retryIntervalSeconds }
+ * @returns {String|null} Error message or null if valid
+ */
+function validateRetryOptions({ retriesBeforeDown, retryIntervalSeconds }) {
+  if (
+    retriesBeforeDown !== undefined &&
+    (!Number.isInteger(retriesBeforeDown) ||
+      retriesBeforeDown < 0 ||
+      retriesBeforeDown > MAX_RETRIES_BEFORE_DOWN)
+  ) {
+    return `Retries before down must be an integer between 0 and ${MAX_RETRIES_BEFORE_DOWN}`;
+  }
+
+  if (
+    retryIntervalSeconds !== undefined &&
+    (!Number.isInteger(retryIntervalSeconds) ||
+      retryIntervalSeconds < 1 ||
+      retryIntervalSeconds > MAX_RETRY_INTERVAL_SECONDS)
+  ) {
+    return `Retry interval must be an integer between 1 and ${MAX_RETRY_INTERVAL_SECONDS} seconds`;
+  }
+
+  return null;
+}
+
+/**
+ * Validate the request timeout and response size limit of a monitor
+ * null resets a limit to its default
+ * @param {Object} options - { timeoutMs, maxResponseBytes }
+ * @returns {String|null} Error message or null if valid
+ */
+function validateLimitOptions({ timeoutMs, maxResponseBytes }) {
+  if (
+    timeoutMs !== undefined &&
+    timeoutMs !== null &&
+    (!Number.isInteger(timeoutMs) ||
+      timeoutMs < MIN_TIMEOUT_MS ||
+      timeoutMs > MAX_TIMEOUT_MS)
+  ) {
+    return `Timeout must be an integer between ${MIN_TIMEOUT_MS} and ${MAX_TIMEOUT_MS} ms`;
+  }
+
+  if (
+    maxResponseBytes !== undefined &&
+    maxResponseBytes !== null &&
+    (!Number.isInteger(maxResponseBytes) ||
+      maxResponseBytes < 1 ||
+      maxResponseBytes > MAX_RESPONSE_BYTES)
+  ) {
+    return `Max response size must be an integer between 1 and ${MAX_RESPONSE_BYTES} bytes`;
+  }
+
+  return null;
+}
+
+/**
+ * Validate response validation rules
+ * @param {Object} rules - Validation rules
+ * @returns {String|null} Error message or null if valid
+ */
+function validateRules(rules) {
+  try {
+    ResponseValidator.validateRulesConfig(rules);
+  } catch (error) {
+    return error.message;
+  }
+
+  return null;
+}
+
+/**
+ * Validate the probe agents a monitor is assigned to
+ * @param {Array<Number>} agentIds - Agent IDs (empty: run on the server)
+ * @param {Array<Object>} userAgents - Agents of the current user
+ * @returns {String|null} Error message or null if valid
+ */
+function validateAgentIds(agentIds, userAgents) {
+  if (agentIds === undefined) {
+    return null;
+  }
+
+  if (!Array.isArray(agentIds) || !agentIds.every(Number.isInteger)) {
+    return 'Agent IDs must be an array of integers';
+  }
+  if (agentIds.length > MAX_AGENTS_PER_MONITOR) {
+    return `A monitor can run on at most ${MAX_AGENTS_PER_MONITOR} agents`;
+  }
+
+  const known = new Set(userAgents.map((agent) => agent.id));
+  const unknown = agentIds.find((id) => !known.has(id));
+  if (unknown !== undefined) {
+    return `Agent not found: ${unknown}`;
+  }
+
+  return null;
+}
+
+/**
+ * Prepare a monitor for a response
+ * Key material of the connection settings is never sent back and auth
+ * secrets are masked (see AuthService.redact); monitors on probe agents
+ * carry their agent IDs and the status of each location
+ * @param {Object} monitor
+ * @param {Array<Object>} assignments - Probe agent assignments of the monitor
+ * @returns {Object}
+ */
+function toMonitorResponse(monitor, assignments = []) {
+  return {
+    ...monitor,
+    authConfig: AuthService.redact(monitor.authConfig),
+    connectionConfig: ConnectionService.redact(monitor.connectionConfig),
+    agentIds: assignments.map((assignment) => assignment.agentId),
+    locations: assignments.map((assignment) =>
+      AgentService.toLocation(assignment),
+    ),
+  };
+}
+
+/**
+ * Get the URL stored for a monitor
+ * Transaction monitors are listed by the URL of their first step
+ * @param {String} type - Monitor type
+ * @param {String} url - URL from the request
+ * @param {Object} typeConfig - Type-specific configuration
+ * @returns {String}
+ */
+function getDisplayUrl(type, url, typeConfig) {
+  if (type === 'transaction') {
+    return typeConfig.steps[0].url.trim();
+  }
+
+  return (url || '').trim();
+}
+
 export async function getMonitors(req, res) {
   try {
     // Get monitors for current user only
     const monitors = await MonitorRepository.findByUserId(req.user.id);
+    const assignments = await MonitorAgentRepository.findByMonitorIds(
+      monitors.map((monitor) => monitor.id),
+    );
 
-    // Add uptime percentage to each monitor
+    // Add uptime percentage and locations to each monitor
     const monitorsWithStats = monitors.map((monitor) => ({
-      ...monitor,
+      ...toMonitorResponse(
+        monitor,
+        assignments.filter((assignment) => assignment.monitorId === monitor.id),
+      ),
       uptimePercentage: MonitorRepository.calculateUptimePercentage(monitor),
     }));
 
@@ -76,7 +414,10 @@ export async function getMonitorById(req, res) {
 
     res.json({
       success: true,
-      monitor,
+      monitor: toMonitorResponse(
+        monitor,
+        await MonitorAgentRepository.findByMonitorId(monitor.id),
+      ),
     });
   } catch (error) {
     logger.error('Error fetching monitor', {
@@ -100,45 +441,153 @@ export async function createMonitor(req, res) {
   try {
     const {
       name,
+      type,
       url,
+      typeConfig,
+      method,
+      headers,
+      body,
       authType,
       authConfig,
+      connectionConfig,
       validationRules,
-      checkInterval,
+      checkIntervalSeconds,
+      schedule,
+      scheduleTimezone,
+      timeoutMs,
+      maxResponseBytes,
+      retriesBeforeDown,
+      retryIntervalSeconds,
       alertEmails,
       enabled,
       collectionId,
+      agentIds,
     } = req.body;
 
-    if (!name || !url) {
+    const monitorType = type || 'http';
+
+    if (!name || (!url && !URL_OPTIONAL_TYPES.includes(monitorType))) {
       return res.status(400).json({
         success: false,
         message: 'Name and URL are required',
       });
     }
 
-    const nextCheckTime = new Date();
-    nextCheckTime.setMinutes(
-      nextCheckTime.getMinutes() + (checkInterval || 30),
-    );
+    const targetError = validateTarget(monitorType, url, typeConfig);
+    if (targetError) {
+      return res.status(400).json({
+        success: false,
+        message: targetError,
+      });
+    }
+
+    const requestError =
+      validateRequestOptions({ method, headers, body }) ||
+      validateRules(validationRules) ||
+      validateScheduleOptions({
+        checkIntervalSeconds,
+        schedule,
+        scheduleTimezone,
+      }) ||
+      validateRetryOptions({ retriesBeforeDown, retryIntervalSeconds }) ||
+      validateLimitOptions({ timeoutMs, maxResponseBytes }) ||
+      validateAgentIds(
+        agentIds,
+        agentIds ? await AgentRepository.findByUserId(req.user.id) : [],
+      );
+    if (requestError) {
+      return res.status(400).json({
+        success: false,
+        message: requestError,
+      });
+    }
+
+    let storedAuthConfig = {};
+    let storedConnectionConfig = {};
+    try {
+      storedAuthConfig = AuthService.prepareForStorage(authConfig);
+      AuthService.validateConfig(authType || 'none', storedAuthConfig);
+      storedConnectionConfig =
+        ConnectionService.prepareForStorage(connectionConfig);
+      ConnectionService.validateConfig(storedConnectionConfig);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (schedule && monitorType === 'heartbeat') {
+      return res.status(400).json({
+        success: false,
+        message: 'Heartbeat monitors do not support schedules',
+      });
+    }
+
+    if (agentIds?.length > 0 && monitorType === 'heartbeat') {
+      return res.status(400).json({
+        success: false,
+        message: 'Heartbeat monitors cannot run on probe agents',
+      });
+    }
+
+    const interval = checkIntervalSeconds || DEFAULT_CHECK_INTERVAL_SECONDS;
+    let nextCheckTime = SchedulerService.getNextCheckTime({
+      checkIntervalSeconds: interval,
+      schedule,
+      scheduleTimezone: scheduleTimezone || 'UTC',
+    });
+
+    let heartbeatToken = null;
+    if (monitorType === 'heartbeat') {
+      heartbeatToken = HeartbeatService.generateToken();
+      // First evaluation once the first ping is overdue
+      nextCheckTime = HeartbeatService.getDeadline({
+        checkIntervalSeconds: interval,
+        typeConfig,
+      });
+    }
 
     const monitor = await MonitorRepository.create({
       userId: req.user.id, // Add current user ID
       collectionId: collectionId || null,
       name,
-      url,
+      type: monitorType,
+      url: getDisplayUrl(monitorType, url, typeConfig),
+      typeConfig: typeConfig || {},
+      method: method ? method.toUpperCase() : 'GET',
+      headers: headers || {},
+      body: body || null,
       authType: authType || 'none',
-      authConfig: authConfig || {},
+      authConfig: storedAuthConfig,
+      connectionConfig: storedConnectionConfig,
       validationRules: validationRules || { statusCode: 200 },
-      checkInterval: checkInterval || 30,
+      checkIntervalSeconds: interval,
+      schedule: schedule || null,
+      scheduleTimezone,
+      timeoutMs,
+      maxResponseBytes,
+      retriesBeforeDown,
+      retryIntervalSeconds,
       alertEmails: alertEmails || [],
       enabled: enabled !== undefined ? enabled : true,
       nextCheckTime,
+      heartbeatToken,
     });
+    if (agentIds?.length > 0) {
+      await MonitorAgentRepository.setAgents(monitor.id, [
+        ...new Set(agentIds),
+      ]);
+    } else if (monitor.enabled) {
+      SchedulerService.wake(monitor.nextCheckTime);
+    }
 
     res.status(201).json({
       success: true,
-      monitor,
+      monitor: toMonitorResponse(
+        monitor,
+        await MonitorAgentRepository.findByMonitorId(monitor.id),
+      ),
       message: 'Monitor created successfully',
     });
   } catch (error) {
@@ -146,7 +595,7 @@ export async function createMonitor(req, res) {
       type: 'monitor',
       action: 'create',
       userId: req.user.id,
-      monitorData: req.body,
+      monitor: { name: req.body.name, type: req.body.type, url: req.body.url },
       error: {
         name: error.name,
         message: error.message,
@@ -171,16 +620,50 @@ export async function updateMonitor(req, res) {
 
     const {
       name,
+      type,
       url,
+      typeConfig,
+      method,
+      headers,
+      body,
       authType,
       authConfig,
+      connectionConfig,
       validationRules,
-      checkInterval,
+      checkIntervalSeconds,
+      schedule,
+      scheduleTimezone,
+      timeoutMs,
+      maxResponseBytes,
+      retriesBeforeDown,
+      retryIntervalSeconds,
       alertEmails,
       enabled,
       collectionId,
+      agentIds,
     } = req.body;
 
+    const requestError =
+      validateRequestOptions({ method, headers, body }) ||
+      validateRules(validationRules) ||
+      validateScheduleOptions({
+        checkIntervalSeconds,
+        schedule,
+        scheduleTimezone,
+      }) ||
+      validateRetryOptions({ retriesBeforeDown, retryIntervalSeconds }) ||
+      validateLimitOptions({ timeoutMs, maxResponseBytes }) ||
+      validateAgentIds(
+        agentIds,
+        agentIds ? await AgentRepository.findByUserId(req.user.id) : [],
+      );
+    if (requestError) {
+      return res.status(400).json({
+        success: false,
+        message: requestError,
+      });
+    }
+
     const monitor = await MonitorRepository.findById(id);
 
     if (!monitor) {
@@ -198,28 +681,146 @@ export async function updateMonitor(req, res) {
       });
     }
 
+    let storedAuthConfig = monitor.authConfig;
+    if (authType !== undefined || authConfig !== undefined) {
+      // Secrets submitted as the mask keep their stored (encrypted) value
+      try {
+        if (authConfig !== undefined) {
+          storedAuthConfig = AuthService.prepareForStorage(
+            authConfig,
+            monitor.authConfig,
+          );
+        }
+        AuthService.validateConfig(
+          authType ?? monitor.authType,
+          storedAuthConfig,
+        );
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+    }
+
+    if (type !== undefined || url !== undefined || typeConfig !== undefined) {
+      const targetError = validateTarget(
+        type ?? monitor.type,
+        url ?? monitor.url,
+        typeConfig ?? monitor.typeConfig,
+      );
+      if (targetError) {
+        return res.status(400).json({
+          success: false,
+          message: targetError,
+        });
+      }
+    }
+
+    const monitorType = type ?? monitor.type;
+    if (
+      monitorType === 'heartbeat' &&
+      (schedule !== undefined ? schedule : monitor.schedule)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: 'Heartbeat monitors do not support schedules',
+      });
+    }
+
+    // Heartbeat monitors are evaluated on the server
+    let assignedAgentIds = agentIds && [...new Set(agentIds)];
+    if (monitorType === 'heartbeat') {
+      if (assignedAgentIds?.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Heartbeat monitors cannot run on probe agents',
+        });
+      }
+      assignedAgentIds = [];
+    }
+
     const updates = {};
     if (name !== undefined) {
       updates.name = name;
     }
+    if (type !== undefined) {
+      updates.type = type;
+      if (type === 'heartbeat' && monitor.type !== 'heartbeat') {
+        updates.heartbeatToken =
+          monitor.heartbeatToken || HeartbeatService.generateToken();
+        updates.nextCheckTime = HeartbeatService.getDeadline({
+          ...monitor,
+          ...(typeConfig !== undefined && { typeConfig }),
+        });
+      }
+    }
+    if (typeConfig !== undefined) {
+      updates.typeConfig = typeConfig || {};
+    }
     if (url !== undefined) {
-      if (!url || url.trim() === '') {
+      if (
+        (!url || url.trim() === '') &&
+        !URL_OPTIONAL_TYPES.includes(monitorType)
+      ) {
         return res.status(400).json({
           success: false,
           message: 'URL cannot be empty',
         });
       }
-      updates.url = url.trim();
+    }
+    if (url !== undefined || typeConfig !== undefined || type !== undefined) {
+      updates.url = getDisplayUrl(
+        monitorType,
+        url ?? monitor.url,
+        typeConfig ?? monitor.typeConfig,
+      );
+    }
+    if (method !== undefined) {
+      updates.method = method.toUpperCase();
+    }
+    if (headers !== undefined) {
+      updates.headers = headers || {};
+    }
+    if (body !== undefined) {
+      updates.body = body || null;
     }
     if (authType !== undefined) {
       updates.authType = authType;
     }
     if (authConfig !== undefined) {
-      updates.authConfig = authConfig;
+      updates.authConfig = storedAuthConfig;
+    }
+    if (connectionConfig !== undefined) {
+      // Omitted secrets keep their stored (encrypted) value
+      try {
+        updates.connectionConfig = ConnectionService.prepareForStorage(
+          connectionConfig,
+          monitor.connectionConfig,
+        );
+        ConnectionService.validateConfig(updates.connectionConfig);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
     }
     if (validationRules !== undefined) {
       updates.validationRules = validationRules;
     }
+    if (timeoutMs !== undefined) {
+      updates.timeoutMs = timeoutMs;
+    }
+    if (maxResponseBytes !== undefined) {
+      updates.maxResponseBytes = maxResponseBytes;
+    }
+    if (retriesBeforeDown !== undefined) {
+      updates.retriesBeforeDown = retriesBeforeDown;
+    }
+    if (retryIntervalSeconds !== undefined) {
+      updates.retryIntervalSeconds = retryIntervalSeconds;
+    }
     if (alertEmails !== undefined) {
       updates.alertEmails = alertEmails;
     }
@@ -230,21 +831,46 @@ export async function updateMonitor(req, res) {
       updates.collectionId = collectionId;
     }
 
+    if (checkIntervalSeconds !== undefined) {
+      updates.checkIntervalSeconds = checkIntervalSeconds;
+    }
+    if (schedule !== undefined) {
+      updates.schedule = schedule || null;
+    }
+    if (scheduleTimezone !== undefined) {
+      updates.scheduleTimezone = scheduleTimezone;
+    }
+
+    // Restart the schedule when the interval or cron schedule changed
     if (
-      checkInterval !== undefined &&
-      checkInterval !== monitor.checkInterval
+      ['checkIntervalSeconds', 'schedule', 'scheduleTimezone'].some(
+        (field) => field in updates && updates[field] !== monitor[field],
+      )
     ) {
-      updates.checkInterval = checkInterval;
-      const nextCheckTime = new Date();
-      nextCheckTime.setMinutes(nextCheckTime.getMinutes() + checkInterval);
-      updates.nextCheckTime = nextCheckTime;
+      updates.nextCheckTime =
+        monitorType === 'heartbeat'
+          ? HeartbeatService.getDeadline({ ...monitor, ...updates })
+          : SchedulerService.getNextCheckTime({
+              ...monitor,
+              ...updates,
+              nextCheckTime: null,
+            });
     }
 
     const updatedMonitor = await MonitorRepository.updateById(id, updates);
+    if (assignedAgentIds) {
+      await MonitorAgentRepository.setAgents(id, assignedAgentIds);
+    }
+    if (updatedMonitor.enabled) {
+      SchedulerService.wake(updatedMonitor.nextCheckTime);
+    }
 
     res.json({
       success: true,
-      monitor: updatedMonitor,
+      monitor: toMonitorResponse(
+        updatedMonitor,
+        await MonitorAgentRepository.findByMonitorId(id),
+      ),
       message: 'Monitor updated successfully',
     });
   } catch (error) {
@@ -315,6 +941,49 @@ export async function deleteMonitor(req, res) {
   }
 }
 
+export async function previewSchedule(req, res) {
+  try {
+    const { schedule, timezone = 'UTC' } = req.query;
+
+    if (!schedule) {
+      return res.status(400).json({
+        success: false,
+        message: 'Schedule is required',
+      });
+    }
+
+    let runs;
+    try {
+      validateTimezone(timezone);
+      runs = getNextRuns(schedule, timezone, SCHEDULE_PREVIEW_RUNS);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid schedule: ${error.message}`,
+      });
+    }
+
+    res.json({
+      success: true,
+      runs,
+    });
+  } catch (error) {
+    logger.error('Error previewing schedule', {
+      type: 'monitor',
+      action: 'preview_schedule',
+      userId: req.user.id,
+      error: {
+        name: error.name,
+        message: error.message,
+      },
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview schedule',
+    });
+  }
+}
+
 export async function triggerMonitorCheck(req, res) {
   try {
     const id = parseInt(req.params.id);
@@ -342,6 +1011,16 @@ export async function triggerMonitorCheck(req, res) {
       });
     }
 
+    // Monitors on probe agents run on the agents at their next poll
+    const agentCount = await MonitorAgentRepository.requestCheck(monitor.id);
+    if (agentCount > 0) {
+      return res.json({
+        success: true,
+        checkResult: null,
+        message: `Check requested from ${agentCount} probe agent(s)`,
+      });
+    }
+
     const checkResult = await SchedulerService.triggerManualCheck(monitor);
 
     res.json({
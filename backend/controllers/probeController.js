@@ -0,0 +1,102 @@
+import AgentService from '../services/agentService.js';
+import logger from '../utils/logger.js';
+
+// Checks handed out per lease request unless the agent asks for fewer
+const DEFAULT_LEASE_LIMIT = 10;
+const MAX_LEASE_LIMIT = 50;
+
+// Results accepted per request
+const MAX_RESULTS = 100;
+
+export async function leaseChecks(req, res) {
+  try {
+    const { limit = DEFAULT_LEASE_LIMIT } = req.body || {};
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LEASE_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        message: `Limit must be an integer between 1 and ${MAX_LEASE_LIMIT}`,
+      });
+    }
+
+    const checks = await AgentService.leaseChecks(req.agent, limit);
+
+    res.json({
+      success: true,
+      agent: { id: req.agent.id, location: req.agent.location },
+      checks,
+    });
+  } catch (error) {
+    logger.error('Error leasing checks', {
+      type: 'agent',
+      action: 'lease',
+      agentId: req.agent.id,
+      error: {
+        name: error.name,
+        message: error.message,
+      },
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to lease checks',
+    });
+  }
+}
+
+export async function submitResults(req, res) {
+  try {
+    const { results } = req.body || {};
+
+    if (!Array.isArray(results) || results.length > MAX_RESULTS) {
+      return res.status(400).json({
+        success: false,
+        message: `Results must be an array of at most ${MAX_RESULTS} entries`,
+      });
+    }
+
+    // Results are recorded one by one; a rejected result does not affect the others
+    let accepted = 0;
+    const rejected = [];
+    for (const entry of results) {
+      const { leaseId, result } = entry || {};
+      try {
+        if (typeof leaseId !== 'string' || leaseId === '') {
+          throw new Error('leaseId must be a string');
+        }
+        await AgentService.recordResult(req.agent, leaseId, result);
+        accepted++;
+      } catch (error) {
+        rejected.push({ leaseId, message: error.message });
+      }
+    }
+
+    if (rejected.length > 0) {
+      logger.warn('Rejected probe agent results', {
+        type: 'agent',
+        action: 'results',
+        agentId: req.agent.id,
+        rejected,
+      });
+    }
+
+    res.json({
+      success: true,
+      accepted,
+      rejected,
+    });
+  } catch (error) {
+    logger.error('Error recording probe agent results', {
+      type: 'agent',
+      action: 'results',
+      agentId: req.agent.id,
+      error: {
+        name: error.name,
+        message: error.message,
+      },
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record results',
+    });
+  }
+}
@@ -0,0 +1,64 @@
+import SchedulerService from '../services/schedulerService.js';
+import logger from '../utils/logger.js';
+
+export async function getQueueStatus(req, res) {
+  try {
+    const queue = await SchedulerService.getQueueStatus();
+
+    res.json({
+      success: true,
+      queue,
+    });
+  } catch (error) {
+    logger.error('Error fetching check queue', {
+      type: 'queue',
+      action: 'fetch',
+      userId: req.user.id,
+      error: {
+        name: error.name,
+        message: error.message,
+      },
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch check queue',
+    });
+  }
+}
+
+export async function updateConcurrency(req, res) {
+  try {
+    const { concurrency } = req.body;
+
+    try {
+      SchedulerService.validateConcurrency(concurrency);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    await SchedulerService.setConcurrency(concurrency);
+
+    res.json({
+      success: true,
+      concurrency,
+      message: 'Check concurrency updated successfully',
+    });
+  } catch (error) {
+    logger.error('Error updating check concurrency', {
+      type: 'queue',
+      action: 'update_concurrency',
+      userId: req.user.id,
+      error: {
+        name: error.name,
+        message: error.message,
+      },
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update check concurrency',
+    });
+  }
+}
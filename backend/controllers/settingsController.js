@@ -78,6 +78,14 @@ export async function updateSetting(req, res) {
       });
     }
 
+    // Check concurrency is validated and limited to admins (see /api/queue)
+    if (key === 'checkConcurrency') {
+      return res.status(400).json({
+        success: false,
+        message: 'Check concurrency must be changed via /api/queue/concurrency',
+      });
+    }
+
     const setting = await SettingsRepository.upsert(
       key,
       value,
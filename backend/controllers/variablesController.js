@@ -0,0 +1,271 @@
+import { VariableRepository } from '../repositories/index.js';
+import VariableService from '../services/variableService.js';
+import { SECRET_MASK } from '../utils/encryption.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Find a secret or variable of the current user
+ * Sends the error response when the ID is invalid or it is not found
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @returns {Object|null} Variable, or null when a response was sent
+ */
+async function findOwnVariable(req, res) {
+  const id = parseInt(req.params.id);
+  if (isNaN(id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid variable ID',
+    });
+    return null;
+  }
+
+  const variable = await VariableRepository.findById(id);
+
+  if (!variable) {
+    res.status(404).json({
+      success: false,
+      message: 'Variable not found',
+    });
+    return null;
+  }
+
+  // Verify variable belongs to current user
+  if (variable.userId !== req.user.id) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied',
+    });
+    return null;
+  }
+
+  return variable;
+}
+
+/**
+ * Check that no other secret or variable of the user has the same reference
+ * @param {Number} userId
+ * @param {Object} variable - { id, name, isSecret }
+ * @returns {String|null} Error message or null if the name is free
+ */
+async function validateUniqueName(userId, variable) {
+  const reference = VariableService.getReference(variable);
+  const existing = await VariableRepository.findByUserId(userId);
+  const taken = existing.some(
+    (other) =>
+      other.id !== variable.id &&
+      VariableService.getReference(other) === reference,
+  );
+
+  return taken ? `{{${reference}}} already exists` : null;
+}
+
+export async function getVariables(req, res) {
+  try {
+    const [variables, usage] = await Promise.all([
+      VariableRepository.findByUserId(req.user.id),
+      VariableService.findUsage(req.user.id),
+    ]);
+
+    res.json({
+      success: true,
+      variables: variables.map((variable) =>
+        VariableService.toVariableResponse(
+          variable,
+          usage.get(VariableService.getReference(variable)),
+        ),
+      ),
+    });
+  } catch (error) {
+    logger.error('Error fetching variables', {
+      type: 'variable',
+      action: 'fetch_all',
+      userId: req.user.id,
+      error: {
+        name: error.name,
+        message: error.message,
+      },
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch variables',
+    });
+  }
+}
+
+export async function createVariable(req, res) {
+  try {
+    const { name, value, description } = req.body;
+    const isSecret = Boolean(req.body.isSecret);
+
+    try {
+      VariableService.validateConfig({ name, value, description });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    const nameError = await validateUniqueName(req.user.id, {
+      name,
+      isSecret,
+    });
+    if (nameError) {
+      return res.status(409).json({
+        success: false,
+        message: nameError,
+      });
+    }
+
+    const variable = await VariableRepository.create({
+      userId: req.user.id,
+      name,
+      isSecret,
+      value: VariableService.prepareValue(isSecret, value),
+      description,
+    });
+
+    res.status(201).json({
+      success: true,
+      variable: VariableService.toVariableResponse(variable),
+      message: `${isSecret ? 'Secret' : 'Variable'} created successfully`,
+    });
+  } catch (error) {
+    logger.error('Error creating variable', {
+      type: 'variable',
+      action: 'create',
+      userId: req.user.id,
+      error: {
+        name: error.name,
+        message: error.message,
+      },
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create variable',
+    });
+  }
+}
+
+export async function updateVariable(req, res) {
+  try {
+    const variable = await findOwnVariable(req, res);
+    if (!variable) {
+      return;
+    }
+
+    const { name, value, description, isSecret } = req.body;
+
+    if (isSecret !== undefined && Boolean(isSecret) !== variable.isSecret) {
+      return res.status(400).json({
+        success: false,
+        message:
+          'Secrets and variables cannot be converted; create a new one instead',
+      });
+    }
+
+    // Secrets submitted as the mask keep their stored value
+    const keepValue =
+      value === undefined || (variable.isSecret && value === SECRET_MASK);
+
+    try {
+      VariableService.validateConfig({
+        name: name ?? variable.name,
+        value: keepValue ? variable.value : value,
+        description,
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (name !== undefined && name !== variable.name) {
+      const nameError = await validateUniqueName(req.user.id, {
+        ...variable,
+        name,
+      });
+      if (nameError) {
+        return res.status(409).json({
+          success: false,
+          message: nameError,
+        });
+      }
+    }
+
+    const updates = {};
+    if (name !== undefined) {
+      updates.name = name;
+    }
+    if (!keepValue) {
+      updates.value = VariableService.prepareValue(variable.isSecret, value);
+    }
+    if (description !== undefined) {
+      updates.description = description;
+    }
+
+    const updatedVariable = await VariableRepository.updateById(
+      variable.id,
+      updates,
+    );
+    const usage = await VariableService.findUsage(req.user.id);
+
+    res.json({
+      success: true,
+      variable: VariableService.toVariableResponse(
+        updatedVariable,
+        usage.get(VariableService.getReference(updatedVariable)),
+      ),
+      message: `${variable.isSecret ? 'Secret' : 'Variable'} updated successfully`,
+    });
+  } catch (error) {
+    logger.error('Error updating variable', {
+      type: 'variable',
+      action: 'update',
+      userId: req.user.id,
+      variableId: req.params.id,
+      error: {
+        name: error.name,
+        message: error.message,
+      },
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update variable',
+    });
+  }
+}
+
+export async function deleteVariable(req, res) {
+  try {
+    const variable = await findOwnVariable(req, res);
+    if (!variable) {
+      return;
+    }
+
+    // Monitors that still reference it fail with UNDEFINED_VARIABLE
+    await VariableRepository.deleteById(variable.id);
+
+    res.json({
+      success: true,
+      message: `${variable.isSecret ? 'Secret' : 'Variable'} deleted successfully`,
+    });
+  } catch (error) {
+    logger.error('Error deleting variable', {
+      type: 'variable',
+      action: 'delete',
+      userId: req.user.id,
+      variableId: req.params.id,
+      error: {
+        name: error.name,
+        message: error.message,
+      },
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete variable',
+    });
+  }
+}
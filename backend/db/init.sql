@@ -34,6 +34,39 @@ CREATE TABLE IF NOT EXISTS collections (
 
 CREATE INDEX IF NOT EXISTS collection_user_id_idx ON collections(user_id);
 
+-- ============================================
+-- AGENTS TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS agents (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  location VARCHAR(255) NOT NULL,
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  last_seen_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS agent_user_id_idx ON agents(user_id);
+
+-- ============================================
+-- VARIABLES TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS variables (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  is_secret BOOLEAN NOT NULL DEFAULT false,
+  value TEXT NOT NULL,
+  description TEXT NOT NULL DEFAULT '',
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS variable_user_name_idx ON variables(user_id, is_secret, name);
+
 -- ============================================
 -- MONITORS TABLE
 -- ============================================
@@ -42,11 +75,23 @@ CREATE TABLE IF NOT EXISTS monitors (
   user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
   collection_id INTEGER REFERENCES collections(id) ON DELETE CASCADE,
   name VARCHAR(255) NOT NULL,
+  type VARCHAR(20) NOT NULL DEFAULT 'http',
   url TEXT NOT NULL,
+  type_config JSONB NOT NULL DEFAULT '{}',
+  method VARCHAR(10) NOT NULL DEFAULT 'GET',
+  headers JSONB NOT NULL DEFAULT '{}',
+  body TEXT,
   auth_type VARCHAR(50) NOT NULL DEFAULT 'none',
   auth_config JSONB NOT NULL DEFAULT '{}',
+  connection_config JSONB NOT NULL DEFAULT '{}',
   validation_rules JSONB NOT NULL DEFAULT '{"statusCode": 200}',
-  check_interval INTEGER NOT NULL DEFAULT 30,
+  check_interval_seconds INTEGER NOT NULL DEFAULT 1800,
+  schedule VARCHAR(255),
+  schedule_timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+  timeout_ms INTEGER,
+  max_response_bytes INTEGER,
+  retries_before_down INTEGER NOT NULL DEFAULT 0,
+  retry_interval_seconds INTEGER NOT NULL DEFAULT 20,
   alert_emails JSONB NOT NULL DEFAULT '[]',
   enabled BOOLEAN NOT NULL DEFAULT true,
   status VARCHAR(50) NOT NULL DEFAULT 'pending',
@@ -56,6 +101,9 @@ CREATE TABLE IF NOT EXISTS monitors (
   consecutive_failures INTEGER NOT NULL DEFAULT 0,
   total_checks INTEGER NOT NULL DEFAULT 0,
   successful_checks INTEGER NOT NULL DEFAULT 0,
+  heartbeat_token VARCHAR(64) UNIQUE,
+  last_heartbeat_at TIMESTAMP,
+  heartbeat_started_at TIMESTAMP,
   created_at TIMESTAMP NOT NULL DEFAULT NOW(),
   updated_at TIMESTAMP NOT NULL DEFAULT NOW()
 );
@@ -65,6 +113,25 @@ CREATE INDEX IF NOT EXISTS collection_id_idx ON monitors(collection_id);
 CREATE INDEX IF NOT EXISTS enabled_next_check_idx ON monitors(enabled, next_check_time);
 CREATE INDEX IF NOT EXISTS status_idx ON monitors(status);
 
+-- ============================================
+-- MONITOR AGENTS TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS monitor_agents (
+  id SERIAL PRIMARY KEY,
+  monitor_id INTEGER NOT NULL REFERENCES monitors(id) ON DELETE CASCADE,
+  agent_id INTEGER NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  status VARCHAR(50) NOT NULL DEFAULT 'pending',
+  consecutive_failures INTEGER NOT NULL DEFAULT 0,
+  next_check_time TIMESTAMP,
+  leased_until TIMESTAMP,
+  lease_token VARCHAR(32),
+  last_check_time TIMESTAMP,
+  last_latency INTEGER
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS monitor_agent_idx ON monitor_agents(monitor_id, agent_id);
+CREATE INDEX IF NOT EXISTS agent_next_check_idx ON monitor_agents(agent_id, next_check_time);
+
 -- ============================================
 -- CHECK RESULTS TABLE
 -- ============================================
@@ -75,9 +142,16 @@ CREATE TABLE IF NOT EXISTS check_results (
   http_status INTEGER,
   latency INTEGER NOT NULL,
   error_message TEXT,
+  error_code VARCHAR(50),
   validation_errors JSONB NOT NULL DEFAULT '[]',
   response_data TEXT,
   response_metadata JSONB,
+  timings JSONB,
+  content_hash VARCHAR(64),
+  content_snapshot TEXT,
+  agent_id INTEGER REFERENCES agents(id) ON DELETE SET NULL,
+  location VARCHAR(255),
+  is_retry BOOLEAN NOT NULL DEFAULT false,
   checked_at TIMESTAMP NOT NULL DEFAULT NOW()
 );
 
@@ -86,6 +160,27 @@ CREATE INDEX IF NOT EXISTS monitor_id_checked_at_idx ON check_results(monitor_id
 CREATE INDEX IF NOT EXISTS status_checked_at_idx ON check_results(status, checked_at);
 CREATE INDEX IF NOT EXISTS checked_at_idx ON check_results(checked_at);
 
+-- ============================================
+-- CHECK JOBS TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS check_jobs (
+  id SERIAL PRIMARY KEY,
+  monitor_id INTEGER NOT NULL REFERENCES monitors(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'queued',
+  is_retry BOOLEAN NOT NULL DEFAULT false,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  run_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  worker VARCHAR(255),
+  leased_until TIMESTAMP,
+  error TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  started_at TIMESTAMP,
+  finished_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS check_job_status_run_at_idx ON check_jobs(status, run_at);
+CREATE INDEX IF NOT EXISTS check_job_monitor_id_idx ON check_jobs(monitor_id);
+
 -- ============================================
 -- ALERTS TABLE
 -- ============================================
@@ -118,6 +213,15 @@ CREATE TABLE IF NOT EXISTS settings (
 
 CREATE INDEX IF NOT EXISTS settings_key_idx ON settings(key);
 
+-- ============================================
+-- LEADER LEASES TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS leader_leases (
+  name VARCHAR(100) PRIMARY KEY,
+  holder VARCHAR(255) NOT NULL,
+  expires_at TIMESTAMP NOT NULL
+);
+
 -- ============================================
 -- INITIAL DATA (Optional)
 -- ============================================
@@ -0,0 +1,15 @@
+-- Collections for databases created by setup-db.js before it ran init.sql
+CREATE TABLE IF NOT EXISTS collections (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  color VARCHAR(7) DEFAULT '#3B82F6',
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS collection_user_id_idx ON collections(user_id);
+
+ALTER TABLE monitors ADD COLUMN IF NOT EXISTS collection_id INTEGER REFERENCES collections(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS collection_id_idx ON monitors(collection_id);
@@ -0,0 +1,4 @@
+-- Per-monitor HTTP method, headers and request body
+ALTER TABLE monitors ADD COLUMN IF NOT EXISTS method VARCHAR(10) NOT NULL DEFAULT 'GET';
+ALTER TABLE monitors ADD COLUMN IF NOT EXISTS headers JSONB NOT NULL DEFAULT '{}';
+ALTER TABLE monitors ADD COLUMN IF NOT EXISTS body TEXT;
@@ -0,0 +1,2 @@
+-- Monitor type: existing monitors are HTTP checks
+ALTER TABLE monitors ADD COLUMN IF NOT EXISTS type VARCHAR(20) NOT NULL DEFAULT 'http';
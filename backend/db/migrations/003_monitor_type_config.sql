@@ -0,0 +1,2 @@
+-- Type-specific monitor configuration (e.g. DNS record type and resolver)
+ALTER TABLE monitors ADD COLUMN IF NOT EXISTS type_config JSONB NOT NULL DEFAULT '{}';
@@ -0,0 +1,4 @@
+-- Heartbeat (push) monitors: secret ping token and last ping times
+ALTER TABLE monitors ADD COLUMN IF NOT EXISTS heartbeat_token VARCHAR(64) UNIQUE;
+ALTER TABLE monitors ADD COLUMN IF NOT EXISTS last_heartbeat_at TIMESTAMP;
+ALTER TABLE monitors ADD COLUMN IF NOT EXISTS heartbeat_started_at TIMESTAMP;
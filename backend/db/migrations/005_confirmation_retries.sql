@@ -0,0 +1,4 @@
+-- Confirmation retries: re-run failed checks before marking a monitor down
+ALTER TABLE monitors ADD COLUMN IF NOT EXISTS retries_before_down INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE monitors ADD COLUMN IF NOT EXISTS retry_interval_seconds INTEGER NOT NULL DEFAULT 20;
+ALTER TABLE check_results ADD COLUMN IF NOT EXISTS is_retry BOOLEAN NOT NULL DEFAULT false;
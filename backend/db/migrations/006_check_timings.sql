@@ -0,0 +1,2 @@
+-- Per-phase request timings (DNS, connect, TLS, TTFB, download, auth)
+ALTER TABLE check_results ADD COLUMN IF NOT EXISTS timings JSONB;
@@ -0,0 +1,2 @@
+-- Per-monitor proxy, CA bundle and client certificate (key material is encrypted)
+ALTER TABLE monitors ADD COLUMN IF NOT EXISTS connection_config JSONB NOT NULL DEFAULT '{}';
@@ -0,0 +1,6 @@
+-- Per-monitor request timeout and response size limit (null uses the defaults)
+ALTER TABLE monitors ADD COLUMN IF NOT EXISTS timeout_ms INTEGER;
+ALTER TABLE monitors ADD COLUMN IF NOT EXISTS max_response_bytes INTEGER;
+
+-- Failure category of a check (TIMEOUT, RESPONSE_TOO_LARGE, ECONNREFUSED, ...)
+ALTER TABLE check_results ADD COLUMN IF NOT EXISTS error_code VARCHAR(50);
@@ -0,0 +1,4 @@
+-- Content change detection: hash of the compared content on every check, the
+-- content itself only when it differs from the previous snapshot
+ALTER TABLE check_results ADD COLUMN IF NOT EXISTS content_hash VARCHAR(64);
+ALTER TABLE check_results ADD COLUMN IF NOT EXISTS content_snapshot TEXT;
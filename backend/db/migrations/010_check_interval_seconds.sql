@@ -0,0 +1,13 @@
+-- Check intervals move from minutes to seconds to allow sub-minute checks.
+-- Run this before `drizzle-kit push`, which would otherwise drop the old column.
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'monitors' AND column_name = 'check_interval'
+  ) THEN
+    ALTER TABLE monitors RENAME COLUMN check_interval TO check_interval_seconds;
+    UPDATE monitors SET check_interval_seconds = check_interval_seconds * 60;
+    ALTER TABLE monitors ALTER COLUMN check_interval_seconds SET DEFAULT 1800;
+  END IF;
+END $$;
@@ -0,0 +1,3 @@
+-- Optional cron schedule (evaluated in schedule_timezone) replacing the fixed interval
+ALTER TABLE monitors ADD COLUMN IF NOT EXISTS schedule VARCHAR(255);
+ALTER TABLE monitors ADD COLUMN IF NOT EXISTS schedule_timezone VARCHAR(64) NOT NULL DEFAULT 'UTC';
@@ -0,0 +1,34 @@
+-- Remote probe agents; monitors assigned to agents run there instead of on
+-- the server, and each check result records the agent and its location
+CREATE TABLE IF NOT EXISTS agents (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  location VARCHAR(255) NOT NULL,
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  last_seen_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS agent_user_id_idx ON agents(user_id);
+
+CREATE TABLE IF NOT EXISTS monitor_agents (
+  id SERIAL PRIMARY KEY,
+  monitor_id INTEGER NOT NULL REFERENCES monitors(id) ON DELETE CASCADE,
+  agent_id INTEGER NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  status VARCHAR(50) NOT NULL DEFAULT 'pending',
+  consecutive_failures INTEGER NOT NULL DEFAULT 0,
+  next_check_time TIMESTAMP,
+  leased_until TIMESTAMP,
+  lease_token VARCHAR(32),
+  last_check_time TIMESTAMP,
+  last_latency INTEGER
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS monitor_agent_idx ON monitor_agents(monitor_id, agent_id);
+CREATE INDEX IF NOT EXISTS agent_next_check_idx ON monitor_agents(agent_id, next_check_time);
+
+ALTER TABLE check_results ADD COLUMN IF NOT EXISTS agent_id INTEGER REFERENCES agents(id) ON DELETE SET NULL;
+ALTER TABLE check_results ADD COLUMN IF NOT EXISTS location VARCHAR(255);
@@ -0,0 +1,7 @@
+-- Leases that elect one backend replica to run singleton tasks (monitor
+-- initialization); due checks are claimed with SELECT ... FOR UPDATE SKIP LOCKED
+CREATE TABLE IF NOT EXISTS leader_leases (
+  name VARCHAR(100) PRIMARY KEY,
+  holder VARCHAR(255) NOT NULL,
+  expires_at TIMESTAMP NOT NULL
+);
@@ -0,0 +1,19 @@
+-- Persistent queue of scheduled checks and confirmation retries, so queued
+-- and running checks survive restarts
+CREATE TABLE IF NOT EXISTS check_jobs (
+  id SERIAL PRIMARY KEY,
+  monitor_id INTEGER NOT NULL REFERENCES monitors(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'queued',
+  is_retry BOOLEAN NOT NULL DEFAULT false,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  run_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  worker VARCHAR(255),
+  leased_until TIMESTAMP,
+  error TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  started_at TIMESTAMP,
+  finished_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS check_job_status_run_at_idx ON check_jobs(status, run_at);
+CREATE INDEX IF NOT EXISTS check_job_monitor_id_idx ON check_jobs(monitor_id);
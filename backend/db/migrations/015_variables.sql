@@ -0,0 +1,14 @@
+-- Per-user secrets and variables referenced from monitors as
+-- {{secrets.NAME}} and {{vars.NAME}}; secret values are stored encrypted
+CREATE TABLE IF NOT EXISTS variables (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  is_secret BOOLEAN NOT NULL DEFAULT false,
+  value TEXT NOT NULL,
+  description TEXT NOT NULL DEFAULT '',
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS variable_user_name_idx ON variables(user_id, is_secret, name);
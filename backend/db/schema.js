@@ -8,6 +8,7 @@ import {
   serial,
   varchar,
   index,
+  uniqueIndex,
 } from 'drizzle-orm/pg-core';
 import { relations } from 'drizzle-orm';
 
@@ -57,6 +58,61 @@ export const collections = pgTable(
   },
 );
 
+/**
+ * Agents table - remote probe agents that run checks from other networks
+ */
+export const agents = pgTable(
+  'agents',
+  {
+    id: serial('id').primaryKey(),
+    userId: integer('user_id')
+      .notNull()
+      .references(() => users.id, { onDelete: 'cascade' }),
+    name: varchar('name', { length: 255 }).notNull(),
+    location: varchar('location', { length: 255 }).notNull(), // e.g. "eu-west VPC"
+    // SHA-256 of the agent token; the token itself is only shown once
+    tokenHash: varchar('token_hash', { length: 64 }).notNull().unique(),
+    enabled: boolean('enabled').notNull().default(true),
+    lastSeenAt: timestamp('last_seen_at'),
+    createdAt: timestamp('created_at').notNull().defaultNow(),
+    updatedAt: timestamp('updated_at').notNull().defaultNow(),
+  },
+  (table) => {
+    return {
+      userIdIdx: index('agent_user_id_idx').on(table.userId),
+    };
+  },
+);
+
+/**
+ * Variables table - per-user secrets and variables that monitors reference
+ * as {{secrets.NAME}} or {{vars.NAME}}; secret values are stored encrypted
+ */
+export const variables = pgTable(
+  'variables',
+  {
+    id: serial('id').primaryKey(),
+    userId: integer('user_id')
+      .notNull()
+      .references(() => users.id, { onDelete: 'cascade' }),
+    name: varchar('name', { length: 100 }).notNull(),
+    isSecret: boolean('is_secret').notNull().default(false),
+    value: text('value').notNull(),
+    description: text('description').notNull().default(''),
+    createdAt: timestamp('created_at').notNull().defaultNow(),
+    updatedAt: timestamp('updated_at').notNull().defaultNow(),
+  },
+  (table) => {
+    return {
+      userNameIdx: uniqueIndex('variable_user_name_idx').on(
+        table.userId,
+        table.isSecret,
+        table.name,
+      ),
+    };
+  },
+);
+
 /**
  * Monitors table - main monitoring endpoints
  */
@@ -71,28 +127,68 @@ export const monitors = pgTable(
       onDelete: 'cascade',
     }),
     name: varchar('name', { length: 255 }).notNull(),
+    type: varchar('type', { length: 20 }).notNull().default('http'), // http, tcp, dns, heartbeat, transaction
+    // For 'http': request URL, for 'tcp': host:port, for 'dns': hostname
+    // Unused (empty) for 'heartbeat', first step URL for 'transaction'
     url: text('url').notNull(),
+    // Type-specific configuration as JSONB
+    // For 'http': { followRedirects, maxRedirects, changeDetection: { enabled, path, ignorePaths } }
+    // For 'dns': { recordType, resolver, matchMode, expectedValues }
+    // For 'heartbeat': { gracePeriod } (seconds)
+    // For 'transaction': { steps: [{ name, method, url, headers, body, validationRules, extract }] }
+    typeConfig: jsonb('type_config').notNull().default({}),
+    // HTTP request configuration
+    method: varchar('method', { length: 10 }).notNull().default('GET'),
+    headers: jsonb('headers').notNull().default({}), // { 'Header-Name': 'value' }
+    body: text('body'), // Raw request body (JSON or form-encoded)
     authType: varchar('auth_type', { length: 50 }).notNull().default('none'),
     // Store authentication configuration as JSONB
     // For 'basic': { username, password }
     // For 'token': { tokenUrl, username, password, tokenField, headerName }
     // For 'login': { loginUrl, username, password, tokenField, cookieName }
     authConfig: jsonb('auth_config').notNull().default({}),
+    // Connection options for HTTP and transaction requests (and auth requests)
+    // { proxy, caCert, clientCert, clientKey, clientKeyPassphrase, insecureSkipVerify }
+    // clientKey and clientKeyPassphrase are stored encrypted (utils/encryption.js)
+    connectionConfig: jsonb('connection_config').notNull().default({}),
     // Validation rules for response
     // Example: { statusCode: 200, requiredKeys: ['data', 'status'], customCheck: 'data.users.length > 0' }
+    // JSONPath/JSON Schema: { jsonPathAssertions: [{ path, operator, expected }], jsonSchema: {...} }
+    // Redirects: { finalUrl: { operator, value } }
+    // Headers/raw body: { headerAssertions: [{ name, operator, value }], bodyRegex, bodyNotRegex, bodyNotContains: [] }
+    // Latency thresholds: { warnLatencyMs: 800 (degraded), criticalLatencyMs: 3000 (down) }
     validationRules: jsonb('validation_rules')
       .notNull()
       .default({ statusCode: 200 }),
-    checkInterval: integer('check_interval').notNull().default(30), // minutes
+    checkIntervalSeconds: integer('check_interval_seconds')
+      .notNull()
+      .default(1800),
+    // Optional cron expression used instead of checkIntervalSeconds
+    schedule: varchar('schedule', { length: 255 }),
+    scheduleTimezone: varchar('schedule_timezone', { length: 64 })
+      .notNull()
+      .default('UTC'),
+    // Request limits, null uses the defaults (REQUEST_TIMEOUT or 30s, 10 MiB)
+    timeoutMs: integer('timeout_ms'),
+    maxResponseBytes: integer('max_response_bytes'),
+    // Failed checks are re-run this many times before the monitor goes down
+    retriesBeforeDown: integer('retries_before_down').notNull().default(0),
+    retryIntervalSeconds: integer('retry_interval_seconds')
+      .notNull()
+      .default(20),
     alertEmails: jsonb('alert_emails').notNull().default([]), // Array of email strings
     enabled: boolean('enabled').notNull().default(true),
-    status: varchar('status', { length: 50 }).notNull().default('pending'), // pending, up, down, unknown
+    status: varchar('status', { length: 50 }).notNull().default('pending'), // pending, up, degraded, down, unknown
     lastCheckTime: timestamp('last_check_time'),
     nextCheckTime: timestamp('next_check_time'),
     lastLatency: integer('last_latency'), // milliseconds
     consecutiveFailures: integer('consecutive_failures').notNull().default(0),
     totalChecks: integer('total_checks').notNull().default(0),
     successfulChecks: integer('successful_checks').notNull().default(0),
+    // Heartbeat monitors: secret ping token and last ping times
+    heartbeatToken: varchar('heartbeat_token', { length: 64 }).unique(),
+    lastHeartbeatAt: timestamp('last_heartbeat_at'),
+    heartbeatStartedAt: timestamp('heartbeat_started_at'), // set by /start, cleared by the next ping
     createdAt: timestamp('created_at').notNull().defaultNow(),
     updatedAt: timestamp('updated_at').notNull().defaultNow(),
   },
@@ -109,6 +205,44 @@ export const monitors = pgTable(
   },
 );
 
+/**
+ * Monitor agents table - probe agents a monitor runs on, with the schedule
+ * and status of each location. Monitors without agents run on the server.
+ */
+export const monitorAgents = pgTable(
+  'monitor_agents',
+  {
+    id: serial('id').primaryKey(),
+    monitorId: integer('monitor_id')
+      .notNull()
+      .references(() => monitors.id, { onDelete: 'cascade' }),
+    agentId: integer('agent_id')
+      .notNull()
+      .references(() => agents.id, { onDelete: 'cascade' }),
+    status: varchar('status', { length: 50 }).notNull().default('pending'), // pending, up, degraded, down
+    consecutiveFailures: integer('consecutive_failures').notNull().default(0),
+    nextCheckTime: timestamp('next_check_time'),
+    // Set while an agent runs the check; expired leases are handed out again
+    leasedUntil: timestamp('leased_until'),
+    // Identifies the current lease, so results of expired leases are rejected
+    leaseToken: varchar('lease_token', { length: 32 }),
+    lastCheckTime: timestamp('last_check_time'),
+    lastLatency: integer('last_latency'), // milliseconds
+  },
+  (table) => {
+    return {
+      monitorAgentIdx: uniqueIndex('monitor_agent_idx').on(
+        table.monitorId,
+        table.agentId,
+      ),
+      agentNextCheckIdx: index('agent_next_check_idx').on(
+        table.agentId,
+        table.nextCheckTime,
+      ),
+    };
+  },
+);
+
 /**
  * Check results table - individual health check results
  */
@@ -123,12 +257,27 @@ export const checkResults = pgTable(
     httpStatus: integer('http_status'),
     latency: integer('latency').notNull(), // milliseconds
     errorMessage: text('error_message'),
+    // Failure category, e.g. TIMEOUT, RESPONSE_TOO_LARGE, ECONNREFUSED, LATENCY_CRITICAL
+    errorCode: varchar('error_code', { length: 50 }),
     // Store validation failures as JSON array
     validationErrors: jsonb('validation_errors').notNull().default([]),
     // Response data for debugging (truncated to 2000 chars)
     responseData: text('response_data'),
     // Additional metadata about the response
     responseMetadata: jsonb('response_metadata'),
+    // Request phases in ms: { auth, dns, connect, tls, ttfb, download, total }
+    timings: jsonb('timings'),
+    // Change detection (typeConfig.changeDetection): hash of the compared
+    // content, and the content itself when it differs from the last snapshot
+    contentHash: varchar('content_hash', { length: 64 }),
+    contentSnapshot: text('content_snapshot'),
+    // Probe agent that ran the check and its location (null: the server)
+    agentId: integer('agent_id').references(() => agents.id, {
+      onDelete: 'set null',
+    }),
+    location: varchar('location', { length: 255 }),
+    // Confirmation re-run of a failed check (see monitors.retries_before_down)
+    isRetry: boolean('is_retry').notNull().default(false),
     checkedAt: timestamp('checked_at').notNull().defaultNow(),
   },
   (table) => {
@@ -147,6 +296,42 @@ export const checkResults = pgTable(
   },
 );
 
+/**
+ * Check jobs table - persistent queue of scheduled checks and retries
+ * Jobs are claimed by the backend replicas; a running job whose worker stops
+ * renewing leased_until is queued again (see SchedulerService)
+ */
+export const checkJobs = pgTable(
+  'check_jobs',
+  {
+    id: serial('id').primaryKey(),
+    monitorId: integer('monitor_id')
+      .notNull()
+      .references(() => monitors.id, { onDelete: 'cascade' }),
+    status: varchar('status', { length: 20 }).notNull().default('queued'), // queued, running, done, failed
+    // Confirmation re-run of a failed check
+    isRetry: boolean('is_retry').notNull().default(false),
+    attempts: integer('attempts').notNull().default(0),
+    runAt: timestamp('run_at').notNull().defaultNow(),
+    // Replica running the job (SchedulerService.instanceId)
+    worker: varchar('worker', { length: 255 }),
+    leasedUntil: timestamp('leased_until'),
+    error: text('error'),
+    createdAt: timestamp('created_at').notNull().defaultNow(),
+    startedAt: timestamp('started_at'),
+    finishedAt: timestamp('finished_at'),
+  },
+  (table) => {
+    return {
+      statusRunAtIdx: index('check_job_status_run_at_idx').on(
+        table.status,
+        table.runAt,
+      ),
+      monitorIdIdx: index('check_job_monitor_id_idx').on(table.monitorId),
+    };
+  },
+);
+
 /**
  * Alerts table - alert notifications for status changes
  */
@@ -157,7 +342,7 @@ export const alerts = pgTable(
     monitorId: integer('monitor_id')
       .notNull()
       .references(() => monitors.id, { onDelete: 'cascade' }),
-    alertType: varchar('alert_type', { length: 50 }).notNull(), // failure, recovery
+    alertType: varchar('alert_type', { length: 50 }).notNull(), // failure, recovery, certificate_expiry, degraded, content_changed
     message: text('message').notNull(),
     recipients: jsonb('recipients').notNull(), // Array of email strings
     emailSent: boolean('email_sent').notNull().default(false),
@@ -196,12 +381,39 @@ export const settings = pgTable(
   },
 );
 
+/**
+ * Leader leases table - which backend replica runs a singleton task
+ * A replica holds a lease while it keeps renewing it before expires_at
+ */
+export const leaderLeases = pgTable('leader_leases', {
+  name: varchar('name', { length: 100 }).primaryKey(),
+  holder: varchar('holder', { length: 255 }).notNull(),
+  expiresAt: timestamp('expires_at').notNull(),
+});
+
 /**
  * Define relations between tables
  */
 export const usersRelations = relations(users, ({ many }) => ({
   monitors: many(monitors),
   collections: many(collections),
+  agents: many(agents),
+  variables: many(variables),
+}));
+
+export const agentsRelations = relations(agents, ({ one, many }) => ({
+  user: one(users, {
+    fields: [agents.userId],
+    references: [users.id],
+  }),
+  monitorAgents: many(monitorAgents),
+}));
+
+export const variablesRelations = relations(variables, ({ one }) => ({
+  user: one(users, {
+    fields: [variables.userId],
+    references: [users.id],
+  }),
 }));
 
 export const collectionsRelations = relations(collections, ({ one, many }) => ({
@@ -222,7 +434,20 @@ export const monitorsRelations = relations(monitors, ({ one, many }) => ({
     references: [collections.id],
   }),
   checkResults: many(checkResults),
+  checkJobs: many(checkJobs),
   alerts: many(alerts),
+  monitorAgents: many(monitorAgents),
+}));
+
+export const monitorAgentsRelations = relations(monitorAgents, ({ one }) => ({
+  monitor: one(monitors, {
+    fields: [monitorAgents.monitorId],
+    references: [monitors.id],
+  }),
+  agent: one(agents, {
+    fields: [monitorAgents.agentId],
+    references: [agents.id],
+  }),
 }));
 
 export const checkResultsRelations = relations(checkResults, ({ one }) => ({
@@ -230,6 +455,17 @@ export const checkResultsRelations = relations(checkResults, ({ one }) => ({
     fields: [checkResults.monitorId],
     references: [monitors.id],
   }),
+  agent: one(agents, {
+    fields: [checkResults.agentId],
+    references: [agents.id],
+  }),
+}));
+
+export const checkJobsRelations = relations(checkJobs, ({ one }) => ({
+  monitor: one(monitors, {
+    fields: [checkJobs.monitorId],
+    references: [monitors.id],
+  }),
 }));
 
 export const alertsRelations = relations(alerts, ({ one }) => ({
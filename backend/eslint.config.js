@@ -25,6 +25,7 @@ export default [
         clearInterval: 'readonly',
         setImmediate: 'readonly',
         clearImmediate: 'readonly',
+        AbortSignal: 'readonly',
       },
     },
     rules: {
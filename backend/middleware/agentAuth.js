@@ -0,0 +1,52 @@
+import { AgentRepository } from '../repositories/index.js';
+import AgentService from '../services/agentService.js';
+
+/**
+ * Probe agent authentication middleware
+ * Verifies the agent token from the Authorization header (Bearer TOKEN) and
+ * records that the agent was seen
+ */
+export const authenticateAgent = async (req, res, next) => {
+  try {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Agent token required',
+      });
+    }
+
+    const agent = await AgentRepository.findByTokenHash(
+      AgentService.hashToken(token),
+    );
+
+    if (!agent) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid agent token',
+      });
+    }
+
+    if (!agent.enabled) {
+      return res.status(403).json({
+        success: false,
+        message: 'Agent is disabled',
+      });
+    }
+
+    await AgentRepository.touch(agent.id);
+
+    req.agent = agent;
+    next();
+  } catch (error) {
+    console.error('Unexpected agent authentication error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Authentication service error',
+    });
+  }
+};
+
+export default authenticateAgent;
@@ -61,4 +61,19 @@ export const authenticateToken = async (req, res, next) => {
   }
 };
 
+/**
+ * Admin Authorization Middleware
+ * Requires authenticateToken to run first
+ */
+export const requireAdmin = (req, res, next) => {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Admin access required'
+    });
+  }
+
+  next();
+};
+
 export default authenticateToken;
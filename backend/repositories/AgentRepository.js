@@ -0,0 +1,119 @@
+import { eq, desc } from 'drizzle-orm';
+import { getDb, schema } from '../db/index.js';
+
+const { agents } = schema;
+
+/**
+ * Agent repository - data access layer for remote probe agents
+ */
+export class AgentRepository {
+  /**
+   * Create a new agent
+   * @param {Object} agentData - { userId, name, location, tokenHash, enabled }
+   * @returns {Object} Created agent
+   */
+  static async create(agentData) {
+    const db = getDb();
+
+    const [agent] = await db
+      .insert(agents)
+      .values({
+        userId: agentData.userId,
+        name: agentData.name,
+        location: agentData.location,
+        tokenHash: agentData.tokenHash,
+        enabled: agentData.enabled !== undefined ? agentData.enabled : true,
+      })
+      .returning();
+
+    return agent;
+  }
+
+  /**
+   * Find agent by ID
+   * @param {Number} id - Agent ID
+   * @returns {Object|null} Agent or null
+   */
+  static async findById(id) {
+    const db = getDb();
+    const [agent] = await db
+      .select()
+      .from(agents)
+      .where(eq(agents.id, id))
+      .limit(1);
+    return agent || null;
+  }
+
+  /**
+   * Find agent by the hash of its token
+   * @param {String} tokenHash - SHA-256 hex digest of the agent token
+   * @returns {Object|null} Agent or null
+   */
+  static async findByTokenHash(tokenHash) {
+    const db = getDb();
+    const [agent] = await db
+      .select()
+      .from(agents)
+      .where(eq(agents.tokenHash, tokenHash))
+      .limit(1);
+    return agent || null;
+  }
+
+  /**
+   * Find agents by user ID
+   * @param {Number} userId - User ID
+   * @returns {Array} Array of agents
+   */
+  static async findByUserId(userId) {
+    const db = getDb();
+    return await db
+      .select()
+      .from(agents)
+      .where(eq(agents.userId, userId))
+      .orderBy(desc(agents.createdAt));
+  }
+
+  /**
+   * Update agent by ID
+   * @param {Number} id - Agent ID
+   * @param {Object} updates - Fields to update
+   * @returns {Object|null} Updated agent or null
+   */
+  static async updateById(id, updates) {
+    const db = getDb();
+
+    const [agent] = await db
+      .update(agents)
+      .set({ ...updates, updatedAt: new Date() })
+      .where(eq(agents.id, id))
+      .returning();
+
+    return agent || null;
+  }
+
+  /**
+   * Record that an agent contacted the server
+   * @param {Number} id - Agent ID
+   */
+  static async touch(id) {
+    const db = getDb();
+    await db
+      .update(agents)
+      .set({ lastSeenAt: new Date() })
+      .where(eq(agents.id, id));
+  }
+
+  /**
+   * Delete agent by ID
+   * Assignments are removed with it; its check results are kept
+   * @param {Number} id - Agent ID
+   * @returns {Boolean} True if deleted, false otherwise
+   */
+  static async deleteById(id) {
+    const db = getDb();
+    const result = await db.delete(agents).where(eq(agents.id, id)).returning();
+    return result.length > 0;
+  }
+}
+
+export default AgentRepository;
@@ -3,6 +3,17 @@ import { getDb, schema } from '../db/index.js';
 
 const { alerts } = schema;
 
+/**
+ * Alert types stored in alerts.alert_type
+ */
+export const ALERT_TYPES = {
+  FAILURE: 'failure',
+  RECOVERY: 'recovery',
+  CERTIFICATE_EXPIRY: 'certificate_expiry',
+  DEGRADED: 'degraded',
+  CONTENT_CHANGED: 'content_changed',
+};
+
 /**
  * Alert repository - data access layer for alerts
  */
@@ -69,7 +80,7 @@ export class AlertRepository {
 
   /**
    * Find alerts by type
-   * @param {String} alertType - Alert type (failure, recovery)
+   * @param {String} alertType - Alert type (one of ALERT_TYPES)
    * @param {Object} options - Query options
    * @returns {Array} Array of alerts
    */
@@ -0,0 +1,286 @@
+import {
+  eq,
+  and,
+  or,
+  lt,
+  lte,
+  gte,
+  asc,
+  desc,
+  inArray,
+  count,
+  min,
+  sql,
+} from 'drizzle-orm';
+import { getDb, schema } from '../db/index.js';
+
+const { checkJobs, monitors } = schema;
+
+/**
+ * Lease expiry in the database clock, so replicas with skewed clocks agree
+ * @param {Number} leaseMs
+ * @returns {SQL}
+ */
+function leaseExpiry(leaseMs) {
+  return sql`now() + make_interval(secs => ${leaseMs / 1000})`;
+}
+
+// Fields of a job with the name of its monitor
+const jobColumns = {
+  id: checkJobs.id,
+  monitorId: checkJobs.monitorId,
+  monitorName: monitors.name,
+  status: checkJobs.status,
+  isRetry: checkJobs.isRetry,
+  attempts: checkJobs.attempts,
+  runAt: checkJobs.runAt,
+  worker: checkJobs.worker,
+  error: checkJobs.error,
+  createdAt: checkJobs.createdAt,
+  startedAt: checkJobs.startedAt,
+  finishedAt: checkJobs.finishedAt,
+};
+
+/**
+ * Check job repository - data access layer for the persistent check queue
+ * Jobs go from queued to running when a replica claims them, then to done
+ * (the check was recorded, whatever its result) or failed (it could not run).
+ */
+export class CheckJobRepository {
+  /**
+   * Queue a check
+   * @param {Object} jobData - { monitorId, runAt, isRetry }
+   * @returns {Object} Created job
+   */
+  static async enqueue(jobData) {
+    const db = getDb();
+
+    const [job] = await db
+      .insert(checkJobs)
+      .values({
+        monitorId: jobData.monitorId,
+        runAt: jobData.runAt || new Date(),
+        isRetry: jobData.isRetry || false,
+      })
+      .returning();
+
+    return job;
+  }
+
+  /**
+   * Claim queued jobs that are due
+   * Rows locked by another replica are skipped, so a job is claimed once.
+   * @param {Number} limit - Maximum number of jobs
+   * @param {String} worker - ID of the claiming replica
+   * @param {Number} leaseMs - Time until the job is queued again unless the
+   *   lease is renewed
+   * @returns {Array} Claimed jobs
+   */
+  static async claim(limit, worker, leaseMs) {
+    const db = getDb();
+
+    const dueJobs = db
+      .select({ id: checkJobs.id })
+      .from(checkJobs)
+      .where(
+        and(eq(checkJobs.status, 'queued'), lte(checkJobs.runAt, new Date())),
+      )
+      .orderBy(asc(checkJobs.runAt))
+      .limit(limit)
+      .for('update', { skipLocked: true });
+
+    return await db
+      .update(checkJobs)
+      .set({
+        status: 'running',
+        worker,
+        attempts: sql`${checkJobs.attempts} + 1`,
+        leasedUntil: leaseExpiry(leaseMs),
+        startedAt: new Date(),
+      })
+      .where(inArray(checkJobs.id, dueJobs))
+      .returning();
+  }
+
+  /**
+   * Renew the leases of the jobs a replica is running
+   * @param {Array<Number>} ids - Job IDs
+   * @param {String} worker - ID of the replica
+   * @param {Number} leaseMs
+   */
+  static async renewLeases(ids, worker, leaseMs) {
+    if (ids.length === 0) {
+      return;
+    }
+
+    const db = getDb();
+    await db
+      .update(checkJobs)
+      .set({ leasedUntil: leaseExpiry(leaseMs) })
+      .where(
+        and(
+          inArray(checkJobs.id, ids),
+          eq(checkJobs.worker, worker),
+          eq(checkJobs.status, 'running'),
+        ),
+      );
+  }
+
+  /**
+   * Mark a running job as finished
+   * Ignored when the job was queued again after its lease expired
+   * @param {Number} id - Job ID
+   * @param {String} worker - ID of the replica that ran it
+   * @param {String|null} error - Why the check could not run (failed)
+   */
+  static async complete(id, worker, error = null) {
+    const db = getDb();
+    await db
+      .update(checkJobs)
+      .set({
+        status: error ? 'failed' : 'done',
+        error,
+        leasedUntil: null,
+        finishedAt: new Date(),
+      })
+      .where(
+        and(
+          eq(checkJobs.id, id),
+          eq(checkJobs.worker, worker),
+          eq(checkJobs.status, 'running'),
+        ),
+      );
+  }
+
+  /**
+   * Recover running jobs whose lease expired (their replica stopped)
+   * Jobs are queued again until they were attempted maxAttempts times.
+   * @param {Number} maxAttempts
+   * @returns {Object} { requeued, failed } job counts
+   */
+  static async recoverExpired(maxAttempts) {
+    const db = getDb();
+    const expired = and(
+      eq(checkJobs.status, 'running'),
+      lt(checkJobs.leasedUntil, sql`now()`),
+    );
+
+    const failed = await db
+      .update(checkJobs)
+      .set({
+        status: 'failed',
+        error: 'The check did not finish before its worker stopped',
+        leasedUntil: null,
+        finishedAt: new Date(),
+      })
+      .where(and(expired, gte(checkJobs.attempts, maxAttempts)))
+      .returning({ id: checkJobs.id });
+
+    const requeued = await db
+      .update(checkJobs)
+      .set({ status: 'queued', worker: null, leasedUntil: null })
+      .where(expired)
+      .returning({ id: checkJobs.id });
+
+    return { requeued: requeued.length, failed: failed.length };
+  }
+
+  /**
+   * Delete finished jobs
+   * @param {Date} date - Delete jobs finished before this date
+   * @returns {Number} Number of deleted jobs
+   */
+  static async deleteFinishedBefore(date) {
+    const db = getDb();
+    const deleted = await db
+      .delete(checkJobs)
+      .where(
+        and(
+          inArray(checkJobs.status, ['done', 'failed']),
+          lt(checkJobs.finishedAt, date),
+        ),
+      )
+      .returning({ id: checkJobs.id });
+
+    return deleted.length;
+  }
+
+  /**
+   * Find when the earliest queued job is due
+   * @returns {Date|null}
+   */
+  static async findNextRunAt() {
+    const db = getDb();
+    const [result] = await db
+      .select({ runAt: min(checkJobs.runAt) })
+      .from(checkJobs)
+      .where(eq(checkJobs.status, 'queued'));
+
+    return result?.runAt || null;
+  }
+
+  /**
+   * Count jobs per status
+   * @param {Date} since - Finished jobs are counted from this date
+   * @returns {Object} { queued, running, done, failed }
+   */
+  static async countByStatus(since) {
+    const db = getDb();
+    const rows = await db
+      .select({ status: checkJobs.status, count: count() })
+      .from(checkJobs)
+      .where(
+        or(
+          inArray(checkJobs.status, ['queued', 'running']),
+          gte(checkJobs.finishedAt, since),
+        ),
+      )
+      .groupBy(checkJobs.status);
+
+    const counts = { queued: 0, running: 0, done: 0, failed: 0 };
+    for (const row of rows) {
+      counts[row.status] = row.count;
+    }
+    return counts;
+  }
+
+  /**
+   * Summarize the queued jobs that are due
+   * @returns {Object} { count, oldestRunAt }
+   */
+  static async findDueSummary() {
+    const db = getDb();
+    const [result] = await db
+      .select({ count: count(), oldestRunAt: min(checkJobs.runAt) })
+      .from(checkJobs)
+      .where(
+        and(eq(checkJobs.status, 'queued'), lte(checkJobs.runAt, new Date())),
+      );
+
+    return { count: result.count, oldestRunAt: result.oldestRunAt };
+  }
+
+  /**
+   * Find jobs with a status, with the name of their monitor
+   * @param {String} status - queued, running, done or failed
+   * @param {Number} limit
+   * @returns {Array} Running and queued jobs oldest first, finished jobs
+   *   latest first
+   */
+  static async findByStatus(status, limit = 50) {
+    const db = getDb();
+    const order = ['done', 'failed'].includes(status)
+      ? desc(checkJobs.finishedAt)
+      : asc(checkJobs.runAt);
+
+    return await db
+      .select(jobColumns)
+      .from(checkJobs)
+      .innerJoin(monitors, eq(checkJobs.monitorId, monitors.id))
+      .where(eq(checkJobs.status, status))
+      .orderBy(order)
+      .limit(limit);
+  }
+}
+
+export default CheckJobRepository;
@@ -1,4 +1,4 @@
-import { eq, and, gte, lte, desc } from 'drizzle-orm';
+import { eq, and, gte, lte, desc, isNull, isNotNull } from 'drizzle-orm';
 import { getDb, schema } from '../db/index.js';
 import { getSql } from '../db/index.js';
 
@@ -25,9 +25,16 @@ export class CheckResultRepository {
         http_status,
         latency,
         error_message,
+        error_code,
         validation_errors,
         response_data,
         response_metadata,
+        timings,
+        content_hash,
+        content_snapshot,
+        agent_id,
+        location,
+        is_retry,
         checked_at
       ) VALUES (
         ${resultData.monitorId},
@@ -35,9 +42,16 @@ export class CheckResultRepository {
         ${resultData.httpStatus || null},
         ${resultData.latency},
         ${resultData.errorMessage || null},
+        ${resultData.errorCode || null},
         ${sqlClient.json(resultData.validationErrors || [])},
         ${resultData.responseData || null},
         ${resultData.responseMetadata ? sqlClient.json(resultData.responseMetadata) : null},
+        ${resultData.timings ? sqlClient.json(resultData.timings) : null},
+        ${resultData.contentHash || null},
+        ${resultData.contentSnapshot || null},
+        ${resultData.agentId || null},
+        ${resultData.location || null},
+        ${resultData.isRetry || false},
         ${resultData.checkedAt || new Date()}
       )
       RETURNING *
@@ -61,6 +75,66 @@ export class CheckResultRepository {
     return result || null;
   }
 
+  /**
+   * Find the latest content snapshot of a monitor (change detection)
+   * @param {Number} monitorId - Monitor ID
+   * @param {Number|null} agentId - Probe agent the check ran on, null for
+   *   checks run by the server
+   * @returns {Object|null} { id, contentHash, contentSnapshot, checkedAt } or null
+   */
+  static async findLatestSnapshot(monitorId, agentId = null) {
+    const db = getDb();
+    const [result] = await db
+      .select({
+        id: checkResults.id,
+        contentHash: checkResults.contentHash,
+        contentSnapshot: checkResults.contentSnapshot,
+        checkedAt: checkResults.checkedAt,
+      })
+      .from(checkResults)
+      .where(
+        and(
+          eq(checkResults.monitorId, monitorId),
+          agentId
+            ? eq(checkResults.agentId, agentId)
+            : isNull(checkResults.agentId),
+          isNotNull(checkResults.contentSnapshot),
+        ),
+      )
+      .orderBy(desc(checkResults.id))
+      .limit(1);
+    return result || null;
+  }
+
+  /**
+   * Find the content snapshot a check's content hash refers to
+   * Snapshots are only stored when the content changes, so this is the latest
+   * snapshot with the same hash up to the check.
+   * @param {Object} check - Check result with monitorId, id and contentHash
+   * @returns {String|null} Snapshot or null
+   */
+  static async findSnapshotForCheck(check) {
+    if (!check.contentHash) {
+      return null;
+    }
+
+    const db = getDb();
+    const [result] = await db
+      .select({ contentSnapshot: checkResults.contentSnapshot })
+      .from(checkResults)
+      .where(
+        and(
+          eq(checkResults.monitorId, check.monitorId),
+          eq(checkResults.contentHash, check.contentHash),
+          lte(checkResults.id, check.id),
+          isNotNull(checkResults.contentSnapshot),
+        ),
+      )
+      .orderBy(desc(checkResults.id))
+      .limit(1);
+    return result?.contentSnapshot ?? null;
+  }
+
   /**
    * Find check results by monitor ID
    * @param {Number} monitorId - Monitor ID
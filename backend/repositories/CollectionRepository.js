@@ -127,6 +127,7 @@ class CollectionRepository {
         activeMonitors: sql`COUNT(*) FILTER (WHERE ${monitors.enabled} = true)::int`,
         upMonitors: sql`COUNT(*) FILTER (WHERE ${monitors.status} = 'up')::int`,
         downMonitors: sql`COUNT(*) FILTER (WHERE ${monitors.status} = 'down')::int`,
+        degradedMonitors: sql`COUNT(*) FILTER (WHERE ${monitors.status} = 'degraded')::int`,
         pendingMonitors: sql`COUNT(*) FILTER (WHERE ${monitors.status} = 'pending')::int`,
         avgLatency: sql`COALESCE(AVG(${monitors.lastLatency}) FILTER (WHERE ${monitors.lastLatency} IS NOT NULL), 0)::int`,
         totalChecks: sql`COALESCE(SUM(${monitors.totalChecks}), 0)::int`,
@@ -0,0 +1,52 @@
+import { eq, and, or, lt, sql } from 'drizzle-orm';
+import { getDb, schema } from '../db/index.js';
+
+const { leaderLeases } = schema;
+
+/**
+ * Leader lease repository - elects one backend replica per singleton task
+ * Expiry uses the database clock so replicas with skewed clocks agree on it.
+ */
+export class LeaderLeaseRepository {
+  /**
+   * Take or renew a lease
+   * Succeeds when the lease is free, expired or already held by the holder
+   * @param {String} name - Lease name
+   * @param {String} holder - ID of the replica
+   * @param {Number} ttlMs - Time the lease is held without renewing it
+   * @returns {Boolean} Whether the holder has the lease
+   */
+  static async acquire(name, holder, ttlMs) {
+    const db = getDb();
+    const expiresAt = sql`now() + make_interval(secs => ${ttlMs / 1000})`;
+
+    const [lease] = await db
+      .insert(leaderLeases)
+      .values({ name, holder, expiresAt })
+      .onConflictDoUpdate({
+        target: leaderLeases.name,
+        set: { holder, expiresAt },
+        where: or(
+          eq(leaderLeases.holder, holder),
+          lt(leaderLeases.expiresAt, sql`now()`),
+        ),
+      })
+      .returning();
+
+    return Boolean(lease);
+  }
+
+  /**
+   * Give up a lease so another replica can take it right away
+   * @param {String} name - Lease name
+   * @param {String} holder - ID of the replica
+   */
+  static async release(name, holder) {
+    const db = getDb();
+    await db
+      .delete(leaderLeases)
+      .where(and(eq(leaderLeases.name, name), eq(leaderLeases.holder, holder)));
+  }
+}
+
+export default LeaderLeaseRepository;
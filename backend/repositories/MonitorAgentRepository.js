@@ -0,0 +1,216 @@
+import {
+  eq,
+  and,
+  or,
+  lt,
+  lte,
+  gt,
+  asc,
+  inArray,
+  isNull,
+  notInArray,
+} from 'drizzle-orm';
+import { getDb, schema } from '../db/index.js';
+
+const { agents, monitors, monitorAgents } = schema;
+
+// Assignment columns together with the agent they point to
+const assignmentColumns = {
+  id: monitorAgents.id,
+  monitorId: monitorAgents.monitorId,
+  agentId: monitorAgents.agentId,
+  status: monitorAgents.status,
+  consecutiveFailures: monitorAgents.consecutiveFailures,
+  nextCheckTime: monitorAgents.nextCheckTime,
+  leasedUntil: monitorAgents.leasedUntil,
+  lastCheckTime: monitorAgents.lastCheckTime,
+  lastLatency: monitorAgents.lastLatency,
+  agentName: agents.name,
+  location: agents.location,
+  agentEnabled: agents.enabled,
+  lastSeenAt: agents.lastSeenAt,
+};
+
+/**
+ * Monitor agent repository - assignments of monitors to probe agents
+ * Each assignment keeps its own schedule, lease and status (one location)
+ */
+export class MonitorAgentRepository {
+  /**
+   * Find assignment by the token of its current lease
+   * @param {String} leaseToken - Lease token from lease
+   * @returns {Object|null} Assignment or null
+   */
+  static async findByLeaseToken(leaseToken) {
+    const db = getDb();
+    const [assignment] = await db
+      .select()
+      .from(monitorAgents)
+      .where(eq(monitorAgents.leaseToken, leaseToken))
+      .limit(1);
+    return assignment || null;
+  }
+
+  /**
+   * Find the assignments of monitors, with agent name and location
+   * @param {Array<Number>} monitorIds - Monitor IDs
+   * @returns {Array} Array of assignments
+   */
+  static async findByMonitorIds(monitorIds) {
+    if (monitorIds.length === 0) {
+      return [];
+    }
+
+    const db = getDb();
+    return await db
+      .select(assignmentColumns)
+      .from(monitorAgents)
+      .innerJoin(agents, eq(monitorAgents.agentId, agents.id))
+      .where(inArray(monitorAgents.monitorId, monitorIds))
+      .orderBy(asc(agents.location), asc(agents.name));
+  }
+
+  /**
+   * Find the assignments of a monitor, with agent name and location
+   * @param {Number} monitorId - Monitor ID
+   * @returns {Array} Array of assignments
+   */
+  static async findByMonitorId(monitorId) {
+    return await this.findByMonitorIds([monitorId]);
+  }
+
+  /**
+   * Replace the agents a monitor runs on
+   * Kept assignments keep their status; new ones are due immediately
+   * @param {Number} monitorId - Monitor ID
+   * @param {Array<Number>} agentIds - Agent IDs (empty: run on the server)
+   */
+  static async setAgents(monitorId, agentIds) {
+    const db = getDb();
+
+    await db
+      .delete(monitorAgents)
+      .where(
+        agentIds.length > 0
+          ? and(
+              eq(monitorAgents.monitorId, monitorId),
+              notInArray(monitorAgents.agentId, agentIds),
+            )
+          : eq(monitorAgents.monitorId, monitorId),
+      );
+
+    if (agentIds.length > 0) {
+      await db
+        .insert(monitorAgents)
+        .values(
+          agentIds.map((agentId) => ({
+            monitorId,
+            agentId,
+            nextCheckTime: new Date(),
+          })),
+        )
+        .onConflictDoNothing();
+    }
+  }
+
+  /**
+   * Find the checks an agent is due to run
+   * Skips disabled monitors and assignments with an unexpired lease
+   * @param {Number} agentId - Agent ID
+   * @param {Number} limit - Maximum number of checks
+   * @returns {Array} Array of { assignment, monitor }
+   */
+  static async findDueForAgent(agentId, limit) {
+    const db = getDb();
+    const now = new Date();
+
+    return await db
+      .select({ assignment: monitorAgents, monitor: monitors })
+      .from(monitorAgents)
+      .innerJoin(monitors, eq(monitorAgents.monitorId, monitors.id))
+      .where(
+        and(
+          eq(monitorAgents.agentId, agentId),
+          eq(monitors.enabled, true),
+          lte(monitorAgents.nextCheckTime, now),
+          or(
+            isNull(monitorAgents.leasedUntil),
+            lt(monitorAgents.leasedUntil, now),
+          ),
+        ),
+      )
+      .orderBy(asc(monitorAgents.nextCheckTime))
+      .limit(limit);
+  }
+
+  /**
+   * Lease a due check to its agent and schedule the next run
+   * Fails when another request leased the check first
+   * @param {Number} id - Assignment ID
+   * @param {String} leaseToken - Unique token of the lease
+   * @param {Date} leasedUntil - When the lease expires
+   * @param {Date} nextCheckTime - Next scheduled run
+   * @returns {Object|null} Leased assignment, or null when already leased
+   */
+  static async lease(id, leaseToken, leasedUntil, nextCheckTime) {
+    const db = getDb();
+    const now = new Date();
+
+    const [assignment] = await db
+      .update(monitorAgents)
+      .set({ leaseToken, leasedUntil, nextCheckTime })
+      .where(
+        and(
+          eq(monitorAgents.id, id),
+          or(
+            isNull(monitorAgents.leasedUntil),
+            lt(monitorAgents.leasedUntil, now),
+          ),
+        ),
+      )
+      .returning();
+
+    return assignment || null;
+  }
+
+  /**
+   * End an unexpired lease of an agent and apply the outcome of its check
+   * Fails when the lease expired or was handed out again meanwhile
+   * @param {String} leaseToken - Lease token from lease
+   * @param {Number} agentId - Agent ID
+   * @param {Object} updates - Fields to update
+   * @returns {Object|null} Updated assignment, or null when the lease is gone
+   */
+  static async completeLease(leaseToken, agentId, updates) {
+    const db = getDb();
+    const [assignment] = await db
+      .update(monitorAgents)
+      .set({ ...updates, leaseToken: null, leasedUntil: null })
+      .where(
+        and(
+          eq(monitorAgents.leaseToken, leaseToken),
+          eq(monitorAgents.agentId, agentId),
+          gt(monitorAgents.leasedUntil, new Date()),
+        ),
+      )
+      .returning();
+    return assignment || null;
+  }
+
+  /**
+   * Make a monitor due on all of its agents (manual check)
+   * @param {Number} monitorId - Monitor ID
+   * @returns {Number} Number of agents the check was requested from
+   */
+  static async requestCheck(monitorId) {
+    const db = getDb();
+    const result = await db
+      .update(monitorAgents)
+      .set({ nextCheckTime: new Date() })
+      .where(eq(monitorAgents.monitorId, monitorId))
+      .returning();
+    return result.length;
+  }
+}
+
+export default MonitorAgentRepository;
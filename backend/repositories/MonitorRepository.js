@@ -1,7 +1,31 @@
-import { eq, and, lte, desc, asc } from 'drizzle-orm';
+import {
+  eq,
+  and,
+  or,
+  lte,
+  desc,
+  asc,
+  inArray,
+  isNotNull,
+  notExists,
+} from 'drizzle-orm';
 import { getDb, getSql, schema } from '../db/index.js';
 
-const { monitors } = schema;
+const { monitors, monitorAgents, checkJobs } = schema;
+
+/**
+ * Condition matching monitors that run on the server (no probe agents)
+ * @param {Object} db - Drizzle database instance
+ * @returns {SQL}
+ */
+function runsOnServer(db) {
+  return notExists(
+    db
+      .select({ id: monitorAgents.id })
+      .from(monitorAgents)
+      .where(eq(monitorAgents.monitorId, monitors.id)),
+  );
+}
 
 /**
  * Monitor repository - data access layer for monitors
@@ -21,11 +45,23 @@ export class MonitorRepository {
         userId: monitorData.userId,
         collectionId: monitorData.collectionId || null,
         name: monitorData.name,
+        type: monitorData.type || 'http',
         url: monitorData.url,
+        typeConfig: monitorData.typeConfig || {},
+        method: monitorData.method || 'GET',
+        headers: monitorData.headers || {},
+        body: monitorData.body || null,
         authType: monitorData.authType || 'none',
         authConfig: monitorData.authConfig || {},
+        connectionConfig: monitorData.connectionConfig || {},
         validationRules: monitorData.validationRules || { statusCode: 200 },
-        checkInterval: monitorData.checkInterval || 30,
+        checkIntervalSeconds: monitorData.checkIntervalSeconds || 1800,
+        schedule: monitorData.schedule || null,
+        scheduleTimezone: monitorData.scheduleTimezone || 'UTC',
+        timeoutMs: monitorData.timeoutMs || null,
+        maxResponseBytes: monitorData.maxResponseBytes || null,
+        retriesBeforeDown: monitorData.retriesBeforeDown || 0,
+        retryIntervalSeconds: monitorData.retryIntervalSeconds || 20,
         alertEmails: monitorData.alertEmails || [],
         enabled: monitorData.enabled !== undefined ? monitorData.enabled : true,
         status: monitorData.status || 'pending',
@@ -35,6 +71,7 @@ export class MonitorRepository {
         consecutiveFailures: monitorData.consecutiveFailures || 0,
         totalChecks: monitorData.totalChecks || 0,
         successfulChecks: monitorData.successfulChecks || 0,
+        heartbeatToken: monitorData.heartbeatToken || null,
       })
       .returning();
 
@@ -56,6 +93,21 @@ export class MonitorRepository {
     return monitor || null;
   }
 
+  /**
+   * Find monitor by heartbeat token
+   * @param {String} token - Heartbeat ping token
+   * @returns {Object|null} Monitor object or null
+   */
+  static async findByHeartbeatToken(token) {
+    const db = getDb();
+    const [monitor] = await db
+      .select()
+      .from(monitors)
+      .where(eq(monitors.heartbeatToken, token))
+      .limit(1);
+    return monitor || null;
+  }
+
   /**
    * Find all monitors
    * @param {Object} options - Query options
@@ -83,30 +135,112 @@ export class MonitorRepository {
   }
 
   /**
-   * Find monitors that need to be checked
-   * @param {Array<Number>} userIds - Optional array of user IDs to filter by
-   * @returns {Array} Array of monitors
+   * Queue a check job for the monitors that are due on the server
+   * Due monitors are locked (skipping rows another replica has locked),
+   * rescheduled and queued in one transaction, so each run is queued by one
+   * replica only. Monitors whose previous job is still running or due are
+   * rescheduled without a new job; confirmation retries queued for later do
+   * not hold up scheduled runs. Monitors assigned to probe agents are leased
+   * by the agents instead.
+   * @param {Number} limit - Maximum number of monitors
+   * @param {Function} getNextCheckTime - (monitor) => Date|null next run
+   * @returns {Object} { jobs, skipped: monitors with a pending job }
    */
-  static async findDueForCheck(userIds = null) {
+  static async enqueueDueChecks(limit, getNextCheckTime) {
     const db = getDb();
-    const now = new Date();
 
-    const conditions = [
-      eq(monitors.enabled, true),
-      lte(monitors.nextCheckTime, now),
-    ];
+    return await db.transaction(async (tx) => {
+      const dueMonitors = await tx
+        .select()
+        .from(monitors)
+        .where(
+          and(
+            eq(monitors.enabled, true),
+            lte(monitors.nextCheckTime, new Date()),
+            runsOnServer(tx),
+          ),
+        )
+        .orderBy(asc(monitors.nextCheckTime))
+        .limit(limit)
+        .for('update', { skipLocked: true });
 
-    // If userIds provided, filter by those users
-    if (userIds && userIds.length > 0) {
-      const { inArray } = await import('drizzle-orm');
-      conditions.push(inArray(monitors.userId, userIds));
-    }
+      if (dueMonitors.length === 0) {
+        return { jobs: [], skipped: [] };
+      }
 
-    return await db
-      .select()
+      const pending = await tx
+        .select({ monitorId: checkJobs.monitorId })
+        .from(checkJobs)
+        .where(
+          and(
+            inArray(
+              checkJobs.monitorId,
+              dueMonitors.map((monitor) => monitor.id),
+            ),
+            or(
+              eq(checkJobs.status, 'running'),
+              and(
+                eq(checkJobs.status, 'queued'),
+                lte(checkJobs.runAt, new Date()),
+              ),
+            ),
+          ),
+        );
+      const pendingIds = new Set(pending.map((job) => job.monitorId));
+
+      for (const monitor of dueMonitors) {
+        await tx
+          .update(monitors)
+          .set({
+            nextCheckTime: getNextCheckTime(monitor),
+            updatedAt: new Date(),
+          })
+          .where(eq(monitors.id, monitor.id));
+      }
+
+      const queued = dueMonitors.filter(
+        (monitor) => !pendingIds.has(monitor.id),
+      );
+      const jobs =
+        queued.length > 0
+          ? await tx
+              .insert(checkJobs)
+              .values(
+                queued.map((monitor) => ({
+                  monitorId: monitor.id,
+                  runAt: monitor.nextCheckTime,
+                })),
+              )
+              .returning()
+          : [];
+
+      return {
+        jobs,
+        skipped: dueMonitors.filter((monitor) => pendingIds.has(monitor.id)),
+      };
+    });
+  }
+
+  /**
+   * Find the earliest scheduled check of an enabled monitor on the server
+   * @returns {Date|null} Next check time, or null when nothing is scheduled
+   */
+  static async findNextCheckTime() {
+    const db = getDb();
+    const [monitor] = await db
+      .select({ nextCheckTime: monitors.nextCheckTime })
       .from(monitors)
-      .where(and(...conditions))
-      .orderBy(asc(monitors.nextCheckTime));
+      .where(
+        and(
+          eq(monitors.enabled, true),
+          isNotNull(monitors.nextCheckTime),
+          runsOnServer(db),
+        ),
+      )
+      .orderBy(asc(monitors.nextCheckTime))
+      .limit(1);
+
+    return monitor?.nextCheckTime || null;
   }
 
   /**
@@ -0,0 +1,95 @@
+import { eq, asc } from 'drizzle-orm';
+import { getDb, schema } from '../db/index.js';
+
+const { variables } = schema;
+
+/**
+ * Variable repository - data access layer for the secrets and variables
+ * monitors reference (secret values are encrypted by VariableService)
+ */
+export class VariableRepository {
+  /**
+   * Create a new secret or variable
+   * @param {Object} variableData - { userId, name, isSecret, value, description }
+   * @returns {Object} Created variable
+   */
+  static async create(variableData) {
+    const db = getDb();
+
+    const [variable] = await db
+      .insert(variables)
+      .values({
+        userId: variableData.userId,
+        name: variableData.name,
+        isSecret: variableData.isSecret || false,
+        value: variableData.value,
+        description: variableData.description || '',
+      })
+      .returning();
+
+    return variable;
+  }
+
+  /**
+   * Find variable by ID
+   * @param {Number} id - Variable ID
+   * @returns {Object|null} Variable or null
+   */
+  static async findById(id) {
+    const db = getDb();
+    const [variable] = await db
+      .select()
+      .from(variables)
+      .where(eq(variables.id, id))
+      .limit(1);
+    return variable || null;
+  }
+
+  /**
+   * Find the secrets and variables of a user
+   * @param {Number} userId - User ID
+   * @returns {Array} Variables sorted by name
+   */
+  static async findByUserId(userId) {
+    const db = getDb();
+    return await db
+      .select()
+      .from(variables)
+      .where(eq(variables.userId, userId))
+      .orderBy(asc(variables.name));
+  }
+
+  /**
+   * Update variable by ID
+   * @param {Number} id - Variable ID
+   * @param {Object} updates - Fields to update
+   * @returns {Object|null} Updated variable or null
+   */
+  static async updateById(id, updates) {
+    const db = getDb();
+
+    const [variable] = await db
+      .update(variables)
+      .set({ ...updates, updatedAt: new Date() })
+      .where(eq(variables.id, id))
+      .returning();
+
+    return variable || null;
+  }
+
+  /**
+   * Delete variable by ID
+   * @param {Number} id - Variable ID
+   * @returns {Boolean} True if deleted, false otherwise
+   */
+  static async deleteById(id) {
+    const db = getDb();
+    const result = await db
+      .delete(variables)
+      .where(eq(variables.id, id))
+      .returning();
+    return result.length > 0;
+  }
+}
+
+export default VariableRepository;
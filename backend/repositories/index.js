@@ -5,9 +5,14 @@
 export { UserRepository } from './UserRepository.js';
 export { MonitorRepository } from './MonitorRepository.js';
 export { CheckResultRepository } from './CheckResultRepository.js';
-export { AlertRepository } from './AlertRepository.js';
+export { AlertRepository, ALERT_TYPES } from './AlertRepository.js';
 export { SettingsRepository } from './SettingsRepository.js';
 export { default as CollectionRepository } from './CollectionRepository.js';
+export { AgentRepository } from './AgentRepository.js';
+export { MonitorAgentRepository } from './MonitorAgentRepository.js';
+export { LeaderLeaseRepository } from './LeaderLeaseRepository.js';
+export { CheckJobRepository } from './CheckJobRepository.js';
+export { VariableRepository } from './VariableRepository.js';
 
 // Default export as object for easier importing
 export default {
@@ -19,4 +24,13 @@ export default {
   SettingsRepository: (await import('./SettingsRepository.js'))
     .SettingsRepository,
   CollectionRepository: (await import('./CollectionRepository.js')).default,
+  AgentRepository: (await import('./AgentRepository.js')).AgentRepository,
+  MonitorAgentRepository: (await import('./MonitorAgentRepository.js'))
+    .MonitorAgentRepository,
+  LeaderLeaseRepository: (await import('./LeaderLeaseRepository.js'))
+    .LeaderLeaseRepository,
+  CheckJobRepository: (await import('./CheckJobRepository.js'))
+    .CheckJobRepository,
+  VariableRepository: (await import('./VariableRepository.js'))
+    .VariableRepository,
 };
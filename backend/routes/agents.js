@@ -0,0 +1,46 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import {
+  getAgents,
+  createAgent,
+  updateAgent,
+  regenerateAgentToken,
+  deleteAgent,
+} from '../controllers/agentsController.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+/**
+ * GET /api/agents
+ * Get all probe agents with their online status
+ */
+router.get('/', getAgents);
+
+/**
+ * POST /api/agents
+ * Create a probe agent (the response carries its token, shown once)
+ */
+router.post('/', createAgent);
+
+/**
+ * PUT /api/agents/:id
+ * Update a probe agent
+ */
+router.put('/:id', updateAgent);
+
+/**
+ * POST /api/agents/:id/token
+ * Replace the token of a probe agent
+ */
+router.post('/:id/token', regenerateAgentToken);
+
+/**
+ * DELETE /api/agents/:id
+ * Delete a probe agent
+ */
+router.delete('/:id', deleteAgent);
+
+export default router;
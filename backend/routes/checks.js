@@ -3,7 +3,8 @@ import { authenticateToken } from '../middleware/auth.js';
 import {
   getMonitorChecks,
   getMonitorStats,
-  getMonitorChart
+  getMonitorChart,
+  getCheckDiff
 } from '../controllers/checksController.js';
 
 const router = express.Router();
@@ -32,4 +33,11 @@ router.get('/:monitorId/stats', getMonitorStats);
  */
 router.get('/:monitorId/chart', getMonitorChart);
 
+/**
+ * GET /api/checks/:monitorId/diff
+ * Diff the content recorded by change detection between two checks
+ * Query params: from, to (check IDs)
+ */
+router.get('/:monitorId/diff', getCheckDiff);
+
 export default router;
@@ -0,0 +1,35 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { receiveHeartbeat } from '../controllers/heartbeatController.js';
+
+const router = express.Router();
+
+// Ping routes are public (the token is the secret), so cap how often a
+// single client can write check results
+router.use(
+  rateLimit({
+    windowMs: 60 * 1000,
+    limit: 60,
+    standardHeaders: true,
+    legacyHeaders: false,
+  }),
+);
+
+// Accept plain-text job output in addition to the JSON/form parsers in server.js
+router.use(express.text({ type: '*/*', limit: '100kb' }));
+
+/**
+ * GET|POST /api/heartbeat/:token
+ * Report a successful run of a heartbeat monitor
+ */
+router.get('/:token', receiveHeartbeat);
+router.post('/:token', receiveHeartbeat);
+
+/**
+ * GET|POST /api/heartbeat/:token/:signal
+ * Report a job start ("start") or failure ("fail")
+ */
+router.get('/:token/:signal', receiveHeartbeat);
+router.post('/:token/:signal', receiveHeartbeat);
+
+export default router;
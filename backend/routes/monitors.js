@@ -6,7 +6,8 @@ import {
   createMonitor,
   updateMonitor,
   deleteMonitor,
-  triggerMonitorCheck
+  triggerMonitorCheck,
+  previewSchedule
 } from '../controllers/monitorsController.js';
 
 const router = express.Router();
@@ -20,6 +21,13 @@ router.use(authenticateToken);
  */
 router.get('/', getMonitors);
 
+/**
+ * GET /api/monitors/schedule/preview
+ * Preview the next runs of a cron schedule
+ * Query params: schedule, timezone (default UTC)
+ */
+router.get('/schedule/preview', previewSchedule);
+
 /**
  * GET /api/monitors/:id
  * Get single monitor by ID
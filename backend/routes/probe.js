@@ -0,0 +1,24 @@
+import express from 'express';
+import { authenticateAgent } from '../middleware/agentAuth.js';
+import { leaseChecks, submitResults } from '../controllers/probeController.js';
+
+const router = express.Router();
+
+// Called by probe agents (agent.js) with their agent token
+router.use(authenticateAgent);
+
+/**
+ * POST /api/probe/lease
+ * Lease the checks that are due on the calling agent
+ * Body: { limit }
+ */
+router.post('/lease', leaseChecks);
+
+/**
+ * POST /api/probe/results
+ * Report the results of leased checks
+ * Body: { results: [{ leaseId, result }] }
+ */
+router.post('/results', submitResults);
+
+export default router;
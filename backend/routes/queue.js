@@ -0,0 +1,25 @@
+import express from 'express';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import {
+  getQueueStatus,
+  updateConcurrency,
+} from '../controllers/queueController.js';
+
+const router = express.Router();
+
+// The queue holds the checks of all users, so all routes are admin only
+router.use(authenticateToken, requireAdmin);
+
+/**
+ * GET /api/queue
+ * Get queue depth, scheduler lag and the running checks
+ */
+router.get('/', getQueueStatus);
+
+/**
+ * PUT /api/queue/concurrency
+ * Change the max concurrent checks per backend replica
+ */
+router.put('/concurrency', updateConcurrency);
+
+export default router;
@@ -0,0 +1,39 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import {
+  getVariables,
+  createVariable,
+  updateVariable,
+  deleteVariable,
+} from '../controllers/variablesController.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+/**
+ * GET /api/variables
+ * Get all secrets and variables with the monitors that reference them
+ */
+router.get('/', getVariables);
+
+/**
+ * POST /api/variables
+ * Create a secret or variable
+ */
+router.post('/', createVariable);
+
+/**
+ * PUT /api/variables/:id
+ * Update a secret or variable
+ */
+router.put('/:id', updateVariable);
+
+/**
+ * DELETE /api/variables/:id
+ * Delete a secret or variable
+ */
+router.delete('/:id', deleteVariable);
+
+export default router;
@@ -20,6 +20,11 @@ import logsRoutes from './routes/logs.js';
 import dashboardRoutes from './routes/dashboard.js';
 import sseRoutes from './routes/sse.js';
 import collectionsRoutes from './routes/collections.js';
+import heartbeatRoutes from './routes/heartbeat.js';
+import agentRoutes from './routes/agents.js';
+import probeRoutes from './routes/probe.js';
+import queueRoutes from './routes/queue.js';
+import variableRoutes from './routes/variables.js';
 // import apiDocsRoute from './routes/api.js';
 
 const app = express();
@@ -68,6 +73,11 @@ app.use('/api/settings', settingsRoutes);
 app.use('/api/logs', logsRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/sse', sseRoutes);
+app.use('/api/heartbeat', heartbeatRoutes);
+app.use('/api/agents', agentRoutes);
+app.use('/api/probe', probeRoutes);
+app.use('/api/queue', queueRoutes);
+app.use('/api/variables', variableRoutes);
 
 //WARNING: TO BE USED BY DEV TEAM ONLY ---- NOT FOR END USERS ---- KEPT JUST FOR REMINDER PURPOSES ---- MOVE TO SOME OTHER SERVER IN FUTURE
 
@@ -103,10 +113,7 @@ async function startServer() {
     // Initialize email service
     await EmailService.initializeTransporter();
 
-    // Initialize monitors (set nextCheckTime for all enabled monitors)
-    await SchedulerService.initializeMonitors();
-
-    // Start scheduler
+    // Start scheduler (the leader replica initializes monitors)
     SchedulerService.start();
 
     // Add 404 and error handlers after routes
@@ -129,14 +136,14 @@ async function startServer() {
 // Handle graceful shutdown
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully...');
-  SchedulerService.stop();
+  await SchedulerService.stop();
   await closeLogger();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   logger.info('SIGINT received, shutting down gracefully...');
-  SchedulerService.stop();
+  await SchedulerService.stop();
   await closeLogger();
   process.exit(0);
 });
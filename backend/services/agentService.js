@@ -0,0 +1,396 @@
+import crypto from 'crypto';
+import {
+  MonitorRepository,
+  MonitorAgentRepository,
+} from '../repositories/index.js';
+import MonitorService from './monitorService.js';
+import SchedulerService from './schedulerService.js';
+import ConnectionService from './connectionService.js';
+import AuthService from './authService.js';
+import VariableService from './variableService.js';
+import { MAX_SNAPSHOT_LENGTH } from './changeDetectionService.js';
+
+/**
+ * Probe agent service
+ * Agents are runner processes (agent.js) in other networks. They lease the
+ * checks of the monitors assigned to them, run them with
+ * MonitorService.runCheck and post the results back. Each assignment is one
+ * location with its own status; the monitor takes the worst status of its
+ * locations.
+ */
+
+// Agents that have not polled for this long are shown as offline
+export const AGENT_OFFLINE_AFTER_MS = 2 * 60 * 1000;
+
+// Leases outlast the monitor's request timeout by this much before the check
+// is handed out again
+const LEASE_MARGIN_MS = 60 * 1000;
+
+// Location statuses from worst to best
+const LOCATION_STATUSES = ['down', 'degraded', 'up'];
+
+// Monitor fields an agent needs to run a check
+const PROBE_MONITOR_FIELDS = [
+  'id',
+  'name',
+  'type',
+  'url',
+  'typeConfig',
+  'method',
+  'headers',
+  'body',
+  'authType',
+  'authConfig',
+  'validationRules',
+  'timeoutMs',
+  'maxResponseBytes',
+];
+
+const MAX_NAME_LENGTH = 255;
+
+export class AgentService {
+  /**
+   * Generate a new agent token
+   * @returns {String}
+   */
+  static generateToken() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * Hash an agent token for storage and lookup
+   * @param {String} token
+   * @returns {String} SHA-256 hex digest
+   */
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Validate the name and location of an agent
+   * Throws with a user-facing message when they are invalid
+   * @param {Object} agent - { name, location }
+   */
+  static validateConfig({ name, location }) {
+    for (const [field, value] of Object.entries({ name, location })) {
+      if (typeof value !== 'string' || !value.trim()) {
+        throw new Error(`Agent ${field} is required`);
+      }
+      if (value.length > MAX_NAME_LENGTH) {
+        throw new Error(
+          `Agent ${field} must be at most ${MAX_NAME_LENGTH} characters`,
+        );
+      }
+    }
+  }
+
+  /**
+   * Whether an agent polled for checks recently
+   * @param {Object} agent - Agent or assignment with lastSeenAt
+   * @returns {Boolean}
+   */
+  static isOnline(agent) {
+    return Boolean(
+      agent.lastSeenAt &&
+      Date.now() - agent.lastSeenAt.getTime() < AGENT_OFFLINE_AFTER_MS,
+    );
+  }
+
+  /**
+   * Prepare an agent for a response (the token hash is never sent back)
+   * @param {Object} agent
+   * @returns {Object}
+   */
+  static toAgentResponse(agent) {
+    const { tokenHash: _tokenHash, ...rest } = agent;
+
+    return { ...rest, online: this.isOnline(agent) };
+  }
+
+  /**
+   * Describe one location of a monitor for a response
+   * @param {Object} assignment - Output of MonitorAgentRepository.findByMonitorIds
+   * @returns {Object}
+   */
+  static toLocation(assignment) {
+    return {
+      agentId: assignment.agentId,
+      agentName: assignment.agentName,
+      location: assignment.location,
+      status: assignment.status,
+      lastCheckTime: assignment.lastCheckTime,
+      lastLatency: assignment.lastLatency,
+      enabled: assignment.agentEnabled,
+      online: this.isOnline(assignment),
+    };
+  }
+
+  /**
+   * Get the monitor status from the status of its locations
+   * Disabled agents and locations without a check yet are left out
+   * @param {Array<Object>} assignments - Assignments of one monitor
+   * @returns {String} Worst location status, or 'pending'
+   */
+  static getOverallStatus(assignments) {
+    const statuses = assignments
+      .filter((assignment) => assignment.agentEnabled !== false)
+      .map((assignment) => assignment.status);
+
+    return (
+      LOCATION_STATUSES.find((status) => statuses.includes(status)) || 'pending'
+    );
+  }
+
+  /**
+   * Lease the due checks of an agent
+   * The next run is scheduled when the check is leased, like the server's
+   * scheduler does on dispatch. Leases carry the values of the secrets and
+   * variables their monitor references, which agents cannot load.
+   * @param {Object} agent
+   * @param {Number} limit - Maximum number of checks
+   * @returns {Array<Object>} [{ leaseId, isRetry, monitor, variables }]
+   */
+  static async leaseChecks(agent, limit) {
+    const due = await MonitorAgentRepository.findDueForAgent(agent.id, limit);
+    const leases = [];
+    // Values of the agent owner's secrets and variables, loaded when needed
+    let values = null;
+
+    for (const { assignment, monitor } of due) {
+      // Heartbeat monitors are evaluated on the server
+      if (monitor.type === 'heartbeat') {
+        continue;
+      }
+
+      const leaseToken = crypto.randomBytes(16).toString('hex');
+      const leased = await MonitorAgentRepository.lease(
+        assignment.id,
+        leaseToken,
+        new Date(Date.now() + this.getLeaseDuration(monitor)),
+        SchedulerService.getNextCheckTime({
+          ...monitor,
+          nextCheckTime: assignment.nextCheckTime,
+        }),
+      );
+      if (!leased) {
+        continue;
+      }
+
+      const references = VariableService.findReferences(monitor);
+      if (references.length > 0 && !values) {
+        values = await VariableService.getValues(agent.userId);
+      }
+
+      const failures = assignment.consecutiveFailures;
+      leases.push({
+        leaseId: leaseToken,
+        isRetry:
+          failures > 0 &&
+          failures <= monitor.retriesBeforeDown &&
+          assignment.status !== 'down',
+        monitor: this.toProbeMonitor(monitor),
+        variables:
+          references.length > 0
+            ? VariableService.pickValues(monitor, values)
+            : {},
+      });
+    }
+
+    return leases;
+  }
+
+  /**
+   * Get how long an agent may take to report a leased check
+   * @param {Object} monitor
+   * @returns {Number} Milliseconds
+   */
+  static getLeaseDuration(monitor) {
+    const { timeoutMs } = MonitorService.getRequestLimits(monitor);
+    const requests =
+      monitor.type === 'transaction'
+        ? (monitor.typeConfig?.steps?.length || 1) + 1
+        : 2; // authentication and the check itself
+
+    return timeoutMs * requests + LEASE_MARGIN_MS;
+  }
+
+  /**
+   * Get the monitor configuration sent to an agent
+   * Auth and connection secrets are decrypted because agents have no
+   * ENCRYPTION_KEY
+   * @param {Object} monitor
+   * @returns {Object}
+   */
+  static toProbeMonitor(monitor) {
+    const probeMonitor = Object.fromEntries(
+      PROBE_MONITOR_FIELDS.map((field) => [field, monitor[field]]),
+    );
+
+    return {
+      ...probeMonitor,
+      authConfig: AuthService.decryptSecrets(monitor.authConfig),
+      connectionConfig: ConnectionService.decryptSecrets(
+        monitor.connectionConfig,
+      ),
+    };
+  }
+
+  /**
+   * Record the result of a leased check
+   * Updates the location, then records the result for the monitor with the
+   * worst status of all its locations. Failures are confirmed by the same
+   * agent after the monitor's retry interval.
+   * @param {Object} agent
+   * @param {String} leaseId - Lease token from leaseChecks
+   * @param {Object} result - Check result from MonitorService.runCheck
+   * @returns {Object} Saved check result
+   */
+  static async recordResult(agent, leaseId, result) {
+    const assignment = await MonitorAgentRepository.findByLeaseToken(leaseId);
+    if (
+      !assignment ||
+      assignment.agentId !== agent.id ||
+      assignment.leasedUntil <= new Date()
+    ) {
+      throw new Error('Unknown or expired lease');
+    }
+
+    const monitor = await MonitorRepository.findById(assignment.monitorId);
+    if (!monitor) {
+      throw new Error('Monitor not found');
+    }
+
+    const checkResult = {
+      ...this.sanitizeResult(result),
+      monitorId: monitor.id,
+      agentId: agent.id,
+      location: agent.location,
+    };
+
+    // The monitor as seen from this location
+    const location = {
+      ...monitor,
+      status: assignment.status,
+      consecutiveFailures: assignment.consecutiveFailures,
+    };
+    const updates = {
+      status: MonitorService.getMonitorStatus(location, checkResult),
+      consecutiveFailures:
+        checkResult.status === 'success'
+          ? 0
+          : assignment.consecutiveFailures + 1,
+      lastCheckTime: checkResult.checkedAt,
+      lastLatency: checkResult.latency,
+    };
+    if (MonitorService.isAwaitingConfirmation(location, checkResult)) {
+      const retryAt = new Date(
+        Date.now() + monitor.retryIntervalSeconds * 1000,
+      );
+      if (!assignment.nextCheckTime || retryAt < assignment.nextCheckTime) {
+        updates.nextCheckTime = retryAt;
+      }
+    }
+
+    // The lease may have expired or been handed out again since it was read
+    const completed = await MonitorAgentRepository.completeLease(
+      leaseId,
+      agent.id,
+      updates,
+    );
+    if (!completed) {
+      throw new Error('Unknown or expired lease');
+    }
+
+    const assignments = await MonitorAgentRepository.findByMonitorId(
+      monitor.id,
+    );
+    return await MonitorService.recordCheckResult(monitor, checkResult, {
+      status: this.getOverallStatus(assignments),
+    });
+  }
+
+  /**
+   * Validate a check result posted by an agent and keep the known fields
+   * Throws with a message for the agent when the result is invalid
+   * @param {Object} result
+   * @returns {Object} Check result
+   */
+  static sanitizeResult(result) {
+    if (!result || typeof result !== 'object' || Array.isArray(result)) {
+      throw new Error('Result must be an object');
+    }
+
+    const { status, latency, httpStatus, checkedAt } = result;
+    if (!['success', 'failure'].includes(status)) {
+      throw new Error('Result status must be success or failure');
+    }
+    if (!Number.isInteger(latency) || latency < 0) {
+      throw new Error('Result latency must be a non-negative integer');
+    }
+    if (
+      httpStatus !== undefined &&
+      httpStatus !== null &&
+      !Number.isInteger(httpStatus)
+    ) {
+      throw new Error('Result httpStatus must be an integer');
+    }
+
+    const checkedAtDate = checkedAt ? new Date(checkedAt) : new Date();
+    if (isNaN(checkedAtDate.getTime())) {
+      throw new Error('Result checkedAt must be a date');
+    }
+
+    const responseMetadata = toObject(result.responseMetadata);
+    // Content changes are detected by the server (detectContentChange)
+    delete responseMetadata?.contentChange;
+
+    const contentHash = /^[0-9a-f]{64}$/.test(result.contentHash)
+      ? result.contentHash
+      : null;
+
+    return {
+      status,
+      httpStatus: httpStatus ?? null,
+      latency,
+      errorMessage: toText(result.errorMessage, 2000),
+      errorCode: toText(result.errorCode, 50),
+      validationErrors: Array.isArray(result.validationErrors)
+        ? result.validationErrors.map((error) => String(error))
+        : [],
+      responseData: toText(result.responseData, 2000),
+      responseMetadata,
+      timings: toObject(result.timings),
+      degraded: result.degraded === true,
+      contentHash,
+      contentSnapshot: contentHash
+        ? toText(result.contentSnapshot, MAX_SNAPSHOT_LENGTH)
+        : null,
+      isRetry: result.isRetry === true,
+      // Agent clocks may be ahead of the server's
+      checkedAt: new Date(Math.min(checkedAtDate.getTime(), Date.now())),
+    };
+  }
+}
+
+/**
+ * Keep a string value, truncated to a maximum length
+ * @param {*} value
+ * @param {Number} maxLength
+ * @returns {String|null}
+ */
+function toText(value, maxLength) {
+  return typeof value === 'string' ? value.substring(0, maxLength) : null;
+}
+
+/**
+ * Keep a plain object value
+ * @param {*} value
+ * @returns {Object|null}
+ */
+function toObject(value) {
+  return value && typeof value === 'object' && !Array.isArray(value)
+    ? value
+    : null;
+}
+
+export default AgentService;
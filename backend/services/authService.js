@@ -1,22 +1,95 @@
+import crypto from 'crypto';
+import { URL, URLSearchParams } from 'url';
 import axios from 'axios';
 import logger from '../utils/logger.js';
+import {
+  signHmac,
+  signSigV4,
+  HMAC_ENCODINGS,
+  HMAC_TIMESTAMP_FORMATS
+} from '../utils/requestSigning.js';
+import {
+  encryptSecret,
+  decryptSecret,
+  isEncrypted,
+  SECRET_MASK
+} from '../utils/encryption.js';
+import ConnectionService from './connectionService.js';
 
 /**
  * Authentication service for monitored APIs
- * Handles different auth methods: basic, token, login
+ * Handles different auth methods: basic, token, login, oauth2, api_key,
+ * headers (static headers), hmac and sigv4 (request signing)
+ *
+ * Tokens and session cookies are cached per monitor until shortly before they
+ * expire, so the identity provider is not called on every check.
+ *
+ * Secrets of authConfig (AUTH_SECRET_FIELDS and the values of headers) are
+ * stored encrypted and returned by the API as SECRET_MASK.
  */
 
+// Tokens and sessions without a known expiry are reused for this long
+const DEFAULT_TOKEN_TTL_MS = 10 * 60 * 1000;
+
+// Cached tokens are refreshed this long before they expire (or halfway through
+// their lifetime when it is shorter)
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+export const AUTH_TYPES = [
+  'none',
+  'basic',
+  'token',
+  'login',
+  'oauth2',
+  'api_key',
+  'headers',
+  'hmac',
+  'sigv4'
+];
+
+const OAUTH2_GRANT_TYPES = ['client_credentials', 'refresh_token'];
+
+// How the client authenticates to the token endpoint: HTTP basic auth or
+// client_id/client_secret in the form body
+const OAUTH2_CLIENT_AUTH_METHODS = ['basic', 'body'];
+
+// Where an API key is sent
+const API_KEY_LOCATIONS = ['header', 'query'];
+
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+export const AUTH_SECRET_FIELDS = [
+  'password',
+  'staticToken',
+  'clientSecret',
+  'refreshToken',
+  'key',
+  'secret',
+  'secretAccessKey',
+  'sessionToken'
+];
+
 export class AuthService {
+  // Fetched auth per monitor ID: { fingerprint, auth, refreshAt }
+  static cache = new Map();
+  // Token and login requests in progress, shared by concurrent checks
+  static pending = new Map();
 
   /**
    * Authenticate and return headers/cookies for the monitor request
-   * @param {Object} monitor - Monitor document with authType and authConfig
-   * @returns {Object} { headers: {}, cookies: '' } or null if auth fails
+   * Token and login requests use the monitor's proxy and TLS settings. Their
+   * errors are thrown with the AUTH_FAILED code, so they are recorded apart
+   * from failures of the monitored endpoint.
+   * @param {Object} monitor - Monitor document with authType, authConfig and connectionConfig
+   * @returns {Object} { headers: {}, cookies: '', cached } - cached is true
+   *   when a token or session from an earlier check was reused
    */
   static async authenticate(monitor) {
-    const { authType, authConfig } = monitor;
+    const { authType } = monitor;
 
     try {
+      const authConfig = this.decryptSecrets(monitor.authConfig);
+
       switch (authType) {
       case 'none':
         return { headers: {}, cookies: '' };
@@ -25,10 +98,25 @@ export class AuthService {
         return this.basicAuth(authConfig);
 
       case 'token':
-        return await this.tokenAuth(authConfig);
+        if (authConfig.staticToken) {
+          return this.tokenAuth(authConfig);
+        }
+        return await this.getCachedAuth(monitor);
 
       case 'login':
-        return await this.loginAuth(authConfig);
+      case 'oauth2':
+        return await this.getCachedAuth(monitor);
+
+      case 'api_key':
+        return this.apiKeyAuth(authConfig);
+
+      case 'headers':
+        return { headers: { ...authConfig.headers }, cookies: '' };
+
+      case 'hmac':
+      case 'sigv4':
+        // Signatures depend on the request, see signRequest
+        return { headers: {}, cookies: '' };
 
       default:
         logger.warn(`Unknown auth type: ${authType}`);
@@ -36,8 +124,357 @@ export class AuthService {
       }
     } catch (error) {
       logger.error(`Authentication failed for monitor ${monitor.name}:`, error.message);
-      throw error;
+      throw this.toAuthError(error);
+    }
+  }
+
+  /**
+   * Get the token or session of a monitor, reusing the cached one until it
+   * is due for a refresh
+   * Cached auth is dropped when the monitor's auth or connection settings change.
+   * @param {Object} monitor
+   * @returns {Object} { headers, cookies, cached }
+   */
+  static async getCachedAuth(monitor) {
+    const fingerprint = this.getFingerprint(monitor);
+    const entry = this.cache.get(monitor.id);
+
+    if (entry && entry.fingerprint === fingerprint && Date.now() < entry.refreshAt) {
+      return { ...entry.auth, cached: true };
+    }
+
+    // Monitors that were not saved yet are not cached
+    if (!monitor.id) {
+      return await this.requestAuth(monitor);
+    }
+
+    // An expired entry still holds the latest (possibly rotated) refresh token
+    const previous = entry?.fingerprint === fingerprint ? entry.auth : null;
+    const key = `${monitor.id}:${fingerprint}`;
+    let request = this.pending.get(key);
+    if (!request) {
+      request = this.requestAuth(monitor, previous).finally(() => this.pending.delete(key));
+      this.pending.set(key, request);
     }
+
+    const auth = await request;
+    this.cache.set(monitor.id, {
+      fingerprint,
+      auth,
+      refreshAt: this.getRefreshAt(auth.expiresAt)
+    });
+
+    return auth;
+  }
+
+  /**
+   * Request a new token or session for a monitor
+   * @param {Object} monitor
+   * @param {Object|null} previous - Auth fetched before with the same settings
+   * @returns {Object} { headers, cookies, expiresAt }
+   */
+  static async requestAuth(monitor, previous = null) {
+    const { authType } = monitor;
+    const authConfig = this.decryptSecrets(monitor.authConfig);
+    const requestOptions = ConnectionService.createAgents(monitor.connectionConfig);
+
+    switch (authType) {
+    case 'token':
+      return await this.tokenAuth(authConfig, requestOptions);
+
+    case 'oauth2':
+      return await this.oauth2Auth({
+        ...authConfig,
+        refreshToken: previous?.refreshToken || authConfig.refreshToken
+      }, requestOptions);
+
+    default:
+      return await this.loginAuth(authConfig, requestOptions);
+    }
+  }
+
+  /**
+   * Force a refresh of the cached token or session of a monitor
+   * Called when the monitored endpoint rejects it (HTTP 401)
+   * @param {Number} monitorId
+   */
+  static invalidate(monitorId) {
+    const entry = this.cache.get(monitorId);
+    if (entry) {
+      entry.refreshAt = 0;
+    }
+  }
+
+  /**
+   * Encrypt the secrets of submitted auth settings
+   * Secrets submitted as SECRET_MASK keep their stored value. Validate the
+   * result with validateConfig.
+   * @param {Object} config - Submitted authConfig
+   * @param {Object} existing - Stored authConfig
+   * @returns {Object} authConfig to store
+   */
+  static prepareForStorage(config, existing = {}) {
+    if (config === null || config === undefined) {
+      return {};
+    }
+    if (typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error('Auth configuration must be an object');
+    }
+
+    return mapSecrets(config, (value, field, header) => {
+      if (value === SECRET_MASK) {
+        return header ? existing?.headers?.[header] : existing?.[field];
+      }
+      if (typeof value !== 'string') {
+        throw new Error(
+          header ? `Auth header ${header} must be a string` : `${field} must be a string`
+        );
+      }
+      return isEncrypted(value) ? value : encryptSecret(value);
+    });
+  }
+
+  /**
+   * Replace the secrets of stored auth settings with SECRET_MASK
+   * @param {Object} config - Stored authConfig
+   * @returns {Object}
+   */
+  static redact(config = {}) {
+    return mapSecrets(config || {}, () => SECRET_MASK);
+  }
+
+  /**
+   * Decrypt the secrets of stored auth settings
+   * Plain-text values (settings of probe agents, or stored before secrets
+   * were encrypted) are returned as they are
+   * @param {Object} config - Stored authConfig
+   * @returns {Object} authConfig with plain-text secrets
+   */
+  static decryptSecrets(config = {}) {
+    return mapSecrets(config || {}, (value, field) => {
+      if (!isEncrypted(value)) {
+        return value;
+      }
+
+      try {
+        return decryptSecret(value);
+      } catch {
+        throw new Error(`Unable to decrypt ${field}; check ENCRYPTION_KEY`);
+      }
+    });
+  }
+
+  /**
+   * Get the plain-text secret values of auth settings (see maskSecrets)
+   * @param {Object} config - authConfig
+   * @returns {Array<String>}
+   */
+  static getSecretValues(config = {}) {
+    const values = [];
+    mapSecrets(this.decryptSecrets(config), (value) => {
+      values.push(String(value));
+      return value;
+    });
+    return values;
+  }
+
+  /**
+   * Check whether stored auth settings hold secrets in plain text
+   * @param {Object} config - Stored authConfig
+   * @returns {Boolean}
+   */
+  static hasPlainTextSecrets(config = {}) {
+    let plainText = false;
+    mapSecrets(config || {}, (value) => {
+      plainText ||= !isEncrypted(value);
+      return value;
+    });
+    return plainText;
+  }
+
+  /**
+   * Validate the auth settings of a monitor
+   * Throws with a user-facing message when they are invalid
+   * @param {String} authType
+   * @param {Object} authConfig
+   */
+  static validateConfig(authType, authConfig = {}) {
+    if (!AUTH_TYPES.includes(authType)) {
+      throw new Error(`Auth type must be one of: ${AUTH_TYPES.join(', ')}`);
+    }
+
+    switch (authType) {
+    case 'oauth2':
+      this.validateOAuth2Config(authConfig);
+      break;
+    case 'api_key':
+      this.validateApiKeyConfig(authConfig);
+      break;
+    case 'headers':
+      this.validateHeadersConfig(authConfig);
+      break;
+    case 'hmac':
+      this.validateHmacConfig(authConfig);
+      break;
+    case 'sigv4':
+      this.validateSigV4Config(authConfig);
+      break;
+    }
+  }
+
+  /**
+   * @param {Object} config - { tokenUrl, grantType, clientId, clientSecret, clientAuth, refreshToken }
+   */
+  static validateOAuth2Config(config) {
+    const {
+      tokenUrl,
+      grantType = 'client_credentials',
+      clientId,
+      clientSecret,
+      clientAuth = 'basic',
+      refreshToken
+    } = config;
+
+    if (!/^https?:\/\/\S+$/i.test(tokenUrl || '')) {
+      throw new Error('OAuth2 token URL must be an http(s) URL');
+    }
+    if (!OAUTH2_GRANT_TYPES.includes(grantType)) {
+      throw new Error(`OAuth2 grant type must be one of: ${OAUTH2_GRANT_TYPES.join(', ')}`);
+    }
+    if (!OAUTH2_CLIENT_AUTH_METHODS.includes(clientAuth)) {
+      throw new Error(`OAuth2 client authentication must be one of: ${OAUTH2_CLIENT_AUTH_METHODS.join(', ')}`);
+    }
+    if (!clientId) {
+      throw new Error('OAuth2 client ID is required');
+    }
+    if (grantType === 'client_credentials' && !clientSecret) {
+      throw new Error('OAuth2 client credentials grant requires a client secret');
+    }
+    if (grantType === 'refresh_token' && !refreshToken) {
+      throw new Error('OAuth2 refresh token grant requires a refresh token');
+    }
+  }
+
+  /**
+   * @param {Object} config - { key, in, name }
+   */
+  static validateApiKeyConfig({ key, in: location = 'header', name }) {
+    if (!key || typeof key !== 'string') {
+      throw new Error('API key is required');
+    }
+    if (!API_KEY_LOCATIONS.includes(location)) {
+      throw new Error(`API key location must be one of: ${API_KEY_LOCATIONS.join(', ')}`);
+    }
+    if (name !== undefined && name !== '') {
+      if (typeof name !== 'string') {
+        throw new Error('API key name must be a string');
+      }
+      if (location === 'header') {
+        validateHeaderName(name, 'API key header');
+      }
+    }
+  }
+
+  /**
+   * @param {Object} config - { headers }
+   */
+  static validateHeadersConfig({ headers }) {
+    if (!headers || typeof headers !== 'object' || Array.isArray(headers) ||
+      Object.keys(headers).length === 0) {
+      throw new Error('Header auth requires at least one header');
+    }
+    for (const [name, value] of Object.entries(headers)) {
+      validateHeaderName(name, 'Auth header');
+      if (typeof value !== 'string') {
+        throw new Error(`Auth header value for ${name} must be a string`);
+      }
+    }
+  }
+
+  /**
+   * @param {Object} config - { secret, keyId, signatureHeader, timestampHeader, keyIdHeader, signaturePrefix, encoding, timestampFormat }
+   */
+  static validateHmacConfig(config) {
+    const {
+      secret,
+      encoding = 'hex',
+      timestampFormat = 'seconds',
+      signaturePrefix = ''
+    } = config;
+
+    if (!secret || typeof secret !== 'string') {
+      throw new Error('HMAC secret is required');
+    }
+    if (!HMAC_ENCODINGS.includes(encoding)) {
+      throw new Error(`HMAC encoding must be one of: ${HMAC_ENCODINGS.join(', ')}`);
+    }
+    if (!HMAC_TIMESTAMP_FORMATS.includes(timestampFormat)) {
+      throw new Error(`HMAC timestamp format must be one of: ${HMAC_TIMESTAMP_FORMATS.join(', ')}`);
+    }
+    if (typeof signaturePrefix !== 'string') {
+      throw new Error('HMAC signature prefix must be a string');
+    }
+    for (const field of ['signatureHeader', 'timestampHeader', 'keyIdHeader']) {
+      if (config[field]) {
+        validateHeaderName(config[field], `HMAC ${field}`);
+      }
+    }
+  }
+
+  /**
+   * @param {Object} config - { accessKeyId, secretAccessKey, sessionToken, region, service }
+   */
+  static validateSigV4Config({ accessKeyId, secretAccessKey, region, service }) {
+    if (!accessKeyId || !secretAccessKey) {
+      throw new Error('SigV4 requires an access key ID and secret access key');
+    }
+    if (!/^[a-z0-9-]+$/.test(region || '')) {
+      throw new Error('SigV4 region is required, e.g. us-east-1');
+    }
+    if (service !== undefined && service !== '' && !/^[a-z0-9-]+$/.test(service)) {
+      throw new Error('SigV4 service must be an AWS service name, e.g. execute-api');
+    }
+  }
+
+  /**
+   * Hash the settings a cached token or session was fetched with
+   * @param {Object} monitor
+   * @returns {String}
+   */
+  static getFingerprint({ authType, authConfig, connectionConfig }) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify({ authType, authConfig, connectionConfig }))
+      .digest('hex');
+  }
+
+  /**
+   * Get when cached auth should be refreshed
+   * @param {Number|null} expiresAt - Epoch milliseconds, null when unknown
+   * @returns {Number} Epoch milliseconds
+   */
+  static getRefreshAt(expiresAt) {
+    const now = Date.now();
+    if (!expiresAt) {
+      return now + DEFAULT_TOKEN_TTL_MS;
+    }
+
+    const lifetime = expiresAt - now;
+    return now + Math.max(lifetime - REFRESH_MARGIN_MS, lifetime / 2);
+  }
+
+  /**
+   * Wrap a token or login error so it is recorded as an authentication failure
+   * @param {Error} error
+   * @returns {Error} Error with the AUTH_FAILED code
+   */
+  static toAuthError(error) {
+    const reason = error.response
+      ? `HTTP ${error.response.status} from ${error.config?.url}`
+      : error.message;
+    const authError = new Error(`Authentication failed: ${reason}`);
+    authError.code = 'AUTH_FAILED';
+    return authError;
   }
 
   /**
@@ -64,8 +501,11 @@ export class AuthService {
   /**
    * Token-based authentication (fetch token from endpoint or use static token)
    * @param {Object} config - { tokenUrl, username, password, tokenField, headerName, staticToken }
+   * @param {Object} requestOptions - Extra axios options (agents, proxy)
+   * @returns {Object} { headers, cookies, expiresAt } - expiresAt from the
+   *   expires_in field of the response or the token's JWT exp claim
    */
-  static async tokenAuth(config) {
+  static async tokenAuth(config, requestOptions = {}) {
     const {
       tokenUrl,
       username,
@@ -96,6 +536,7 @@ export class AuthService {
       username,
       password
     }, {
+      ...requestOptions,
       timeout: 10000
     });
 
@@ -112,15 +553,146 @@ export class AuthService {
       headers: {
         [headerName || 'Authorization']: authValue
       },
+      cookies: '',
+      expiresAt: this.getTokenExpiry(response.data, token)
+    };
+  }
+
+  /**
+   * API key authentication
+   * Keys sent in the query string are added by signRequest
+   * @param {Object} config - { key, in: 'header' | 'query', name }
+   */
+  static apiKeyAuth(config) {
+    const { key, in: location = 'header', name } = config;
+
+    if (location === 'query') {
+      return { headers: {}, cookies: '' };
+    }
+
+    return {
+      headers: {
+        [name || 'X-API-Key']: key
+      },
       cookies: ''
     };
   }
 
+  /**
+   * Apply the auth that depends on the request itself, right before it is sent
+   * API keys for the query string are added to the URL; HMAC and SigV4
+   * signatures cover the final method, URL and body. Requests of other auth
+   * types are returned unchanged.
+   * @param {Object} monitor - { authType, authConfig }
+   * @param {Object} request - { method, url, headers, body }
+   * @returns {Object} { url, headers }
+   */
+  static signRequest(monitor, request) {
+    const { authType } = monitor;
+    const { url, headers } = request;
+
+    try {
+      const authConfig = this.decryptSecrets(monitor.authConfig);
+
+      switch (authType) {
+      case 'api_key': {
+        if (authConfig.in !== 'query') {
+          return { url, headers };
+        }
+        const keyUrl = new URL(url);
+        keyUrl.searchParams.set(authConfig.name || 'api_key', authConfig.key);
+        return { url: keyUrl.toString(), headers };
+      }
+
+      case 'hmac':
+        return { url, headers: { ...headers, ...signHmac(request, authConfig) } };
+
+      case 'sigv4':
+        return { url, headers: { ...headers, ...signSigV4(request, authConfig) } };
+
+      default:
+        return { url, headers };
+      }
+    } catch (error) {
+      throw this.toAuthError(error);
+    }
+  }
+
+  /**
+   * OAuth2 authentication with the client credentials or refresh token grant
+   * The token request is form-encoded (RFC 6749). Refresh tokens rotated by
+   * the server are returned so the next refresh uses them.
+   * @param {Object} config - { tokenUrl, grantType, clientId, clientSecret, clientAuth, refreshToken, scope, audience }
+   * @param {Object} requestOptions - Extra axios options (agents, proxy)
+   * @returns {Object} { headers, cookies, expiresAt, refreshToken }
+   */
+  static async oauth2Auth(config, requestOptions = {}) {
+    const {
+      tokenUrl,
+      grantType = 'client_credentials',
+      clientId,
+      clientSecret,
+      clientAuth = 'basic',
+      refreshToken,
+      scope,
+      audience
+    } = config;
+
+    const params = new URLSearchParams({ grant_type: grantType });
+    if (grantType === 'refresh_token') {
+      params.set('refresh_token', refreshToken);
+    }
+    if (scope) {
+      params.set('scope', scope);
+    }
+    if (audience) {
+      params.set('audience', audience);
+    }
+
+    const headers = {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Accept': 'application/json'
+    };
+    if (clientAuth === 'body') {
+      params.set('client_id', clientId);
+      if (clientSecret) {
+        params.set('client_secret', clientSecret);
+      }
+    } else {
+      // Credentials are form-encoded before the base64 encoding (RFC 6749 2.3.1)
+      const credentials = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret || '')}`;
+      headers['Authorization'] = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    const response = await axios.post(tokenUrl, params.toString(), {
+      ...requestOptions,
+      headers,
+      timeout: 10000
+    });
+
+    const accessToken = response.data?.access_token;
+    if (!accessToken) {
+      throw new Error('OAuth2 token response has no access_token');
+    }
+
+    return {
+      headers: {
+        'Authorization': `Bearer ${accessToken}`
+      },
+      cookies: '',
+      expiresAt: this.getTokenExpiry(response.data, accessToken),
+      refreshToken: response.data.refresh_token || refreshToken
+    };
+  }
+
   /**
    * Login-based authentication (get session cookie)
    * @param {Object} config - { loginUrl, username, password, cookieName, tokenField }
+   * @param {Object} requestOptions - Extra axios options (agents, proxy)
+   * @returns {Object} { headers, cookies, expiresAt } - expiresAt from the
+   *   token (see tokenAuth) or the cookie's Max-Age / Expires attribute
    */
-  static async loginAuth(config) {
+  static async loginAuth(config, requestOptions = {}) {
     const {
       loginUrl,
       username,
@@ -137,6 +709,7 @@ export class AuthService {
       username,
       password
     }, {
+      ...requestOptions,
       timeout: 10000,
       maxRedirects: 0,
       validateStatus: (status) => status < 400
@@ -152,20 +725,71 @@ export class AuthService {
         headers: {
           'Authorization': `Bearer ${token}`
         },
-        cookies: ''
+        cookies: '',
+        expiresAt: this.getTokenExpiry(response.data, token)
       };
     } else if (cookies) {
       // Session cookie
-      const sessionCookie = cookies.find(c => c.includes(cookieName));
+      const sessionCookie = cookies.find(c => c.includes(cookieName)) || cookies[0];
       return {
         headers: {},
-        cookies: sessionCookie || cookies[0]
+        cookies: sessionCookie,
+        expiresAt: this.getCookieExpiry(sessionCookie)
       };
     }
 
     throw new Error('No authentication token or cookie found in login response');
   }
 
+  /**
+   * Get when a fetched token expires
+   * @param {Object} data - Token response body
+   * @param {String} token
+   * @returns {Number|null} Epoch milliseconds, null when unknown
+   */
+  static getTokenExpiry(data, token) {
+    const expiresIn = Number(data?.expires_in ?? data?.expiresIn);
+    if (expiresIn > 0) {
+      return Date.now() + expiresIn * 1000;
+    }
+
+    const exp = this.decodeJwtPayload(token)?.exp;
+    return Number.isFinite(exp) ? exp * 1000 : null;
+  }
+
+  /**
+   * Decode the payload of a JWT without verifying it
+   * @param {String} token
+   * @returns {Object|null} null when the token is not a JWT
+   */
+  static decodeJwtPayload(token) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Get when a Set-Cookie header expires
+   * @param {String} cookie
+   * @returns {Number|null} Epoch milliseconds, null for session cookies
+   */
+  static getCookieExpiry(cookie) {
+    const maxAge = /;\s*max-age=(-?\d+)/i.exec(cookie);
+    if (maxAge) {
+      return Date.now() + parseInt(maxAge[1]) * 1000;
+    }
+
+    const expires = /;\s*expires=([^;]+)/i.exec(cookie);
+    return (expires && Date.parse(expires[1])) || null;
+  }
+
   /**
    * Extract value from nested object using dot notation
    * @param {Object} obj
@@ -187,4 +811,50 @@ export class AuthService {
   }
 }
 
+/**
+ * Copy auth settings, passing each secret that is set through a function
+ * Secrets the function returns undefined for are removed.
+ * @param {Object} config - authConfig
+ * @param {Function} transform - (value, field, headerName) => new value
+ * @returns {Object}
+ */
+function mapSecrets(config, transform) {
+  const mapped = { ...config };
+  const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+  for (const field of AUTH_SECRET_FIELDS) {
+    if (isSet(mapped[field])) {
+      mapped[field] = transform(mapped[field], field);
+      if (mapped[field] === undefined) {
+        delete mapped[field];
+      }
+    }
+  }
+
+  if (mapped.headers && typeof mapped.headers === 'object' && !Array.isArray(mapped.headers)) {
+    mapped.headers = { ...mapped.headers };
+    for (const [name, value] of Object.entries(mapped.headers)) {
+      if (isSet(value)) {
+        mapped.headers[name] = transform(value, 'headers', name);
+        if (mapped.headers[name] === undefined) {
+          delete mapped.headers[name];
+        }
+      }
+    }
+  }
+
+  return mapped;
+}
+
+/**
+ * Throw when a header name is not a valid HTTP token
+ * @param {String} name
+ * @param {String} label - Field name for the error message
+ */
+function validateHeaderName(name, label) {
+  if (typeof name !== 'string' || !HEADER_NAME_PATTERN.test(name)) {
+    throw new Error(`${label} is not a valid header name: ${name}`);
+  }
+}
+
 export default AuthService;
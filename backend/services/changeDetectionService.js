@@ -0,0 +1,153 @@
+import crypto from 'crypto';
+import {
+  parseJsonPath,
+  queryJsonPath,
+  removeJsonPath,
+} from '../utils/jsonPath.js';
+import { diffLines, formatHunks } from '../utils/textDiff.js';
+import { ResponseValidator } from '../utils/validator.js';
+
+/**
+ * Change detection service
+ * Turns a response body into comparable content (the whole body, or a JSON
+ * subtree with ignored fields removed), hashes it and diffs it against the
+ * content of an earlier check.
+ *
+ * typeConfig.changeDetection (HTTP monitors): { enabled, path, ignorePaths }
+ */
+
+export const MAX_IGNORE_PATHS = 50;
+
+// Longest content kept per snapshot; the hash always covers the full content
+export const MAX_SNAPSHOT_LENGTH = 100000;
+
+export class ChangeDetectionService {
+  /**
+   * Validate a change detection configuration
+   * Throws with a user-facing message when the configuration is invalid
+   * @param {Object} config - { enabled, path, ignorePaths }
+   */
+  static validateConfig(config) {
+    if (config === undefined || config === null) {
+      return;
+    }
+
+    if (typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error('Change detection must be an object');
+    }
+
+    if (config.enabled !== undefined && typeof config.enabled !== 'boolean') {
+      throw new Error('changeDetection.enabled must be a boolean');
+    }
+
+    if (config.path !== undefined && config.path !== null) {
+      parseJsonPath(config.path);
+    }
+
+    if (config.ignorePaths !== undefined) {
+      if (!Array.isArray(config.ignorePaths)) {
+        throw new Error('changeDetection.ignorePaths must be an array');
+      }
+      if (config.ignorePaths.length > MAX_IGNORE_PATHS) {
+        throw new Error(
+          `changeDetection.ignorePaths can have at most ${MAX_IGNORE_PATHS} entries`,
+        );
+      }
+      for (const path of config.ignorePaths) {
+        if (parseJsonPath(path).length === 0) {
+          throw new Error('Ignored paths must select a value below the root');
+        }
+      }
+    }
+  }
+
+  /**
+   * Get the content of a response that is compared between checks
+   * JSON is re-serialized with sorted keys so key order does not count as a
+   * change. Ignored paths are removed from the whole document before the
+   * selected path is read.
+   * @param {*} data - Response body (parsed JSON or text)
+   * @param {Object} config - { path, ignorePaths }
+   * @returns {String}
+   */
+  static getContent(data, config = {}) {
+    const body = ResponseValidator.parseJsonBody(data);
+
+    if (body === null || typeof body !== 'object') {
+      if (config.path) {
+        throw new Error(
+          'Change detection path is set but the response is not JSON',
+        );
+      }
+      return ResponseValidator.getBodyText(body);
+    }
+
+    const document = JSON.parse(JSON.stringify(body));
+    for (const path of config.ignorePaths || []) {
+      removeJsonPath(document, path);
+    }
+
+    let selected = document;
+    if (config.path) {
+      const matches = queryJsonPath(document, config.path);
+      if (matches.length === 0) {
+        throw new Error(`Change detection path ${config.path} not found`);
+      }
+      selected = matches.length === 1 ? matches[0] : matches;
+    }
+
+    return stringifySorted(selected);
+  }
+
+  /**
+   * Hash content for comparison
+   * @param {String} content
+   * @returns {String} SHA-256 hex digest
+   */
+  static hash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * Trim content to the stored snapshot length
+   * @param {String} content
+   * @returns {String}
+   */
+  static toSnapshot(content) {
+    return content.length > MAX_SNAPSHOT_LENGTH
+      ? content.substring(0, MAX_SNAPSHOT_LENGTH)
+      : content;
+  }
+
+  /**
+   * Diff two snapshots
+   * @param {String} before
+   * @param {String} after
+   * @returns {Object} { lines, added, removed, truncated }
+   */
+  static diff(before, after) {
+    return formatHunks(diffLines(before || '', after || ''));
+  }
+}
+
+/**
+ * Serialize JSON with object keys in sorted order, indented for line diffs
+ * @param {*} value
+ * @returns {String}
+ */
+function stringifySorted(value) {
+  return JSON.stringify(
+    value,
+    (key, item) =>
+      item && typeof item === 'object' && !Array.isArray(item)
+        ? Object.fromEntries(
+            Object.keys(item)
+              .sort()
+              .map((name) => [name, item[name]]),
+          )
+        : item,
+    2,
+  );
+}
+
+export default ChangeDetectionService;
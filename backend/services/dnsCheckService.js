@@ -0,0 +1,173 @@
+import { promises as dns } from 'dns';
+import net from 'net';
+
+/**
+ * DNS check service
+ * Resolves DNS records and asserts on the answer
+ */
+
+export const DNS_RECORD_TYPES = ['A', 'AAAA', 'CNAME', 'MX', 'TXT'];
+export const DNS_MATCH_MODES = ['any', 'contains', 'equals'];
+
+const HOSTNAME_LABEL = '[a-z0-9_](?:[a-z0-9_-]{0,61}[a-z0-9])?';
+const HOSTNAME_PATTERN = new RegExp(
+  `^(?=.{1,253}\\.?$)(?:${HOSTNAME_LABEL}\\.)*${HOSTNAME_LABEL}\\.?$`,
+  'i',
+);
+
+export class DnsCheckService {
+  /**
+   * Validate a DNS monitor configuration
+   * Throws with a user-facing message when the configuration is invalid
+   * @param {String} hostname - Hostname to resolve
+   * @param {Object} config - { recordType, resolver, matchMode, expectedValues }
+   */
+  static validateConfig(hostname, config = {}) {
+    if (!hostname || !HOSTNAME_PATTERN.test(hostname.trim())) {
+      throw new Error(`Invalid hostname: ${hostname || '(empty)'}`);
+    }
+
+    const recordType = (config.recordType || 'A').toUpperCase();
+    if (!DNS_RECORD_TYPES.includes(recordType)) {
+      throw new Error(
+        `Record type must be one of: ${DNS_RECORD_TYPES.join(', ')}`,
+      );
+    }
+
+    if (config.matchMode && !DNS_MATCH_MODES.includes(config.matchMode)) {
+      throw new Error(
+        `Match mode must be one of: ${DNS_MATCH_MODES.join(', ')}`,
+      );
+    }
+
+    if (
+      config.expectedValues !== undefined &&
+      (!Array.isArray(config.expectedValues) ||
+        config.expectedValues.some((value) => typeof value !== 'string'))
+    ) {
+      throw new Error('Expected values must be an array of strings');
+    }
+
+    if (config.resolver) {
+      this.parseResolver(config.resolver);
+    }
+  }
+
+  /**
+   * Parse a resolver address into the form accepted by dns.Resolver
+   * Accepts "ip", "ip:port" and "[ipv6]:port"
+   * @param {String} resolver
+   * @returns {String}
+   */
+  static parseResolver(resolver) {
+    const value = resolver.trim();
+    let ip = value;
+    let port;
+
+    // A bare IPv6 address has no port; otherwise split off a trailing :port
+    if (!net.isIPv6(value)) {
+      const match = value.match(/^\[?([^\]]+?)\]?(?::(\d{1,5}))?$/);
+      if (match) {
+        [, ip, port] = match;
+      }
+    }
+
+    if (!net.isIP(ip)) {
+      throw new Error(`Resolver must be an IP address: ${resolver}`);
+    }
+
+    if (port === undefined) {
+      return ip;
+    }
+
+    return net.isIPv6(ip) ? `[${ip}]:${port}` : `${ip}:${port}`;
+  }
+
+  /**
+   * Resolve records for a hostname
+   * Rejects with the resolver error (code ENOTFOUND, ENODATA, ETIMEOUT, ...)
+   * @param {String} hostname
+   * @param {String} recordType - One of DNS_RECORD_TYPES
+   * @param {Object} options - { resolver, timeout }
+   * @returns {Promise<Object>} { records: string[], latency }
+   */
+  static async resolve(hostname, recordType, options = {}) {
+    const resolver = new dns.Resolver({
+      timeout: options.timeout || 5000,
+      tries: 1,
+    });
+
+    if (options.resolver) {
+      resolver.setServers([this.parseResolver(options.resolver)]);
+    }
+
+    const startTime = Date.now();
+    const answer = await resolver.resolve(hostname, recordType);
+    const latency = Date.now() - startTime;
+
+    return {
+      records: answer.map((record) => this.formatRecord(record, recordType)),
+      latency,
+    };
+  }
+
+  /**
+   * Convert a resolver answer entry into a comparable string
+   * MX records become "priority exchange", TXT chunks are joined
+   * @param {*} record
+   * @param {String} recordType
+   * @returns {String}
+   */
+  static formatRecord(record, recordType) {
+    switch (recordType) {
+      case 'MX':
+        return `${record.priority} ${record.exchange}`;
+      case 'TXT':
+        return record.join('');
+      default:
+        return String(record);
+    }
+  }
+
+  /**
+   * Compare resolved records with the expected values
+   * - any: at least one expected value is present (or any answer if none given)
+   * - contains: every expected value is present
+   * - equals: the answer is exactly the expected set
+   * @param {Array<String>} records
+   * @param {Array<String>} expectedValues
+   * @param {String} matchMode
+   * @returns {Object} { isValid: boolean, errors: string[] }
+   */
+  static matchRecords(records, expectedValues = [], matchMode = 'any') {
+    const normalize = (value) => value.trim().toLowerCase().replace(/\.$/, '');
+    const actual = records.map(normalize);
+    const expected = expectedValues.map(normalize).filter(Boolean);
+    const errors = [];
+
+    if (actual.length === 0) {
+      errors.push('No records returned');
+    } else if (expected.length > 0) {
+      const missing = expected.filter((value) => !actual.includes(value));
+
+      if (matchMode === 'equals') {
+        const unexpected = actual.filter((value) => !expected.includes(value));
+        if (missing.length > 0 || unexpected.length > 0) {
+          errors.push(
+            `Expected records [${expected.join(', ')}], got [${actual.join(', ')}]`,
+          );
+        }
+      } else if (matchMode === 'contains') {
+        missing.forEach((value) => errors.push(`Missing record: ${value}`));
+      } else if (missing.length === expected.length) {
+        errors.push(
+          `None of the expected records [${expected.join(', ')}] found in [${actual.join(', ')}]`,
+        );
+      }
+    }
+
+    return { isValid: errors.length === 0, errors };
+  }
+}
+
+export default DnsCheckService;
@@ -253,6 +253,90 @@ class EmailService {
     }
   }
 
+  /**
+   * Send degraded alert email (monitor is up but slower than its warning threshold)
+   * @param {Object} monitor - Monitor object
+   * @param {Object} checkResult - Check result object
+   * @returns {Promise<boolean>}
+   */
+  async sendDegradedAlert(monitor, checkResult) {
+    if (!this.isReady()) {
+      logger.warn('Email service not configured. Skipping degraded alert.');
+      return false;
+    }
+
+    try {
+      const subject = `🟠 WARNING: "${monitor.name}" is DEGRADED`;
+
+      const htmlContent = this._generateDegradedEmailHTML(monitor, checkResult);
+      const textContent = this._generateDegradedEmailText(monitor, checkResult);
+
+      const recipients = this._getRecipients(monitor);
+
+      if (recipients.length === 0) {
+        logger.warn(`No recipients configured for monitor: ${monitor.name}`);
+        return false;
+      }
+
+      await this._sendEmail(recipients, subject, textContent, htmlContent);
+
+      logger.info(`✅ Degraded alert sent for monitor: ${monitor.name}`);
+      return true;
+    } catch (error) {
+      logger.error(
+        `Failed to send degraded alert for ${monitor.name}:`,
+        error.message,
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Send content change alert email (response content differs from the previous check)
+   * @param {Object} monitor - Monitor object
+   * @param {Object} checkResult - Check result object with responseMetadata.contentChange
+   * @returns {Promise<boolean>}
+   */
+  async sendContentChangedAlert(monitor, checkResult) {
+    if (!this.isReady()) {
+      logger.warn(
+        'Email service not configured. Skipping content change alert.',
+      );
+      return false;
+    }
+
+    try {
+      const subject = `🔵 CHANGE: "${monitor.name}" content changed`;
+
+      const htmlContent = this._generateContentChangedEmailHTML(
+        monitor,
+        checkResult,
+      );
+      const textContent = this._generateContentChangedEmailText(
+        monitor,
+        checkResult,
+      );
+
+      const recipients = this._getRecipients(monitor);
+
+      if (recipients.length === 0) {
+        logger.warn(`No recipients configured for monitor: ${monitor.name}`);
+        return false;
+      }
+
+      await this._sendEmail(recipients, subject, textContent, htmlContent);
+
+      logger.info(`✅ Content change alert sent for monitor: ${monitor.name}`);
+      return true;
+    } catch (error) {
+      logger.error(
+        `Failed to send content change alert for ${monitor.name}:`,
+        error.message,
+      );
+      throw error;
+    }
+  }
+
   /**
    * Send recovery alert email (optional - can be disabled)
    * @param {Object} monitor - Monitor object
@@ -374,6 +458,16 @@ class EmailService {
               <span class="label">URL:</span>
               <span class="value">${monitor.url}</span>
             </div>
+            ${
+              checkResult.location
+                ? `
+            <div class="info-row">
+              <span class="label">Location:</span>
+              <span class="value">${checkResult.location}</span>
+            </div>
+            `
+                : ''
+            }
             <div class="info-row">
               <span class="label">Status:</span>
               <span class="value"><span class="status-badge status-down">DOWN</span></span>
@@ -453,7 +547,7 @@ class EmailService {
 
 Monitor: ${monitor.name}
 URL: ${monitor.url}
-Status: FAILURE
+${checkResult.location ? `Location: ${checkResult.location}\n` : ''}Status: FAILURE
 Time: ${new Date(checkResult.checkedAt).toLocaleString()}
 
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -491,6 +585,247 @@ You are receiving this because you are subscribed to alerts for this monitor.
     `.trim();
   }
 
+  /**
+   * Generate HTML email content for degraded alert
+   * @private
+   */
+  _generateDegradedEmailHTML(monitor, checkResult) {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #f97316; color: white; padding: 20px; border-radius: 5px; }
+          .content { background: #f9fafb; padding: 20px; border-radius: 5px; margin-top: 20px; }
+          .info-row { display: flex; justify-content: space-between; padding: 10px 0; border-bottom: 1px solid #e5e7eb; }
+          .label { font-weight: bold; color: #6b7280; }
+          .value { color: #111827; }
+          .warning-box { background: #ffedd5; border-left: 4px solid #f97316; padding: 15px; margin: 15px 0; border-radius: 4px; }
+          .footer { text-align: center; margin-top: 20px; color: #6b7280; font-size: 12px; }
+          .status-badge { display: inline-block; padding: 5px 10px; border-radius: 4px; font-weight: bold; }
+          .status-degraded { background: #ffedd5; color: #9a3412; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>🟠 Monitor Warning: DEGRADED</h1>
+            <h2 style="margin: 10px 0 0 0;">${monitor.name}</h2>
+          </div>
+          
+          <div class="content">
+            <div class="warning-box">
+              <h3 style="margin-top: 0; color: #9a3412;">⚠️ Slow Responses</h3>
+              <p>${checkResult.errorMessage || 'The monitor is responding slower than its warning threshold.'}</p>
+            </div>
+            
+            <div class="info-row">
+              <span class="label">Monitor:</span>
+              <span class="value">${monitor.name}</span>
+            </div>
+            <div class="info-row">
+              <span class="label">URL:</span>
+              <span class="value">${monitor.url}</span>
+            </div>
+            ${
+              checkResult.location
+                ? `
+            <div class="info-row">
+              <span class="label">Location:</span>
+              <span class="value">${checkResult.location}</span>
+            </div>
+            `
+                : ''
+            }
+            <div class="info-row">
+              <span class="label">Status:</span>
+              <span class="value"><span class="status-badge status-degraded">DEGRADED</span></span>
+            </div>
+            <div class="info-row">
+              <span class="label">Time:</span>
+              <span class="value">${new Date(checkResult.checkedAt).toLocaleString()}</span>
+            </div>
+            <div class="info-row">
+              <span class="label">HTTP Status:</span>
+              <span class="value">${checkResult.httpStatus || 'N/A'}</span>
+            </div>
+            <div class="info-row">
+              <span class="label">Latency:</span>
+              <span class="value">${checkResult.latency}ms</span>
+            </div>
+          </div>
+          
+          <div class="footer">
+            <p>This is an automated alert from MonitorHealth</p>
+            <p>You are receiving this because you are subscribed to alerts for this monitor</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Generate plain text email content for degraded alert
+   * @private
+   */
+  _generateDegradedEmailText(monitor, checkResult) {
+    return `
+🟠 MONITOR WARNING: DEGRADED
+
+Monitor: ${monitor.name}
+URL: ${monitor.url}
+${checkResult.location ? `Location: ${checkResult.location}\n` : ''}Status: DEGRADED
+Time: ${new Date(checkResult.checkedAt).toLocaleString()}
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+⚠️ ${checkResult.errorMessage || 'The monitor is responding slower than its warning threshold.'}
+
+HTTP Status: ${checkResult.httpStatus || 'N/A'}
+Latency: ${checkResult.latency}ms
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+This is an automated alert from MonitorHealth.
+You are receiving this because you are subscribed to alerts for this monitor.
+    `.trim();
+  }
+
+  /**
+   * Generate HTML email content for content change alert
+   * @private
+   */
+  _generateContentChangedEmailHTML(monitor, checkResult) {
+    const change = checkResult.responseMetadata?.contentChange || {};
+    const diffLines = this._formatDiffLines(change.lines)
+      .map((line) => {
+        const color = line.startsWith('+')
+          ? '#166534'
+          : line.startsWith('-')
+            ? '#991b1b'
+            : '#6b7280';
+        return `<div style="color: ${color};">${this._escapeHtml(line) || '&nbsp;'}</div>`;
+      })
+      .join('');
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #2563eb; color: white; padding: 20px; border-radius: 5px; }
+          .content { background: #f9fafb; padding: 20px; border-radius: 5px; margin-top: 20px; }
+          .info-row { display: flex; justify-content: space-between; padding: 10px 0; border-bottom: 1px solid #e5e7eb; }
+          .label { font-weight: bold; color: #6b7280; }
+          .value { color: #111827; }
+          .diff { background: white; border: 1px solid #e5e7eb; padding: 10px; margin-top: 15px; font-family: monospace; font-size: 12px; white-space: pre-wrap; overflow-x: auto; }
+          .footer { text-align: center; margin-top: 20px; color: #6b7280; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>🔵 Content Changed</h1>
+            <h2 style="margin: 10px 0 0 0;">${monitor.name}</h2>
+          </div>
+          
+          <div class="content">
+            <div class="info-row">
+              <span class="label">Monitor:</span>
+              <span class="value">${monitor.name}</span>
+            </div>
+            <div class="info-row">
+              <span class="label">URL:</span>
+              <span class="value">${monitor.url}</span>
+            </div>
+            ${
+              checkResult.location
+                ? `
+            <div class="info-row">
+              <span class="label">Location:</span>
+              <span class="value">${checkResult.location}</span>
+            </div>
+            `
+                : ''
+            }
+            <div class="info-row">
+              <span class="label">Time:</span>
+              <span class="value">${new Date(checkResult.checkedAt).toLocaleString()}</span>
+            </div>
+            <div class="info-row">
+              <span class="label">Changes:</span>
+              <span class="value">+${change.added || 0} / -${change.removed || 0} lines</span>
+            </div>
+            <div class="diff">${diffLines}</div>
+          </div>
+          
+          <div class="footer">
+            <p>This is an automated alert from MonitorHealth</p>
+            <p>You are receiving this because you are subscribed to alerts for this monitor</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Generate plain text email content for content change alert
+   * @private
+   */
+  _generateContentChangedEmailText(monitor, checkResult) {
+    const change = checkResult.responseMetadata?.contentChange || {};
+
+    return `
+🔵 CONTENT CHANGED
+
+Monitor: ${monitor.name}
+URL: ${monitor.url}
+${checkResult.location ? `Location: ${checkResult.location}\n` : ''}Time: ${new Date(checkResult.checkedAt).toLocaleString()}
+Changes: +${change.added || 0} / -${change.removed || 0} lines
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+${this._formatDiffLines(change.lines).join('\n')}
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+This is an automated alert from MonitorHealth.
+You are receiving this because you are subscribed to alerts for this monitor.
+    `.trim();
+  }
+
+  /**
+   * Format stored diff lines as unified diff text ("+ added", "- removed")
+   * @private
+   */
+  _formatDiffLines(lines = []) {
+    const prefixes = { added: '+ ', removed: '- ', equal: '  ' };
+
+    return lines.map((line) =>
+      line.type === 'skip'
+        ? `@@ ${line.count} unchanged lines @@`
+        : `${prefixes[line.type]}${line.text}`,
+    );
+  }
+
+  /**
+   * Escape text for use in HTML email content
+   * @private
+   */
+  _escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
   /**
    * Generate HTML email content for recovery alert
    * @private
@@ -535,6 +870,16 @@ You are receiving this because you are subscribed to alerts for this monitor.
               <span class="label">URL:</span>
               <span class="value">${monitor.url}</span>
             </div>
+            ${
+              checkResult.location
+                ? `
+            <div class="info-row">
+              <span class="label">Location:</span>
+              <span class="value">${checkResult.location}</span>
+            </div>
+            `
+                : ''
+            }
             <div class="info-row">
               <span class="label">Status:</span>
               <span class="value"><span class="status-badge status-up">UP</span></span>
@@ -572,7 +917,7 @@ You are receiving this because you are subscribed to alerts for this monitor.
 
 Monitor: ${monitor.name}
 URL: ${monitor.url}
-Status: RECOVERED
+${checkResult.location ? `Location: ${checkResult.location}\n` : ''}Status: RECOVERED
 Time: ${new Date(checkResult.checkedAt).toLocaleString()}
 
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
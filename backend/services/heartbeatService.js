@@ -0,0 +1,61 @@
+import crypto from 'crypto';
+
+/**
+ * Heartbeat service
+ * Helpers for push-based monitors that are kept alive by incoming pings
+ */
+
+export const HEARTBEAT_SIGNALS = ['ping', 'start', 'fail'];
+
+// Default time allowed past checkIntervalSeconds before a missed ping counts as down
+const DEFAULT_GRACE_PERIOD = 300; // seconds
+
+export class HeartbeatService {
+  /**
+   * Generate a new secret ping token
+   * @returns {String}
+   */
+  static generateToken() {
+    return crypto.randomBytes(24).toString('hex');
+  }
+
+  /**
+   * Validate a heartbeat monitor configuration
+   * Throws with a user-facing message when the configuration is invalid
+   * @param {Object} config - { gracePeriod }
+   */
+  static validateConfig(config = {}) {
+    if (
+      config.gracePeriod !== undefined &&
+      (!Number.isInteger(config.gracePeriod) || config.gracePeriod < 0)
+    ) {
+      throw new Error('Grace period must be a non-negative number of seconds');
+    }
+  }
+
+  /**
+   * Get the grace period of a monitor
+   * @param {Object} monitor
+   * @returns {Number} Grace period in seconds
+   */
+  static getGracePeriod(monitor) {
+    const gracePeriod = monitor.typeConfig?.gracePeriod;
+    return Number.isInteger(gracePeriod) ? gracePeriod : DEFAULT_GRACE_PERIOD;
+  }
+
+  /**
+   * Calculate when the next ping is due at the latest
+   * @param {Object} monitor
+   * @param {Date} from - Time of the last ping (defaults to now)
+   * @returns {Date}
+   */
+  static getDeadline(monitor, from = new Date()) {
+    return new Date(
+      from.getTime() +
+        monitor.checkIntervalSeconds * 1000 +
+        this.getGracePeriod(monitor) * 1000,
+    );
+  }
+}
+
+export default HeartbeatService;
@@ -5,14 +5,45 @@ import {
   CheckResultRepository,
   AlertRepository,
   SettingsRepository,
+  CheckJobRepository,
+  ALERT_TYPES,
 } from '../repositories/index.js';
 import AuthService from './authService.js';
+import TcpCheckService from './tcpCheckService.js';
+import DnsCheckService from './dnsCheckService.js';
+import HeartbeatService from './heartbeatService.js';
+import TransactionService from './transactionService.js';
+import ConnectionService from './connectionService.js';
+import VariableService from './variableService.js';
+import ChangeDetectionService from './changeDetectionService.js';
 import EmailService from './emailService.js';
+import SchedulerService from './schedulerService.js';
 import sseService from './sseService.js';
 import { ResponseValidator } from '../utils/validator.js';
+import { RequestTimer, addTimings } from '../utils/requestTimer.js';
+import { maskSecrets } from '../utils/encryption.js';
 import logger from '../utils/logger.js';
 import { v4 as uuidv4 } from 'uuid';
 
+// Error codes that raise a certificate alert instead of a generic failure
+const CERTIFICATE_ERROR_CODES = ['CERT_EXPIRES_SOON', 'CERT_HAS_EXPIRED'];
+
+// Redirects followed by HTTP monitors unless typeConfig.maxRedirects says otherwise
+const DEFAULT_MAX_REDIRECTS = 10;
+
+// Limits for monitors without timeoutMs / maxResponseBytes
+// (REQUEST_TIMEOUT overrides the default timeout)
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_MAX_RESPONSE_BYTES = 10 * 1024 * 1024;
+
+// Error codes of timed out requests, connections and DNS lookups
+const TIMEOUT_ERROR_CODES = [
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'ETIMEOUT',
+  'ERR_CANCELED',
+];
+
 /**
  * Core monitoring service
  * Performs health checks, validates responses, saves results, triggers alerts
@@ -20,11 +51,12 @@ import { v4 as uuidv4 } from 'uuid';
 
 export class MonitorService {
   /**
-   * Execute a health check for a monitor
+   * Execute a health check for a monitor and record its result
    * @param {String|Object} monitorId - Monitor ID or Monitor document
+   * @param {Object} options - { isRetry: true for confirmation re-runs }
    * @returns {Object} Check result
    */
-  static async executeCheck(monitorId) {
+  static async executeCheck(monitorId, options = {}) {
     let monitor;
 
     // Fetch monitor if ID is provided (number or string)
@@ -40,6 +72,34 @@ export class MonitorService {
       monitor = monitorId;
     }
 
+    // Secrets and variables the monitor references are resolved when it runs
+    const variables =
+      VariableService.findReferences(monitor).length > 0
+        ? await VariableService.getValues(monitor.userId)
+        : undefined;
+
+    const checkResult = await this.runCheck(monitor, { ...options, variables });
+    const savedResult = await this.recordCheckResult(monitor, checkResult);
+
+    if (this.isAwaitingConfirmation(monitor, checkResult)) {
+      await this.scheduleRetry(monitor);
+    }
+
+    return savedResult;
+  }
+
+  /**
+   * Run a health check without recording it
+   * Only reads the monitor (heartbeat checks excepted), so probe agents use
+   * it to run leased checks away from the database.
+   * @param {Object} monitor
+   * @param {Object} options - { isRetry: true for confirmation re-runs,
+   *   variables: values of the secrets and variables the monitor references
+   *   (see VariableService.getValues) }
+   * @returns {Object} Check result to pass to recordCheckResult (auth and
+   *   resolved secret values masked)
+   */
+  static async runCheck(monitor, options = {}) {
     const correlationId = uuidv4();
 
     logger.info('Monitor check started', {
@@ -52,8 +112,11 @@ export class MonitorService {
       },
     });
 
-    // Early validation - check if URL exists
-    if (!monitor.url || monitor.url.trim() === '') {
+    // Early validation - check if URL exists (heartbeat monitors have none)
+    if (
+      monitor.type !== 'heartbeat' &&
+      (!monitor.url || monitor.url.trim() === '')
+    ) {
       logger.error('Monitor URL validation failed', {
         type: 'monitor',
         correlationId,
@@ -71,7 +134,8 @@ export class MonitorService {
       );
     }
 
-    const startTime = Date.now();
+    // Checks may move startTime past setup work (e.g. authentication)
+    const context = { correlationId, startTime: Date.now() };
     const checkResult = {
       monitorId: monitor.id,
       status: 'failure',
@@ -80,82 +144,40 @@ export class MonitorService {
       errorMessage: null,
       validationErrors: [],
       responseData: null,
+      isRetry: Boolean(options.isRetry),
       checkedAt: new Date(),
     };
 
-    try {
-      // Step 1: Sanitize and validate URL
-      const sanitizedUrl = (monitor.url || '')
-        .replace(/[\u200B-\u200D\uFEFF]/g, '') // remove zero-width/invisible chars
-        .trim();
-      try {
-        // throws if invalid
+    // Secrets the requests may carry, e.g. in URLs and redirect hops
+    let secrets = VariableService.getSecretValues(options.variables);
 
-        new URL(sanitizedUrl);
-      } catch (e) {
-        throw new Error(`Invalid URL: ${sanitizedUrl || '(empty)'} ${e}`);
-      }
-
-      // Step 2: Authenticate if required
-      const authData = await AuthService.authenticate(monitor);
-
-      // Step 3: Make HTTP request
-      const response = await axios({
-        method: 'GET',
-        url: sanitizedUrl,
-        headers: {
-          ...authData.headers,
-          'User-Agent': 'MonitorHealth/1.0',
-          ...(authData.cookies && { Cookie: authData.cookies }),
-        },
-        timeout: process.env.REQUEST_TIMEOUT || 30000,
-        validateStatus: () => true, // Accept any status code
-      });
-
-      const endTime = Date.now();
-      checkResult.latency = endTime - startTime;
-      checkResult.httpStatus = response.status;
-
-      // Store response data (truncated to 2000 chars for storage)
-      const responseStr = JSON.stringify(response.data);
-      checkResult.responseData = responseStr.substring(0, 2000);
-
-      // Store response metadata
-      checkResult.responseMetadata = {
-        statusText: response.statusText,
-        contentType: response.headers?.['content-type'] || 'unknown',
-        contentLength: response.headers?.['content-length'] || 'unknown',
-        server: response.headers?.['server'] || 'unknown',
-        date: response.headers?.['date'] || new Date().toISOString(),
-        responseSize: responseStr.length,
-      };
-
-      // Log response receipt (omit sensitive data)
-      logger.info('Response received', {
-        type: 'monitor',
-        correlationId,
-        monitorId: monitor.id,
-        statusCode: response.status,
-        latencyMs: endTime - startTime,
-      });
-
-      // Step 3: Validate response
-      const validation = ResponseValidator.validate(
-        response,
-        monitor.validationRules,
-      );
+    try {
+      // Unknown references fail the check with the UNDEFINED_VARIABLE code
+      const target = options.variables
+        ? VariableService.resolveMonitor(monitor, options.variables)
+        : monitor;
+      secrets = [...secrets, ...AuthService.getSecretValues(target.authConfig)];
 
-      if (validation.isValid) {
-        checkResult.status = 'success';
-        checkResult.errorMessage = null;
-      } else {
-        checkResult.status = 'failure';
-        checkResult.validationErrors = validation.errors;
-        checkResult.errorMessage = `Validation failed: ${validation.errors.join(', ')}`;
+      switch (monitor.type) {
+        case 'tcp':
+          await this.performTcpCheck(target, checkResult);
+          break;
+        case 'dns':
+          await this.performDnsCheck(target, checkResult);
+          break;
+        case 'heartbeat':
+          await this.performHeartbeatCheck(monitor, checkResult);
+          break;
+        case 'transaction':
+          await this.performTransactionCheck(target, checkResult, context);
+          break;
+        case 'http':
+        default:
+          await this.performHttpCheck(target, checkResult, context);
       }
     } catch (error) {
       const endTime = Date.now();
-      checkResult.latency = endTime - startTime;
+      checkResult.latency = endTime - context.startTime;
       checkResult.status = 'failure';
 
       // Enhanced error details
@@ -187,6 +209,7 @@ export class MonitorService {
         ];
       } else if (error.code) {
         // Network/connection error
+        checkResult.errorCode = error.code;
         checkResult.errorMessage = `${error.code}: ${error.message}`;
         checkResult.validationErrors = [
           `Error Code: ${error.code}`,
@@ -204,18 +227,132 @@ export class MonitorService {
 
       logger.error(
         `Check failed for ${monitor?.name || monitor?.id || 'unknown'}:`,
-        error.message,
+        maskSecrets(error.message, secrets),
       );
     }
 
+    if (monitor.type !== 'heartbeat') {
+      this.applyLatencyThresholds(monitor, checkResult);
+    }
+
+    // Secrets never reach check history, SSE or the UI
+    return maskSecrets(checkResult, secrets);
+  }
+
+  /**
+   * Grade a successful check against the monitor's latency thresholds
+   * Above criticalLatencyMs the check fails; above warnLatencyMs it stays
+   * successful but the monitor is reported as degraded.
+   * @param {Object} monitor
+   * @param {Object} checkResult - Check result being built (mutated)
+   */
+  static applyLatencyThresholds(monitor, checkResult) {
+    if (checkResult.status !== 'success') {
+      return;
+    }
+
+    const { warnLatencyMs, criticalLatencyMs } = monitor.validationRules || {};
+    const { latency } = checkResult;
+
+    if (criticalLatencyMs && latency >= criticalLatencyMs) {
+      const message = `Latency ${latency}ms exceeds critical threshold of ${criticalLatencyMs}ms`;
+      checkResult.status = 'failure';
+      checkResult.errorCode = 'LATENCY_CRITICAL';
+      checkResult.errorMessage = message;
+      checkResult.validationErrors = [message];
+    } else if (warnLatencyMs && latency >= warnLatencyMs) {
+      checkResult.degraded = true;
+      checkResult.errorMessage = `Latency ${latency}ms exceeds warning threshold of ${warnLatencyMs}ms`;
+    }
+  }
+
+  /**
+   * Whether a failed check still needs confirmation before the monitor goes down
+   * True while the failure streak, including this check, is within retriesBeforeDown
+   * @param {Object} monitor - Monitor as it was before the check
+   * @param {Object} checkResult
+   * @returns {Boolean}
+   */
+  static isAwaitingConfirmation(monitor, checkResult) {
+    if (
+      checkResult.status === 'success' ||
+      monitor.type === 'heartbeat' ||
+      monitor.status === 'down'
+    ) {
+      return false;
+    }
+
+    const failures = (monitor.consecutiveFailures || 0) + 1;
+    return failures <= (monitor.retriesBeforeDown || 0);
+  }
+
+  /**
+   * Queue a re-run of a failed check after the monitor's retry interval
+   * The retry is a check job, so it survives restarts; it is skipped when the
+   * monitor was disabled or deleted meanwhile (see SchedulerService).
+   * @param {Object} monitor
+   */
+  static async scheduleRetry(monitor) {
+    const attempt = (monitor.consecutiveFailures || 0) + 1;
+    const delaySeconds = monitor.retryIntervalSeconds || 20;
+
+    logger.info(
+      `Retrying ${monitor.name} in ${delaySeconds}s to confirm failure (retry ${attempt}/${monitor.retriesBeforeDown})`,
+    );
+
+    try {
+      const job = await CheckJobRepository.enqueue({
+        monitorId: monitor.id,
+        runAt: new Date(Date.now() + delaySeconds * 1000),
+        isRetry: true,
+      });
+      SchedulerService.wake(job.runAt);
+    } catch (error) {
+      logger.error(`Failed to queue retry for ${monitor.name}:`, error.message);
+    }
+  }
+
+  /**
+   * Get the monitor status a check result leads to
+   * Unconfirmed failures keep the current status until the retries run out.
+   * @param {Object} monitor - Monitor as it was before the check
+   * @param {Object} checkResult
+   * @returns {String} 'up', 'degraded' or 'down' (or the current status)
+   */
+  static getMonitorStatus(monitor, checkResult) {
+    if (this.isAwaitingConfirmation(monitor, checkResult)) {
+      return monitor.status;
+    }
+
+    if (checkResult.status !== 'success') {
+      return 'down';
+    }
+
+    return checkResult.degraded ? 'degraded' : 'up';
+  }
+
+  /**
+   * Save a check result and propagate it to stats, alerts and SSE clients
+   * @param {Object} monitor - Monitor the result belongs to (status before the check)
+   * @param {Object} checkResult
+   * @param {Object} options - { status: monitor status to apply instead of
+   *   the one derived from this result (checks from several locations) }
+   * @returns {Object} Saved check result
+   */
+  static async recordCheckResult(monitor, checkResult, options = {}) {
+    const status =
+      options.status || this.getMonitorStatus(monitor, checkResult);
+
+    await this.detectContentChange(monitor, checkResult);
+
     // Step 4: Save check result
     const savedResult = await CheckResultRepository.create(checkResult);
 
     // Step 5: Update monitor statistics
-    await this.updateMonitorStats(monitor, checkResult);
+    await this.updateMonitorStats(monitor, checkResult, status);
 
     // Step 6: Handle alerts
-    await this.handleAlerts(monitor, checkResult);
+    await this.handleAlerts(monitor, checkResult, status);
 
     // Step 7: Emit real-time log event via SSE (only to monitor owner)
     sseService.emitLog(monitor.userId, {
@@ -227,9 +364,13 @@ export class MonitorService {
       httpStatus: checkResult.httpStatus,
       latency: checkResult.latency,
       errorMessage: checkResult.errorMessage,
+      errorCode: checkResult.errorCode,
       validationErrors: checkResult.validationErrors,
       responseData: checkResult.responseData,
       responseMetadata: checkResult.responseMetadata,
+      timings: checkResult.timings,
+      location: checkResult.location,
+      isRetry: checkResult.isRetry,
       checkedAt: checkResult.checkedAt,
     });
 
@@ -243,14 +384,648 @@ export class MonitorService {
     return savedResult;
   }
 
+  /**
+   * Perform an HTTP check and fill in the check result
+   * Throws on request errors so executeCheck can record them. A 401 response
+   * to a cached token is retried once with a fresh token.
+   * @param {Object} monitor
+   * @param {Object} checkResult - Check result being built (mutated)
+   * @param {Object} context - { correlationId, startTime } (startTime is
+   *   moved past authentication)
+   */
+  static async performHttpCheck(monitor, checkResult, context) {
+    const { correlationId } = context;
+
+    // Step 1: Sanitize and validate URL
+    const sanitizedUrl = this.sanitizeUrl(monitor.url);
+
+    // Step 2: Authenticate if required
+    const authStart = Date.now();
+    const authData = await AuthService.authenticate(monitor);
+    const authLatency = Date.now() - authStart;
+
+    // Headline latency covers the monitored request only, not the auth round-trip
+    context.startTime = Date.now();
+
+    // Step 3: Make HTTP request
+    const method = (monitor.method || 'GET').toUpperCase();
+    const headers = {
+      'User-Agent': 'MonitorHealth/1.0',
+      ...(monitor.headers || {}),
+      ...authData.headers,
+      ...(authData.cookies && { Cookie: authData.cookies }),
+    };
+    // Fresh agents per check time each phase and capture the peer certificate;
+    // they also carry the monitor's proxy and TLS settings
+    const timer = new RequestTimer();
+    const agents = ConnectionService.createAgents(
+      monitor.connectionConfig,
+      timer,
+    );
+    const { httpsAgent } = agents;
+
+    // Record every redirect hop; without following, a 3xx is the final response
+    const { followRedirects = true, maxRedirects = DEFAULT_MAX_REDIRECTS } =
+      monitor.typeConfig || {};
+    const redirects = [];
+    let finalUrl = sanitizedUrl;
+    let hopStart = context.startTime;
+    const limits = this.getRequestLimits(monitor);
+    const data = this.buildRequestBody(method, monitor.body, headers);
+    // Query API keys and request signatures; finalUrl keeps the unsigned URL
+    const request = AuthService.signRequest(monitor, {
+      method,
+      url: sanitizedUrl,
+      headers,
+      body: data,
+    });
+
+    let response;
+    try {
+      response = await axios({
+        method,
+        url: request.url,
+        headers: request.headers,
+        data,
+        ...this.getLimitOptions(limits),
+        validateStatus: () => true, // Accept any status code
+        maxRedirects: followRedirects ? maxRedirects : 0,
+        beforeRedirect: (options, { statusCode, headers: hopHeaders }) => {
+          const now = Date.now();
+          redirects.push({
+            url: finalUrl,
+            status: statusCode,
+            location: hopHeaders.location,
+            latency: now - hopStart,
+          });
+          finalUrl = options.href;
+          hopStart = now;
+        },
+        ...agents,
+      });
+    } catch (error) {
+      // Keep the certificate of failed TLS handshakes, the hops and the phases reached
+      if (httpsAgent.certificate || redirects.length > 0) {
+        checkResult.responseMetadata = {
+          ...(httpsAgent.certificate && {
+            certificate: httpsAgent.certificate,
+          }),
+          ...(redirects.length > 0 && { redirects }),
+        };
+      }
+      checkResult.timings = { ...timer.getTimings(), auth: authLatency };
+      throw this.normalizeRequestError(error, limits);
+    }
+
+    // A cached token may have been revoked; retry once with a fresh one
+    if (response.status === 401 && authData.cached) {
+      AuthService.invalidate(monitor.id);
+      return await this.performHttpCheck(monitor, checkResult, context);
+    }
+
+    const endTime = Date.now();
+    checkResult.latency = endTime - context.startTime;
+    checkResult.timings = { ...timer.getTimings(), auth: authLatency };
+    checkResult.httpStatus = response.status;
+
+    // A redirect that was not followed is the last hop of the chain
+    if (
+      response.status >= 300 &&
+      response.status < 400 &&
+      response.headers?.location
+    ) {
+      redirects.push({
+        url: finalUrl,
+        status: response.status,
+        location: response.headers.location,
+        latency: endTime - hopStart,
+      });
+    }
+
+    // Store response data (truncated to 2000 chars for storage)
+    const responseStr = JSON.stringify(response.data);
+    checkResult.responseData = responseStr.substring(0, 2000);
+
+    // Store response metadata
+    checkResult.responseMetadata = {
+      statusText: response.statusText,
+      contentType: response.headers?.['content-type'] || 'unknown',
+      contentLength: response.headers?.['content-length'] || 'unknown',
+      server: response.headers?.['server'] || 'unknown',
+      date: response.headers?.['date'] || new Date().toISOString(),
+      responseSize: responseStr.length,
+      finalUrl,
+      redirects,
+      ...(httpsAgent.certificate && { certificate: httpsAgent.certificate }),
+    };
+
+    // Log response receipt (omit sensitive data)
+    logger.info('Response received', {
+      type: 'monitor',
+      correlationId,
+      monitorId: monitor.id,
+      statusCode: response.status,
+      latencyMs: checkResult.latency,
+    });
+
+    // Fail early when the certificate is close to expiry
+    const certificateError = ResponseValidator.validateCertificate(
+      httpsAgent.certificate,
+      monitor.validationRules,
+    );
+    if (certificateError) {
+      const error = new Error(certificateError);
+      error.code = 'CERT_EXPIRES_SOON';
+      throw error;
+    }
+
+    // Step 3: Validate response
+    const validation = ResponseValidator.validate(
+      response,
+      monitor.validationRules,
+      { finalUrl },
+    );
+
+    if (validation.isValid) {
+      checkResult.status = 'success';
+      checkResult.errorMessage = null;
+      this.captureContent(monitor, checkResult, response.data);
+    } else {
+      checkResult.status = 'failure';
+      checkResult.validationErrors = validation.errors;
+      checkResult.errorMessage = `Validation failed: ${validation.errors.join(', ')}`;
+    }
+  }
+
+  /**
+   * Hash the compared content of a response (see ChangeDetectionService)
+   * The snapshot is kept on the result until detectContentChange decides
+   * whether it needs to be stored.
+   * @param {Object} monitor
+   * @param {Object} checkResult - Successful check result (mutated)
+   * @param {*} data - Response body
+   */
+  static captureContent(monitor, checkResult, data) {
+    const config = monitor.typeConfig?.changeDetection;
+    if (!config?.enabled) {
+      return;
+    }
+
+    const content = ChangeDetectionService.getContent(data, config);
+    checkResult.contentHash = ChangeDetectionService.hash(content);
+    checkResult.contentSnapshot = ChangeDetectionService.toSnapshot(content);
+  }
+
+  /**
+   * Compare captured content with the last snapshot from the same location
+   * Every check records the content hash; the content itself is stored when
+   * it differs from the last snapshot, together with a diff in
+   * responseMetadata.contentChange (except for the first, baseline snapshot).
+   * @param {Object} monitor
+   * @param {Object} checkResult - Check result (mutated)
+   */
+  static async detectContentChange(monitor, checkResult) {
+    const { contentHash: hash } = checkResult;
+    if (!hash) {
+      return;
+    }
+
+    const previous = await CheckResultRepository.findLatestSnapshot(
+      monitor.id,
+      checkResult.agentId,
+    );
+    if (previous?.contentHash === hash) {
+      delete checkResult.contentSnapshot;
+      return;
+    }
+
+    if (!previous) {
+      return;
+    }
+
+    checkResult.contentChanged = true;
+    checkResult.responseMetadata = {
+      ...checkResult.responseMetadata,
+      contentChange: {
+        previousCheckId: previous.id,
+        previousHash: previous.contentHash,
+        hash,
+        ...ChangeDetectionService.diff(
+          previous.contentSnapshot,
+          checkResult.contentSnapshot,
+        ),
+      },
+    };
+  }
+
+  /**
+   * Perform a multi-step transaction check and fill in the check result
+   * Steps run in order and share {{variables}} extracted from earlier
+   * responses; the check fails at the first broken step. Per-step outcomes
+   * are stored in responseMetadata.steps; timings are summed over all steps.
+   * Like HTTP checks, a 401 to a cached token reruns the transaction once.
+   * @param {Object} monitor
+   * @param {Object} checkResult - Check result being built (mutated)
+   * @param {Object} context - { startTime } (startTime is moved past
+   *   authentication)
+   */
+  static async performTransactionCheck(monitor, checkResult, context) {
+    const { steps = [] } = monitor.typeConfig || {};
+    const variables = {};
+    const stepResults = [];
+    checkResult.responseMetadata = { steps: stepResults };
+
+    // Monitor-level authentication applies to every step
+    const authStart = Date.now();
+    const authData = await AuthService.authenticate(monitor);
+    checkResult.timings = { auth: Date.now() - authStart };
+    context.startTime = Date.now();
+    const limits = this.getRequestLimits(monitor);
+
+    for (const [index, step] of steps.entries()) {
+      const label = `Step ${index + 1}${step.name ? ` "${step.name}"` : ''}`;
+      const method = (step.method || 'GET').toUpperCase();
+      const stepResult = {
+        name: step.name || `Step ${index + 1}`,
+        method,
+        url: step.url,
+        status: 'failure',
+        httpStatus: null,
+        latency: 0,
+        errors: [],
+      };
+      stepResults.push(stepResult);
+
+      const stepStart = Date.now();
+      const timer = new RequestTimer();
+      let response;
+      try {
+        const url = this.sanitizeUrl(
+          TransactionService.interpolate(step.url, variables),
+        );
+        const headers = {
+          'User-Agent': 'MonitorHealth/1.0',
+          ...TransactionService.interpolateHeaders(step.headers, variables),
+          ...authData.headers,
+          ...(authData.cookies && { Cookie: authData.cookies }),
+        };
+        const body = TransactionService.interpolate(step.body, variables);
+        const data = this.buildRequestBody(method, body, headers);
+        const request = AuthService.signRequest(monitor, {
+          method,
+          url,
+          headers,
+          body: data,
+        });
+
+        stepResult.url = url;
+        response = await axios({
+          method,
+          url: request.url,
+          headers: request.headers,
+          data,
+          ...this.getLimitOptions(limits),
+          validateStatus: () => true, // Accept any status code
+          ...ConnectionService.createAgents(monitor.connectionConfig, timer),
+        });
+      } catch (error) {
+        stepResult.latency = Date.now() - stepStart;
+        stepResult.timings = timer.getTimings();
+        addTimings(checkResult.timings, stepResult.timings);
+        this.normalizeRequestError(error, limits);
+        stepResult.errors = [
+          error.code ? `${error.code}: ${error.message}` : error.message,
+        ];
+        error.message = `${label}: ${error.message}`;
+        throw error;
+      }
+
+      // A cached token may have been revoked; rerun once with a fresh one
+      if (response.status === 401 && authData.cached) {
+        AuthService.invalidate(monitor.id);
+        return await this.performTransactionCheck(
+          monitor,
+          checkResult,
+          context,
+        );
+      }
+
+      stepResult.latency = Date.now() - stepStart;
+      stepResult.timings = timer.getTimings();
+      addTimings(checkResult.timings, stepResult.timings);
+      stepResult.httpStatus = response.status;
+      checkResult.httpStatus = response.status;
+      checkResult.responseData = JSON.stringify(response.data).substring(
+        0,
+        2000,
+      );
+
+      const validation = ResponseValidator.validate(
+        response,
+        step.validationRules || { statusCode: 200 },
+      );
+      const extraction = TransactionService.extractVariables(
+        response,
+        step.extract,
+      );
+      const errors = [...validation.errors, ...extraction.errors];
+
+      if (errors.length > 0) {
+        stepResult.errors = errors;
+        checkResult.latency = Date.now() - context.startTime;
+        checkResult.status = 'failure';
+        checkResult.validationErrors = errors;
+        checkResult.errorMessage = `${label} failed: ${errors.join(', ')}`;
+        return;
+      }
+
+      // Only names are kept in the result, values may be credentials
+      stepResult.status = 'success';
+      stepResult.extracted = Object.keys(extraction.variables);
+      Object.assign(variables, extraction.variables);
+    }
+
+    checkResult.latency = Date.now() - context.startTime;
+    checkResult.status = 'success';
+  }
+
+  /**
+   * Get the request timeout and response size limit of a monitor
+   * @param {Object} monitor
+   * @returns {Object} { timeoutMs, maxResponseBytes }
+   */
+  static getRequestLimits(monitor) {
+    return {
+      timeoutMs:
+        monitor.timeoutMs ||
+        parseInt(process.env.REQUEST_TIMEOUT) ||
+        DEFAULT_TIMEOUT_MS,
+      maxResponseBytes: monitor.maxResponseBytes || DEFAULT_MAX_RESPONSE_BYTES,
+    };
+  }
+
+  /**
+   * Get the axios options enforcing a monitor's request limits
+   * @param {Object} limits - { timeoutMs, maxResponseBytes }
+   * @returns {Object}
+   */
+  static getLimitOptions({ timeoutMs, maxResponseBytes }) {
+    return {
+      // timeout only limits socket inactivity; the signal caps the whole request
+      timeout: timeoutMs,
+      signal: AbortSignal.timeout(timeoutMs),
+      // The download is aborted as soon as the body grows past the limit
+      maxContentLength: maxResponseBytes,
+    };
+  }
+
+  /**
+   * Give timeouts and oversized responses their own error codes
+   * Timeouts become TIMEOUT, responses over maxResponseBytes RESPONSE_TOO_LARGE;
+   * other errors are left as they are.
+   * @param {Error} error - Request, connection or lookup error (mutated)
+   * @param {Object} limits - { timeoutMs, maxResponseBytes }
+   * @returns {Error} error
+   */
+  static normalizeRequestError(error, { timeoutMs, maxResponseBytes }) {
+    if (TIMEOUT_ERROR_CODES.includes(error.code)) {
+      error.code = 'TIMEOUT';
+      error.message = `Timed out after ${timeoutMs}ms`;
+    } else if (
+      error.code === 'ERR_BAD_RESPONSE' &&
+      error.message.includes('maxContentLength')
+    ) {
+      error.code = 'RESPONSE_TOO_LARGE';
+      error.message = `Response exceeded the limit of ${maxResponseBytes} bytes`;
+    }
+
+    return error;
+  }
+
+  /**
+   * Remove invisible characters from a URL and make sure it parses
+   * @param {String} url
+   * @returns {String} Sanitized URL
+   */
+  static sanitizeUrl(url) {
+    const sanitizedUrl = (url || '')
+      .replace(/[\u200B-\u200D\uFEFF]/g, '') // remove zero-width/invisible chars
+      .trim();
+    try {
+      // throws if invalid
+
+      new URL(sanitizedUrl);
+    } catch (e) {
+      throw new Error(`Invalid URL: ${sanitizedUrl || '(empty)'} ${e}`);
+    }
+
+    return sanitizedUrl;
+  }
+
+  /**
+   * Perform a TCP connect check and fill in the check result
+   * @param {Object} monitor
+   * @param {Object} checkResult - Check result being built (mutated)
+   */
+  static async performTcpCheck(monitor, checkResult) {
+    const { host, port } = TcpCheckService.parseTarget(monitor.url);
+
+    const limits = this.getRequestLimits(monitor);
+
+    let connection;
+    try {
+      connection = await TcpCheckService.check(host, port, limits.timeoutMs);
+    } catch (error) {
+      throw this.normalizeRequestError(error, limits);
+    }
+
+    checkResult.latency = connection.latency;
+    checkResult.status = 'success';
+    checkResult.responseMetadata = {
+      host,
+      port,
+      remoteAddress: connection.remoteAddress,
+    };
+  }
+
+  /**
+   * Perform a DNS lookup check and fill in the check result
+   * The resolved records are stored in responseMetadata
+   * @param {Object} monitor
+   * @param {Object} checkResult - Check result being built (mutated)
+   */
+  static async performDnsCheck(monitor, checkResult) {
+    const config = monitor.typeConfig || {};
+    const hostname = monitor.url.trim();
+    const recordType = (config.recordType || 'A').toUpperCase();
+
+    const limits = this.getRequestLimits(monitor);
+
+    let resolution;
+    try {
+      resolution = await DnsCheckService.resolve(hostname, recordType, {
+        resolver: config.resolver,
+        timeout: limits.timeoutMs,
+      });
+    } catch (error) {
+      throw this.normalizeRequestError(error, limits);
+    }
+    const { records, latency } = resolution;
+
+    checkResult.latency = latency;
+    checkResult.responseData = JSON.stringify(records).substring(0, 2000);
+    checkResult.responseMetadata = {
+      hostname,
+      recordType,
+      resolver: config.resolver || 'system',
+      records,
+    };
+
+    const match = DnsCheckService.matchRecords(
+      records,
+      config.expectedValues,
+      config.matchMode,
+    );
+
+    if (match.isValid) {
+      checkResult.status = 'success';
+    } else {
+      checkResult.status = 'failure';
+      checkResult.validationErrors = match.errors;
+      checkResult.errorMessage = `Validation failed: ${match.errors.join(', ')}`;
+    }
+  }
+
+  /**
+   * Evaluate a heartbeat monitor and fill in the check result
+   * Nothing is requested; the monitor is up while the last ping is recent
+   * @param {Object} monitor
+   * @param {Object} checkResult - Check result being built (mutated)
+   */
+  static async performHeartbeatCheck(monitor, checkResult) {
+    // Re-read the ping time, a ping may have arrived after the monitor was loaded
+    const current = await MonitorRepository.findById(monitor.id);
+    const lastHeartbeatAt = current?.lastHeartbeatAt || monitor.lastHeartbeatAt;
+    const deadline = lastHeartbeatAt
+      ? HeartbeatService.getDeadline(monitor, lastHeartbeatAt)
+      : null;
+
+    checkResult.latency = 0;
+    checkResult.responseMetadata = {
+      heartbeat: 'check',
+      lastHeartbeatAt,
+      deadline,
+      gracePeriod: HeartbeatService.getGracePeriod(monitor),
+    };
+
+    if (deadline && deadline.getTime() >= Date.now()) {
+      checkResult.status = 'success';
+      return;
+    }
+
+    checkResult.status = 'failure';
+    checkResult.errorMessage = lastHeartbeatAt
+      ? `No heartbeat received since ${lastHeartbeatAt.toISOString()}`
+      : 'No heartbeat received yet';
+    checkResult.validationErrors = [
+      checkResult.errorMessage,
+      `Expected every ${monitor.checkIntervalSeconds}s plus ${checkResult.responseMetadata.gracePeriod}s grace period`,
+    ];
+  }
+
+  /**
+   * Record an incoming heartbeat ping
+   * - ping: the job succeeded, stored as a successful check
+   * - fail: the job reported a failure, stored as a failed check
+   * - start: the job started; only remembered to measure its duration
+   * @param {Object} monitor
+   * @param {String} signal - One of HEARTBEAT_SIGNALS
+   * @param {Object} details - { body, sourceIp, userAgent }
+   * @returns {Object|null} Saved check result (null for start signals)
+   */
+  static async recordHeartbeat(monitor, signal, details = {}) {
+    const now = new Date();
+
+    if (signal === 'start') {
+      await MonitorRepository.updateById(monitor.id, {
+        heartbeatStartedAt: now,
+      });
+      return null;
+    }
+
+    const isFailure = signal === 'fail';
+    const checkResult = {
+      monitorId: monitor.id,
+      status: isFailure ? 'failure' : 'success',
+      httpStatus: null,
+      // Job duration when a start signal preceded this ping
+      latency: monitor.heartbeatStartedAt
+        ? now.getTime() - monitor.heartbeatStartedAt.getTime()
+        : 0,
+      errorMessage: isFailure ? 'Job reported failure' : null,
+      validationErrors: isFailure ? ['Job reported failure'] : [],
+      responseData: details.body ? details.body.substring(0, 2000) : null,
+      responseMetadata: {
+        heartbeat: signal,
+        startedAt: monitor.heartbeatStartedAt,
+        sourceIp: details.sourceIp,
+        userAgent: details.userAgent,
+      },
+      checkedAt: now,
+    };
+
+    // The scheduler only evaluates the monitor again once the next ping is overdue
+    await MonitorRepository.updateById(monitor.id, {
+      lastHeartbeatAt: now,
+      heartbeatStartedAt: null,
+      nextCheckTime: HeartbeatService.getDeadline(monitor, now),
+    });
+
+    return await this.recordCheckResult(monitor, checkResult);
+  }
+
+  /**
+   * Prepare the request body for a monitor check
+   * Bodies are sent as-is; a JSON Content-Type is added when the body parses
+   * as JSON and no Content-Type header was configured
+   * @param {String} method - HTTP method
+   * @param {String|null} body - Raw body from the monitor
+   * @param {Object} headers - Request headers (mutated)
+   * @returns {String|undefined} Body to send
+   */
+  static buildRequestBody(method, body, headers) {
+    if (!body || method === 'GET' || method === 'HEAD') {
+      return undefined;
+    }
+
+    const hasContentType = Object.keys(headers).some(
+      (name) => name.toLowerCase() === 'content-type',
+    );
+
+    if (!hasContentType) {
+      try {
+        JSON.parse(body);
+        headers['Content-Type'] = 'application/json';
+      } catch {
+        headers['Content-Type'] = 'application/x-www-form-urlencoded';
+      }
+    }
+
+    return body;
+  }
+
   /**
    * Update monitor statistics after a check
    * @param {Object} monitor
    * @param {Object} checkResult
+   * @param {String} newStatus - Status the check leads to (getMonitorStatus)
    */
-  static async updateMonitorStats(monitor, checkResult) {
+  static async updateMonitorStats(
+    monitor,
+    checkResult,
+    newStatus = this.getMonitorStatus(monitor, checkResult),
+  ) {
     const previousStatus = monitor.status;
-    const newStatus = checkResult.status === 'success' ? 'up' : 'down';
 
     // Safeguard against undefined/NaN numeric fields on legacy docs
     const prevTotalChecks =
@@ -310,17 +1085,21 @@ export class MonitorService {
    * ONLY sends alerts for monitor failures (not recoveries by default)
    * @param {Object} monitor
    * @param {Object} checkResult
+   * @param {String} newStatus - Status the check leads to (getMonitorStatus)
    */
-  static async handleAlerts(monitor, checkResult) {
+  static async handleAlerts(
+    monitor,
+    checkResult,
+    newStatus = this.getMonitorStatus(monitor, checkResult),
+  ) {
     const currentStatus = monitor.status;
-    const newStatus = checkResult.status === 'success' ? 'up' : 'down';
 
     // Check if status changed
     const statusChanged =
       currentStatus !== newStatus && currentStatus !== 'pending';
 
-    if (!statusChanged) {
-      return; // No alert needed - status hasn't changed
+    if (!statusChanged && !checkResult.contentChanged) {
+      return; // No alert needed - status and content haven't changed
     }
 
     // Get alert recipients - use monitor emails or default from settings
@@ -354,13 +1133,27 @@ export class MonitorService {
     // Temporarily update monitor object with recipients for email service
     const monitorWithRecipients = { ...monitor, alertEmails: recipients };
 
+    if (checkResult.contentChanged) {
+      await this.sendContentChangedAlert(
+        monitorWithRecipients,
+        checkResult,
+        recipients,
+      );
+    }
+
+    if (!statusChanged) {
+      return;
+    }
+
     let alertType = null;
     let emailSent = false;
     let emailError = null;
 
     // FAILURE ALERT - Monitor went DOWN
-    if (currentStatus === 'up' && newStatus === 'down') {
-      alertType = 'failure';
+    if (['up', 'degraded'].includes(currentStatus) && newStatus === 'down') {
+      alertType = CERTIFICATE_ERROR_CODES.includes(checkResult.errorCode)
+        ? ALERT_TYPES.CERTIFICATE_EXPIRY
+        : ALERT_TYPES.FAILURE;
       logger.warn(`🔴 Monitor FAILED: ${monitor.name}`);
 
       try {
@@ -375,9 +1168,31 @@ export class MonitorService {
         );
       }
     }
-    // RECOVERY ALERT - Monitor came back UP (optional)
-    else if (currentStatus === 'down' && newStatus === 'up') {
-      alertType = 'recovery';
+    // DEGRADED ALERT - Monitor responds, but slower than the warning threshold
+    else if (currentStatus === 'up' && newStatus === 'degraded') {
+      alertType = ALERT_TYPES.DEGRADED;
+      logger.warn(`🟠 Monitor DEGRADED: ${monitor.name}`);
+
+      try {
+        await EmailService.sendDegradedAlert(
+          monitorWithRecipients,
+          checkResult,
+        );
+        emailSent = true;
+        logger.info(
+          `✅ Degraded alert email sent for monitor: ${monitor.name}`,
+        );
+      } catch (error) {
+        emailError = error.message;
+        logger.error(
+          `❌ Failed to send degraded alert email for ${monitor.name}:`,
+          error.message,
+        );
+      }
+    }
+    // RECOVERY ALERT - Monitor came back UP or DEGRADED (optional)
+    else if (currentStatus === 'down') {
+      alertType = ALERT_TYPES.RECOVERY;
       logger.info(`🟢 Monitor RECOVERED: ${monitor.name}`);
 
       try {
@@ -417,6 +1232,46 @@ export class MonitorService {
     }
   }
 
+  /**
+   * Send and log a content change alert
+   * Raised on every detected change, independently of status changes
+   * @param {Object} monitor - Monitor with alert recipients
+   * @param {Object} checkResult - Check result with responseMetadata.contentChange
+   * @param {Array<String>} recipients
+   */
+  static async sendContentChangedAlert(monitor, checkResult, recipients) {
+    const { added, removed } = checkResult.responseMetadata.contentChange;
+    let emailSent = false;
+    let emailError = null;
+
+    logger.info(`🔵 Content CHANGED: ${monitor.name}`);
+
+    try {
+      await EmailService.sendContentChangedAlert(monitor, checkResult);
+      emailSent = true;
+    } catch (error) {
+      emailError = error.message;
+      logger.error(
+        `❌ Failed to send content change alert email for ${monitor.name}:`,
+        error.message,
+      );
+    }
+
+    try {
+      await AlertRepository.create({
+        monitorId: monitor.id,
+        alertType: ALERT_TYPES.CONTENT_CHANGED,
+        message: `Content changed (+${added} / -${removed} lines)`,
+        recipients,
+        emailSent,
+        emailError,
+        sentAt: new Date(),
+      });
+    } catch (error) {
+      logger.error('Failed to log alert in database:', error.message);
+    }
+  }
+
   /**
    * Get monitor uptime statistics for a time period
    * @param {String} monitorId
@@ -1,21 +1,77 @@
-import cron from 'node-cron';
-import pLimit from 'p-limit';
-import { MonitorRepository } from '../repositories/index.js';
+import os from 'os';
+import {
+  MonitorRepository,
+  LeaderLeaseRepository,
+  CheckJobRepository,
+  SettingsRepository,
+} from '../repositories/index.js';
 import MonitorService from './monitorService.js';
+import AuthService from './authService.js';
 import logger from '../utils/logger.js';
+import { getNextRun } from '../utils/cron.js';
 
 /**
  * Scheduler service for running periodic health checks
- * Uses node-cron to check monitors at their configured intervals
+ * Sleeps until the earliest nextCheckTime of the enabled monitors and queues a
+ * check job for every monitor that is due, so intervals are kept to the
+ * second. Monitors run every checkIntervalSeconds, or on their cron schedule
+ * when one is set.
+ *
+ * Several backend replicas can run the scheduler: due monitors are queued
+ * atomically (see MonitorRepository.enqueueDueChecks) and each job is claimed
+ * by one replica only, so every run is checked and alerted on once. Jobs are
+ * stored in check_jobs, so queued checks and failure retries survive
+ * restarts. One replica holds the leader lease and runs the singleton tasks.
  */
 
+// Longest sleep between looking for due monitors; picks up monitors that were
+// created or rescheduled without waking the scheduler
+const MAX_SLEEP_MS = 5000;
+
+// Max concurrent checks per replica; jobs are only claimed for free slots so
+// due checks are spread over the replicas. Changed at runtime through the
+// checkConcurrency setting.
+const DEFAULT_CONCURRENCY = parseInt(process.env.MAX_CONCURRENT_CHECKS) || 10;
+const MAX_CONCURRENCY = 100;
+const CONCURRENCY_SETTING = 'checkConcurrency';
+
+// Max monitors queued per scheduler run
+const ENQUEUE_BATCH_SIZE = 100;
+
+// Job and leader leases are renewed on every heartbeat; a lease that is not
+// renewed in time is taken over
+const HEARTBEAT_MS = 10 * 1000;
+const JOB_LEASE_TTL_MS = 30 * 1000;
+const LEADER_LEASE = 'scheduler';
+const LEADER_LEASE_TTL_MS = 30 * 1000;
+
+// Jobs of a stopped replica are queued again up to this many attempts
+const MAX_JOB_ATTEMPTS = 3;
+
+// Finished jobs are kept for the queue statistics, then deleted by the leader
+const JOB_RETENTION_MS = 24 * 60 * 60 * 1000;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Window of the done and failed counts of the queue status
+const QUEUE_STATS_WINDOW_MS = 60 * 60 * 1000;
+
 export class SchedulerService {
-  static cronJob = null;
+  static timer = null;
   static isRunning = false;
+  static nextRunAt = null;
+  // Set while run() is in progress; wakes meanwhile are deferred to its end
+  static isRunInProgress = false;
+  static deferredWakeAt = null;
+  // IDs of the check jobs running on this replica
+  static activeJobs = new Set();
+  static concurrency = DEFAULT_CONCURRENCY;
+  static instanceId = `${os.hostname()}:${process.pid}`;
+  static isLeader = false;
+  static heartbeatAt = 0;
+  static cleanedUpAt = 0;
 
   /**
    * Start the scheduler
-   * Runs every minute to check which monitors need to be checked
    * NOTE: Monitors are only initialized when users log in
    */
   static start() {
@@ -24,29 +80,204 @@ export class SchedulerService {
       return;
     }
 
-    // Run every minute
-    this.cronJob = cron.schedule('* * * * *', async () => {
-      await this.checkScheduledMonitors();
-    });
-
     this.isRunning = true;
-    logger.info('Scheduler service started (interval: 1 minute)');
+    this.scheduleRun(0);
+    logger.info('Scheduler service started');
   }
 
   /**
    * Stop the scheduler
+   * Checks that are already running are allowed to finish. The leader lease
+   * is released so another replica takes over without waiting for it to
+   * expire.
    */
-  static stop() {
-    if (this.cronJob) {
-      this.cronJob.stop();
-      this.cronJob = null;
-    }
+  static async stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.nextRunAt = null;
     this.isRunning = false;
+    this.heartbeatAt = 0;
+
+    if (this.isLeader) {
+      this.isLeader = false;
+      try {
+        await LeaderLeaseRepository.release(LEADER_LEASE, this.instanceId);
+      } catch (error) {
+        logger.error('Failed to release scheduler leadership:', error.message);
+      }
+    }
+
     logger.info('Scheduler service stopped');
   }
 
   /**
-   * Initialize monitors on startup
+   * Wake the scheduler early when a monitor is due before its next run
+   * @param {Date} nextCheckTime - New nextCheckTime of a monitor
+   */
+  static wake(nextCheckTime) {
+    if (!this.isRunning || !nextCheckTime) {
+      return;
+    }
+
+    // A second run would claim jobs for the slots the current run is filling
+    if (this.isRunInProgress) {
+      if (!this.deferredWakeAt || nextCheckTime < this.deferredWakeAt) {
+        this.deferredWakeAt = nextCheckTime;
+      }
+      return;
+    }
+
+    if (!this.nextRunAt || nextCheckTime < this.nextRunAt) {
+      this.scheduleRun(nextCheckTime.getTime() - Date.now());
+    }
+  }
+
+  /**
+   * Schedule the next scheduler run
+   * @param {Number} delay - Milliseconds from now (clamped to 0..MAX_SLEEP_MS)
+   */
+  static scheduleRun(delay) {
+    clearTimeout(this.timer);
+    const sleep = Math.min(Math.max(delay, 0), MAX_SLEEP_MS);
+    this.nextRunAt = new Date(Date.now() + sleep);
+    this.timer = setTimeout(() => this.run(), sleep);
+  }
+
+  /**
+   * Queue due monitors and run due jobs, then sleep until the next one is due
+   * Runs never overlap, so at most `concurrency` jobs are claimed.
+   */
+  static async run() {
+    this.timer = null;
+    this.nextRunAt = null;
+    if (this.isRunInProgress) {
+      this.deferredWakeAt = new Date();
+      return;
+    }
+    this.isRunInProgress = true;
+    this.deferredWakeAt = null;
+
+    let nextCheckTime = null;
+    let nextJobAt = null;
+    try {
+      await this.heartbeat();
+      await this.enqueueDueChecks();
+      await this.checkScheduledMonitors();
+
+      try {
+        [nextCheckTime, nextJobAt] = await Promise.all([
+          MonitorRepository.findNextCheckTime(),
+          CheckJobRepository.findNextRunAt(),
+        ]);
+      } catch (error) {
+        logger.error('Failed to find next check time:', error.message);
+      }
+    } finally {
+      this.isRunInProgress = false;
+    }
+
+    // stop() or start() may have run while this run was in progress
+    if (this.isRunning && !this.timer) {
+      // With every slot busy, queued jobs wait until a check finishes
+      const isFull = this.activeJobs.size >= this.concurrency;
+      const nextRunAt = [nextCheckTime, isFull ? null : nextJobAt]
+        .concat(this.deferredWakeAt)
+        .filter(Boolean)
+        .reduce((earliest, date) => (date < earliest ? date : earliest), null);
+
+      this.scheduleRun(
+        nextRunAt ? nextRunAt.getTime() - Date.now() : MAX_SLEEP_MS,
+      );
+    }
+  }
+
+  /**
+   * Renew the leases of the running jobs and the leader lease, and pick up
+   * concurrency changes (at most every HEARTBEAT_MS)
+   */
+  static async heartbeat() {
+    if (Date.now() - this.heartbeatAt < HEARTBEAT_MS) {
+      return;
+    }
+    this.heartbeatAt = Date.now();
+
+    try {
+      await CheckJobRepository.renewLeases(
+        [...this.activeJobs],
+        this.instanceId,
+        JOB_LEASE_TTL_MS,
+      );
+    } catch (error) {
+      logger.error('Failed to renew check job leases:', error.message);
+    }
+
+    await this.loadConcurrency();
+    await this.renewLeadership();
+
+    if (this.isLeader) {
+      await this.maintainQueue();
+    }
+  }
+
+  /**
+   * Take or renew the leader lease
+   * A replica that becomes leader runs the singleton tasks, so they run
+   * again on the replica that takes over when the leader goes away.
+   */
+  static async renewLeadership() {
+    let isLeader = false;
+    try {
+      isLeader = await LeaderLeaseRepository.acquire(
+        LEADER_LEASE,
+        this.instanceId,
+        LEADER_LEASE_TTL_MS,
+      );
+    } catch (error) {
+      logger.error('Failed to renew scheduler leadership:', error.message);
+    }
+
+    if (isLeader === this.isLeader) {
+      return;
+    }
+    this.isLeader = isLeader;
+
+    if (isLeader) {
+      logger.info(`Scheduler leadership acquired by ${this.instanceId}`);
+      await this.initializeMonitors();
+      await this.encryptStoredCredentials();
+    } else {
+      logger.warn(`Scheduler leadership lost by ${this.instanceId}`);
+    }
+  }
+
+  /**
+   * Encrypt auth secrets stored in plain text before they were encrypted at
+   * rest (leader only)
+   */
+  static async encryptStoredCredentials() {
+    try {
+      const monitors = await MonitorRepository.findAll();
+      let encrypted = 0;
+
+      for (const monitor of monitors) {
+        if (AuthService.hasPlainTextSecrets(monitor.authConfig)) {
+          await MonitorRepository.updateById(monitor.id, {
+            authConfig: AuthService.prepareForStorage(monitor.authConfig),
+          });
+          encrypted++;
+        }
+      }
+
+      if (encrypted > 0) {
+        logger.info(`Encrypted the credentials of ${encrypted} monitors`);
+      }
+    } catch (error) {
+      logger.error('Failed to encrypt stored credentials:', error.message);
+    }
+  }
+
+  /**
+   * Initialize monitors when this replica becomes the leader
    * Calculate nextCheckTime for monitors that don't have one
    */
   static async initializeMonitors() {
@@ -56,13 +287,15 @@ export class SchedulerService {
       for (const monitor of monitors) {
         if (!monitor.nextCheckTime) {
           // Schedule first check
-          const nextCheck = new Date();
+          let nextCheck = new Date();
 
-          if (monitor.lastCheckTime) {
+          if (monitor.schedule) {
+            nextCheck = this.getNextCheckTime(monitor);
+          } else if (monitor.lastCheckTime) {
             // If monitor was checked before, schedule based on last check
             nextCheck.setTime(
               monitor.lastCheckTime.getTime() +
-                monitor.checkInterval * 60 * 1000,
+                monitor.checkIntervalSeconds * 1000,
             );
           } else {
             // If never checked, schedule for immediate check
@@ -86,86 +319,149 @@ export class SchedulerService {
   }
 
   /**
-   * Check which monitors are due for a health check and execute them
-   * Only checks monitors for currently logged-in users
+   * Queue again the jobs of replicas that stopped while running them, and
+   * delete old finished jobs (leader only)
    */
+  static async maintainQueue() {
+    try {
+      const { requeued, failed } =
+        await CheckJobRepository.recoverExpired(MAX_JOB_ATTEMPTS);
+      if (requeued > 0 || failed > 0) {
+        logger.warn(
+          `Recovered check jobs of stopped replicas: ${requeued} queued again, ${failed} failed`,
+        );
+      }
+
+      if (Date.now() - this.cleanedUpAt >= CLEANUP_INTERVAL_MS) {
+        this.cleanedUpAt = Date.now();
+        const deleted = await CheckJobRepository.deleteFinishedBefore(
+          new Date(Date.now() - JOB_RETENTION_MS),
+        );
+        logger.debug(`Deleted ${deleted} finished check job(s)`);
+      }
+    } catch (error) {
+      logger.error('Failed to maintain the check queue:', error.message);
+    }
+  }
+
   /**
-   * Check which monitors are due for a health check and execute them
-   * Runs for all enabled monitors regardless of user login status
+   * Queue a check job for the monitors that are due
+   * Runs for all enabled monitors regardless of user login status. Queuing
+   * reschedules the monitors, so the check duration does not affect the
+   * interval.
    */
-  static async checkScheduledMonitors() {
+  static async enqueueDueChecks() {
     try {
-      // Find all enabled monitors that are due for a check (no user filtering)
-      const dueMonitors = await MonitorRepository.findDueForCheck();
+      const { jobs, skipped } = await MonitorRepository.enqueueDueChecks(
+        ENQUEUE_BATCH_SIZE,
+        (monitor) => this.getNextCheckTime(monitor),
+      );
 
-      if (dueMonitors.length === 0) {
-        return; // No monitors due
+      // Runs never overlap; a check that outlasts its interval skips a run
+      for (const monitor of skipped) {
+        logger.warn(
+          `Monitor "${monitor.name}" is still being checked, skipping this run`,
+        );
       }
 
-      logger.info(`Found ${dueMonitors.length} monitor(s) due for check`);
+      if (jobs.length > 0) {
+        logger.debug(`Queued ${jobs.length} monitor(s) due for check`);
+      }
+    } catch (error) {
+      logger.error('Failed to queue due checks:', error.message);
+    }
+  }
 
-      // Execute checks with concurrency limit to prevent overwhelming the system
-      const limit = pLimit(10); // Max 10 concurrent monitor checks
+  /**
+   * Claim due check jobs for the free slots and run them
+   * Checks run in the background (at most `concurrency` at a time) so a slow
+   * monitor does not hold up the others; jobs that are due while every slot
+   * is busy stay queued for this or another replica to claim.
+   */
+  static async checkScheduledMonitors() {
+    const freeSlots = this.concurrency - this.activeJobs.size;
+    if (freeSlots <= 0) {
+      return;
+    }
 
-      const checkPromises = dueMonitors.map((monitor) =>
-        limit(() => this.executeMonitorCheck(monitor)),
+    try {
+      const jobs = await CheckJobRepository.claim(
+        freeSlots,
+        this.instanceId,
+        JOB_LEASE_TTL_MS,
       );
 
-      await Promise.allSettled(checkPromises);
-
-      logger.debug(`Completed ${dueMonitors.length} monitor check(s)`);
+      for (const job of jobs) {
+        this.activeJobs.add(job.id);
+        this.executeJob(job).finally(() => {
+          const wasFull = this.activeJobs.size >= this.concurrency;
+          this.activeJobs.delete(job.id);
+          if (wasFull) {
+            this.wake(new Date());
+          }
+        });
+      }
     } catch (error) {
       logger.error('Error in scheduler:', error.message);
     }
   }
 
   /**
-   * Execute a single monitor check
-   * @param {Object} monitor - Monitor document
+   * Calculate the next check time from the current one
+   * Based on the scheduled time rather than the check duration to avoid
+   * drift. Runs that were missed (e.g. while the server was down) are skipped
+   * instead of being caught up in a burst.
+   * @param {Object} monitor - { checkIntervalSeconds, nextCheckTime,
+   *   schedule, scheduleTimezone }
+   * @returns {Date|null} null when the cron schedule never runs again
+   */
+  static getNextCheckTime(monitor) {
+    if (monitor.schedule) {
+      return getNextRun(monitor.schedule, new Date(), monitor.scheduleTimezone);
+    }
+
+    const intervalMs = monitor.checkIntervalSeconds * 1000;
+    const now = Date.now();
+    const next = (monitor.nextCheckTime?.getTime() ?? now) + intervalMs;
+
+    return new Date(next > now ? next : now + intervalMs);
+  }
+
+  /**
+   * Run a claimed check job and record how it ended
+   * Monitors that were disabled or deleted while the job was queued are not
+   * checked. A job fails when its check could not run at all.
+   * @param {Object} job - Claimed check job
    */
-  static async executeMonitorCheck(monitor) {
+  static async executeJob(job) {
     const startTime = Date.now();
+    let error = null;
 
     try {
-      // Calculate next check time BEFORE executing to maintain accurate intervals
-      // Base it on the current nextCheckTime to avoid drift from check execution time
-      const nextCheck = new Date(monitor.nextCheckTime || new Date());
-      nextCheck.setMinutes(nextCheck.getMinutes() + monitor.checkInterval);
-
-      // Update nextCheckTime immediately to prevent duplicate checks
-      await MonitorRepository.updateById(monitor.id, {
-        nextCheckTime: nextCheck,
-      });
-
-      // Execute the check (can take time, but won't affect next interval)
-      await MonitorService.executeCheck(monitor);
-
-      const duration = Date.now() - startTime;
-      logger.debug(
-        `Monitor "${monitor.name}" check completed in ${duration}ms`,
-      );
-    } catch (error) {
-      logger.error(
-        `Failed to execute check for monitor ${monitor.name}:`,
-        error.message,
-      );
-
-      // On error, still schedule next check to avoid getting stuck
-      // But add a small delay to prevent rapid retries on persistent failures
-      const nextCheck = new Date();
-      const retryDelay = Math.min(monitor.checkInterval, 5); // Max 5 min delay
-      nextCheck.setMinutes(nextCheck.getMinutes() + retryDelay);
+      const monitor = await MonitorRepository.findById(job.monitorId);
+      if (monitor?.enabled) {
+        await MonitorService.executeCheck(monitor, { isRetry: job.isRetry });
 
-      try {
-        await MonitorRepository.updateById(monitor.id, {
-          nextCheckTime: nextCheck,
-        });
-      } catch (updateError) {
-        logger.error(
-          `Failed to update nextCheckTime for monitor ${monitor.name}:`,
-          updateError.message,
+        const duration = Date.now() - startTime;
+        logger.debug(
+          `Monitor "${monitor.name}" check completed in ${duration}ms`,
         );
       }
+    } catch (checkError) {
+      error = checkError.message;
+      logger.error(
+        `Failed to execute check job ${job.id} for monitor ${job.monitorId}:`,
+        checkError.message,
+      );
+    }
+
+    try {
+      await CheckJobRepository.complete(job.id, this.instanceId, error);
+    } catch (completeError) {
+      logger.error(
+        `Failed to complete check job ${job.id}:`,
+        completeError.message,
+      );
     }
   }
 
@@ -181,6 +477,87 @@ export class SchedulerService {
     return await MonitorService.executeCheck(monitorIdOrDoc);
   }
 
+  /**
+   * Load the concurrency limit from the checkConcurrency setting
+   */
+  static async loadConcurrency() {
+    try {
+      const value = await SettingsRepository.getValue(CONCURRENCY_SETTING);
+      this.concurrency =
+        value === null ? DEFAULT_CONCURRENCY : this.validateConcurrency(value);
+    } catch (error) {
+      logger.error('Failed to load check concurrency:', error.message);
+    }
+  }
+
+  /**
+   * Validate a concurrency limit
+   * Throws with a user-facing message when it is invalid
+   * @param {*} concurrency
+   * @returns {Number}
+   */
+  static validateConcurrency(concurrency) {
+    if (
+      !Number.isInteger(concurrency) ||
+      concurrency < 1 ||
+      concurrency > MAX_CONCURRENCY
+    ) {
+      throw new Error(
+        `Concurrency must be an integer between 1 and ${MAX_CONCURRENCY}`,
+      );
+    }
+    return concurrency;
+  }
+
+  /**
+   * Change the max concurrent checks of every replica
+   * Applies here right away; other replicas load it on their next heartbeat.
+   * @param {Number} concurrency
+   */
+  static async setConcurrency(concurrency) {
+    this.validateConcurrency(concurrency);
+    await SettingsRepository.upsert(
+      CONCURRENCY_SETTING,
+      concurrency,
+      'Max concurrent checks per backend replica',
+    );
+
+    this.concurrency = concurrency;
+    this.wake(new Date());
+  }
+
+  /**
+   * Get the state of the check queue
+   * Lags are 0 when nothing is late: schedulerLagMs is how long the most
+   * overdue monitor has waited to be queued, queueLagMs how long the oldest
+   * due job has waited for a free slot.
+   * @returns {Object}
+   */
+  static async getQueueStatus() {
+    const [counts, due, nextCheckTime, runningJobs, failedJobs] =
+      await Promise.all([
+        CheckJobRepository.countByStatus(
+          new Date(Date.now() - QUEUE_STATS_WINDOW_MS),
+        ),
+        CheckJobRepository.findDueSummary(),
+        MonitorRepository.findNextCheckTime(),
+        CheckJobRepository.findByStatus('running'),
+        CheckJobRepository.findByStatus('failed', 10),
+      ]);
+    const lag = (date) => (date ? Math.max(Date.now() - date.getTime(), 0) : 0);
+
+    return {
+      counts,
+      dueJobs: due.count,
+      schedulerLagMs: lag(nextCheckTime),
+      queueLagMs: lag(due.oldestRunAt),
+      concurrency: this.concurrency,
+      maxConcurrency: MAX_CONCURRENCY,
+      runningJobs,
+      failedJobs,
+    };
+  }
+
   /**
    * Get scheduler status
    * @returns {Object}
@@ -188,8 +565,11 @@ export class SchedulerService {
   static getStatus() {
     return {
       isRunning: this.isRunning,
-      cronExpression: '* * * * *',
-      description: 'Runs every 1 minute',
+      nextRunAt: this.nextRunAt,
+      activeChecks: this.activeJobs.size,
+      concurrency: this.concurrency,
+      instanceId: this.instanceId,
+      isLeader: this.isLeader,
     };
   }
 }
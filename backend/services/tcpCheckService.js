@@ -0,0 +1,76 @@
+import net from 'net';
+
+/**
+ * TCP check service
+ * Opens a TCP connection to a target and measures how long the connect takes
+ */
+
+export class TcpCheckService {
+  /**
+   * Parse a TCP target
+   * Accepts "host:port", "tcp://host:port" and "[ipv6]:port"
+   * @param {String} target
+   * @returns {Object} { host, port }
+   */
+  static parseTarget(target) {
+    const value = (target || '').trim().replace(/^tcp:\/\//i, '');
+    const match = value.match(/^(?:\[([^\]]+)\]|([^:/\s]+)):(\d{1,5})$/);
+
+    if (!match) {
+      throw new Error(
+        `Invalid TCP target: ${target || '(empty)'}. Expected host:port`,
+      );
+    }
+
+    const host = match[1] || match[2];
+    const port = parseInt(match[3]);
+
+    if (port < 1 || port > 65535) {
+      throw new Error(`Invalid TCP port: ${port}`);
+    }
+
+    return { host, port };
+  }
+
+  /**
+   * Connect to a TCP target
+   * Rejects with the socket error (code ECONNREFUSED, EHOSTUNREACH, ...) or
+   * an ETIMEDOUT error when the connection is not established in time
+   * @param {String} host
+   * @param {Number} port
+   * @param {Number} timeout - Connect timeout in milliseconds
+   * @returns {Promise<Object>} { host, port, remoteAddress, latency }
+   */
+  static check(host, port, timeout = 30000) {
+    return new Promise((resolve, reject) => {
+      const startTime = Date.now();
+      const socket = net.connect({ host, port });
+
+      socket.setTimeout(timeout);
+
+      socket.once('connect', () => {
+        const latency = Date.now() - startTime;
+        const remoteAddress = socket.remoteAddress;
+        socket.destroy();
+        resolve({ host, port, remoteAddress, latency });
+      });
+
+      socket.once('timeout', () => {
+        socket.destroy();
+        const error = new Error(`Connection timed out after ${timeout}ms`);
+        error.code = 'ETIMEDOUT';
+        error.syscall = 'connect';
+        error.address = host;
+        error.port = port;
+        reject(error);
+      });
+
+      socket.once('error', (error) => {
+        socket.destroy();
+        reject(error);
+      });
+    });
+  }
+}
+
+export default TcpCheckService;
@@ -0,0 +1,163 @@
+import { parseJsonPath, queryJsonPath } from '../utils/jsonPath.js';
+
+/**
+ * Transaction service
+ * Helpers for multi-step monitors: step validation, {{variable}}
+ * substitution and extraction of variables from step responses
+ */
+
+export const MAX_TRANSACTION_STEPS = 20;
+export const EXTRACT_SOURCES = ['body', 'header'];
+
+const VARIABLE_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+const VARIABLE_NAME_PATTERN = /^[A-Za-z_][\w-]*$/;
+
+export class TransactionService {
+  /**
+   * Validate the steps of a transaction monitor
+   * Throws with a user-facing message when the configuration is invalid.
+   * Request options (method, headers, body) are checked by the caller.
+   * @param {Object} config - { steps: [{ name, method, url, headers, body, validationRules, extract }] }
+   */
+  static validateConfig(config = {}) {
+    const { steps } = config;
+
+    if (!Array.isArray(steps) || steps.length === 0) {
+      throw new Error('A transaction needs at least one step');
+    }
+
+    if (steps.length > MAX_TRANSACTION_STEPS) {
+      throw new Error(
+        `A transaction can have at most ${MAX_TRANSACTION_STEPS} steps`,
+      );
+    }
+
+    steps.forEach((step, index) => {
+      const label = `Step ${index + 1}`;
+
+      if (!step || typeof step !== 'object' || Array.isArray(step)) {
+        throw new Error(`${label} must be an object`);
+      }
+
+      if (typeof step.url !== 'string' || step.url.trim() === '') {
+        throw new Error(`${label}: URL is required`);
+      }
+
+      if (
+        step.validationRules !== undefined &&
+        (typeof step.validationRules !== 'object' ||
+          Array.isArray(step.validationRules))
+      ) {
+        throw new Error(`${label}: validation rules must be an object`);
+      }
+
+      if (step.extract === undefined) {
+        return;
+      }
+
+      if (!Array.isArray(step.extract)) {
+        throw new Error(`${label}: extract must be an array`);
+      }
+
+      for (const rule of step.extract) {
+        if (!rule || !VARIABLE_NAME_PATTERN.test(rule.name || '')) {
+          throw new Error(
+            `${label}: invalid variable name "${rule?.name || ''}"`,
+          );
+        }
+        if (!EXTRACT_SOURCES.includes(rule.from)) {
+          throw new Error(
+            `${label}: extract source must be one of: ${EXTRACT_SOURCES.join(', ')}`,
+          );
+        }
+        if (rule.from === 'body') {
+          parseJsonPath(rule.path);
+        } else if (typeof rule.path !== 'string' || rule.path.trim() === '') {
+          throw new Error(`${label}: header name is required for ${rule.name}`);
+        }
+      }
+    });
+  }
+
+  /**
+   * Replace {{name}} placeholders with variable values
+   * Throws when a placeholder refers to an undefined variable
+   * @param {String} value
+   * @param {Object} variables - { name: value }
+   * @returns {String}
+   */
+  static interpolate(value, variables) {
+    if (typeof value !== 'string') {
+      return value;
+    }
+
+    return value.replace(VARIABLE_PATTERN, (placeholder, name) => {
+      if (!Object.prototype.hasOwnProperty.call(variables, name)) {
+        throw new Error(`Undefined variable: ${placeholder}`);
+      }
+      return variables[name];
+    });
+  }
+
+  /**
+   * Interpolate every value of a headers object
+   * @param {Object} headers
+   * @param {Object} variables
+   * @returns {Object}
+   */
+  static interpolateHeaders(headers, variables) {
+    return Object.fromEntries(
+      Object.entries(headers || {}).map(([name, value]) => [
+        name,
+        this.interpolate(value, variables),
+      ]),
+    );
+  }
+
+  /**
+   * Extract variables from a step response
+   * @param {Object} response - Axios response
+   * @param {Array<Object>} rules - [{ name, from: 'body'|'header', path }]
+   * @returns {Object} { variables: { name: value }, errors: string[] }
+   */
+  static extractVariables(response, rules = []) {
+    const variables = {};
+    const errors = [];
+
+    for (const rule of rules) {
+      let value;
+
+      if (rule.from === 'header') {
+        value = response.headers?.[rule.path.trim().toLowerCase()];
+        // Repeated headers (e.g. Set-Cookie) yield the first occurrence
+        if (Array.isArray(value)) {
+          [value] = value;
+        }
+      } else {
+        let data = response.data;
+        if (typeof data === 'string') {
+          try {
+            data = JSON.parse(data);
+          } catch {
+            // Not JSON, nothing to match
+          }
+        }
+        [value] = queryJsonPath(data, rule.path);
+      }
+
+      if (value === undefined || value === null) {
+        errors.push(
+          `Could not extract ${rule.name} from ${rule.from} ${rule.path}`,
+        );
+        continue;
+      }
+
+      variables[rule.name] =
+        typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+
+    return { variables, errors };
+  }
+}
+
+export default TransactionService;
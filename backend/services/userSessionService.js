@@ -73,7 +73,7 @@ export class UserSessionService {
             // If monitor was checked before, schedule based on last check
             nextCheck.setTime(
               monitor.lastCheckTime.getTime() +
-                monitor.checkInterval * 60 * 1000,
+                monitor.checkIntervalSeconds * 1000,
             );
           } else {
             // If never checked, schedule for immediate check
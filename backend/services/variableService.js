@@ -0,0 +1,273 @@
+import {
+  VariableRepository,
+  MonitorRepository,
+} from '../repositories/index.js';
+import AuthService from './authService.js';
+import {
+  encryptSecret,
+  decryptSecret,
+  isEncrypted,
+  SECRET_MASK,
+} from '../utils/encryption.js';
+
+/**
+ * Variable service
+ * Per-user secrets and variables that monitors reference as {{secrets.NAME}}
+ * and {{vars.NAME}} in their URL, headers, body and authConfig (and in the
+ * URL, headers and body of transaction steps). References are resolved when
+ * a check runs, so changing a value updates every monitor that uses it.
+ *
+ * Secret values are stored encrypted and returned by the API as SECRET_MASK.
+ */
+
+// Placeholder scope of secrets and of plain variables
+export const VARIABLE_SCOPES = { secret: 'secrets', variable: 'vars' };
+
+const REFERENCE_PATTERN = /\{\{\s*(secrets|vars)\.([A-Za-z_]\w*)\s*\}\}/g;
+const NAME_PATTERN = /^[A-Za-z_]\w*$/;
+const MAX_NAME_LENGTH = 100;
+const MAX_VALUE_LENGTH = 10000;
+
+export class VariableService {
+  /**
+   * Validate a secret or variable
+   * Throws with a user-facing message when it is invalid
+   * @param {Object} variable - { name, value, description }
+   */
+  static validateConfig({ name, value, description }) {
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+      throw new Error(
+        'Name must start with a letter or underscore and contain only letters, digits and underscores',
+      );
+    }
+    if (name.length > MAX_NAME_LENGTH) {
+      throw new Error(`Name must be at most ${MAX_NAME_LENGTH} characters`);
+    }
+
+    if (typeof value !== 'string' || value === '') {
+      throw new Error('Value is required');
+    }
+    if (value.length > MAX_VALUE_LENGTH) {
+      throw new Error(`Value must be at most ${MAX_VALUE_LENGTH} characters`);
+    }
+
+    if (description !== undefined && typeof description !== 'string') {
+      throw new Error('Description must be a string');
+    }
+  }
+
+  /**
+   * Get the value to store (secrets are encrypted)
+   * @param {Boolean} isSecret
+   * @param {String} value
+   * @returns {String}
+   */
+  static prepareValue(isSecret, value) {
+    return isSecret && !isEncrypted(value) ? encryptSecret(value) : value;
+  }
+
+  /**
+   * Get the placeholder key of a secret or variable
+   * @param {Object} variable - { name, isSecret }
+   * @returns {String} e.g. "secrets.API_KEY"
+   */
+  static getReference({ name, isSecret }) {
+    const scope = isSecret ? VARIABLE_SCOPES.secret : VARIABLE_SCOPES.variable;
+    return `${scope}.${name}`;
+  }
+
+  /**
+   * Prepare a secret or variable for a response
+   * @param {Object} variable
+   * @param {Array<Object>} monitors - Monitors that reference it ({ id, name })
+   * @returns {Object}
+   */
+  static toVariableResponse(variable, monitors = []) {
+    const { userId: _userId, ...rest } = variable;
+
+    return {
+      ...rest,
+      value: variable.isSecret ? SECRET_MASK : variable.value,
+      reference: `{{${this.getReference(variable)}}}`,
+      monitors,
+    };
+  }
+
+  /**
+   * Load the values of a user's secrets and variables (secrets decrypted)
+   * @param {Number} userId
+   * @returns {Object} { "secrets.NAME": value, "vars.NAME": value }
+   */
+  static async getValues(userId) {
+    const variables = await VariableRepository.findByUserId(userId);
+
+    return Object.fromEntries(
+      variables.map((variable) => [
+        this.getReference(variable),
+        variable.isSecret ? this.decryptValue(variable) : variable.value,
+      ]),
+    );
+  }
+
+  /**
+   * Find the monitors of a user that reference each secret or variable
+   * @param {Number} userId
+   * @returns {Map} Reference (e.g. "secrets.NAME") => [{ id, name }]
+   */
+  static async findUsage(userId) {
+    const monitors = await MonitorRepository.findByUserId(userId);
+    const usage = new Map();
+
+    for (const monitor of monitors) {
+      for (const reference of this.findReferences(monitor)) {
+        if (!usage.has(reference)) {
+          usage.set(reference, []);
+        }
+        usage.get(reference).push({ id: monitor.id, name: monitor.name });
+      }
+    }
+
+    return usage;
+  }
+
+  /**
+   * List the secrets and variables a monitor references
+   * @param {Object} monitor
+   * @returns {Array<String>} References, e.g. ["secrets.API_KEY"]
+   */
+  static findReferences(monitor) {
+    const references = new Set();
+
+    mapTemplates(monitor, (template) => {
+      for (const [, scope, name] of template.matchAll(REFERENCE_PATTERN)) {
+        references.add(`${scope}.${name}`);
+      }
+      return template;
+    });
+
+    return [...references];
+  }
+
+  /**
+   * Pick the values a monitor references
+   * Used to hand a monitor to a probe agent, which cannot load them
+   * @param {Object} monitor
+   * @param {Object} values - All values of the user (see getValues)
+   * @returns {Object} { "secrets.NAME": value } for the referenced entries
+   */
+  static pickValues(monitor, values) {
+    return Object.fromEntries(
+      this.findReferences(monitor)
+        .filter((reference) => Object.hasOwn(values, reference))
+        .map((reference) => [reference, values[reference]]),
+    );
+  }
+
+  /**
+   * Replace the secret and variable references of a monitor with their values
+   * Throws with the UNDEFINED_VARIABLE code when a reference is unknown
+   * @param {Object} monitor
+   * @param {Object} values - { "secrets.NAME": value } (see getValues)
+   * @returns {Object} Monitor copy with resolved fields (authConfig decrypted)
+   */
+  static resolveMonitor(monitor, values) {
+    return mapTemplates(monitor, (template) =>
+      template.replace(REFERENCE_PATTERN, (placeholder, scope, name) => {
+        const reference = `${scope}.${name}`;
+        if (!Object.hasOwn(values, reference)) {
+          const error = new Error(
+            `Undefined ${scope === VARIABLE_SCOPES.secret ? 'secret' : 'variable'}: ${placeholder}`,
+          );
+          error.code = 'UNDEFINED_VARIABLE';
+          throw error;
+        }
+        return values[reference];
+      }),
+    );
+  }
+
+  /**
+   * Get the values of the secrets among resolved values (see maskSecrets)
+   * @param {Object} values - { "secrets.NAME": value } (see getValues)
+   * @returns {Array<String>}
+   */
+  static getSecretValues(values = {}) {
+    return Object.entries(values)
+      .filter(([reference]) =>
+        reference.startsWith(`${VARIABLE_SCOPES.secret}.`),
+      )
+      .map(([, value]) => value);
+  }
+
+  /**
+   * Decrypt the value of a stored secret
+   * @param {Object} variable
+   * @returns {String}
+   */
+  static decryptValue(variable) {
+    if (!isEncrypted(variable.value)) {
+      return variable.value;
+    }
+
+    try {
+      return decryptSecret(variable.value);
+    } catch {
+      throw new Error(
+        `Unable to decrypt secret ${variable.name}; check ENCRYPTION_KEY`,
+      );
+    }
+  }
+}
+
+/**
+ * Copy a monitor, passing each field that may hold references through a
+ * function: url, headers, body, the string values of authConfig (decrypted)
+ * and the url, headers and body of transaction steps
+ * @param {Object} monitor
+ * @param {Function} transform - (template) => new value
+ * @returns {Object}
+ */
+function mapTemplates(monitor, transform) {
+  const mapString = (value) =>
+    typeof value === 'string' ? transform(value) : value;
+  const mapHeaders = (headers) =>
+    headers && typeof headers === 'object' && !Array.isArray(headers)
+      ? Object.fromEntries(
+          Object.entries(headers).map(([name, value]) => [
+            name,
+            mapString(value),
+          ]),
+        )
+      : headers;
+  const mapRequest = (request) => ({
+    ...request,
+    url: mapString(request.url),
+    headers: mapHeaders(request.headers),
+    body: mapString(request.body),
+  });
+
+  const authConfig = Object.fromEntries(
+    Object.entries(AuthService.decryptSecrets(monitor.authConfig)).map(
+      ([field, value]) => [
+        field,
+        field === 'headers' ? mapHeaders(value) : mapString(value),
+      ],
+    ),
+  );
+  const steps = monitor.typeConfig?.steps;
+
+  return {
+    ...mapRequest(monitor),
+    authConfig,
+    ...(Array.isArray(steps) && {
+      typeConfig: {
+        ...monitor.typeConfig,
+        steps: steps.map((step) =>
+          step && typeof step === 'object' ? mapRequest(step) : step,
+        ),
+      },
+    }),
+  };
+}
+
+export default VariableService;
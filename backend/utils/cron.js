@@ -0,0 +1,321 @@
+/**
+ * Cron expressions for monitor schedules
+ *
+ * Standard five fields (minute hour day-of-month month day-of-week) with
+ * lists, ranges, steps and month/weekday names, evaluated in an IANA time
+ * zone. As in Vixie cron, when both day fields are restricted a day matches
+ * if either of them matches. Local times skipped by a DST change do not run.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// How far ahead to look for a run before giving up (e.g. "0 0 30 2 *")
+const MAX_SEARCH_YEARS = 5;
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  {
+    name: 'month',
+    min: 1,
+    max: 12,
+    names: [
+      'JAN',
+      'FEB',
+      'MAR',
+      'APR',
+      'MAY',
+      'JUN',
+      'JUL',
+      'AUG',
+      'SEP',
+      'OCT',
+      'NOV',
+      'DEC',
+    ],
+  },
+  {
+    name: 'day of week',
+    min: 0,
+    max: 7,
+    names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'],
+  },
+];
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+const formatters = new Map();
+
+/**
+ * Parse a cron expression
+ * @param {String} expression - e.g. "0 9-17 * * MON-FRI" or "@daily"
+ * @returns {Object} { minutes, hours, days, months, weekdays } value sets
+ *   plus anyDay/anyWeekday flags
+ */
+export function parseCron(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new Error('Cron expression must be a non-empty string');
+  }
+
+  const source = MACROS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(
+      'Cron expression must have 5 fields: minute hour day-of-month month day-of-week',
+    );
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) =>
+    parseField(part, FIELDS[index]),
+  );
+
+  // 7 is an alias for Sunday
+  if (weekdays.delete(7)) {
+    weekdays.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2].startsWith('*'),
+    anyWeekday: parts[4].startsWith('*'),
+  };
+}
+
+/**
+ * Check that a time zone is a known IANA time zone
+ * Throws with a user-facing message when it is not
+ * @param {String} timezone - e.g. "Europe/Berlin"
+ */
+export function validateTimezone(timezone) {
+  if (typeof timezone !== 'string' || !timezone) {
+    throw new Error('Time zone must be a non-empty string');
+  }
+
+  try {
+    getFormatter(timezone);
+  } catch {
+    throw new Error(`Unknown time zone: ${timezone}`);
+  }
+}
+
+/**
+ * Find the first run of a cron expression after a point in time
+ * @param {String|Object} cron - Expression or output of parseCron
+ * @param {Date} from - Runs at or before this time are not returned
+ * @param {String} timezone - IANA time zone the expression is evaluated in
+ * @returns {Date|null} Next run, or null when there is none within 5 years
+ */
+export function getNextRun(cron, from, timezone = 'UTC') {
+  const schedule = typeof cron === 'string' ? parseCron(cron) : cron;
+
+  // Walk local wall-clock time (kept as a UTC timestamp) from the next minute
+  let wall = Math.floor(toWallTime(from, timezone) / MINUTE_MS) * MINUTE_MS;
+  wall += MINUTE_MS;
+  const limit = wall + MAX_SEARCH_YEARS * 366 * DAY_MS;
+
+  while (wall < limit) {
+    const date = new Date(wall);
+    const [year, month, day, hour] = [
+      date.getUTCFullYear(),
+      date.getUTCMonth(),
+      date.getUTCDate(),
+      date.getUTCHours(),
+    ];
+
+    if (!schedule.months.has(month + 1)) {
+      wall = Date.UTC(year, month + 1, 1);
+    } else if (!matchesDay(schedule, date)) {
+      wall = Date.UTC(year, month, day + 1);
+    } else if (!schedule.hours.has(hour)) {
+      wall = Date.UTC(year, month, day, hour + 1);
+    } else if (!schedule.minutes.has(date.getUTCMinutes())) {
+      wall += MINUTE_MS;
+    } else {
+      const instant = fromWallTime(wall, timezone);
+      if (instant !== null && instant > from.getTime()) {
+        return new Date(instant);
+      }
+      wall += MINUTE_MS;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * List upcoming runs of a cron expression
+ * @param {String} expression
+ * @param {String} timezone
+ * @param {Number} count - Number of runs
+ * @param {Date} from - Defaults to now
+ * @returns {Array<Date>}
+ */
+export function getNextRuns(expression, timezone, count, from = new Date()) {
+  const schedule = parseCron(expression);
+  const runs = [];
+
+  let run = getNextRun(schedule, from, timezone);
+  while (run && runs.length < count) {
+    runs.push(run);
+    run = getNextRun(schedule, run, timezone);
+  }
+
+  return runs;
+}
+
+/**
+ * Parse one field of a cron expression into the set of matching values
+ * @param {String} text - e.g. "*", "1,15", "9-17", "0-30/10"
+ * @param {Object} field - Entry of FIELDS
+ * @returns {Set<Number>}
+ */
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const item of text.split(',')) {
+    const match = item.match(/^(\*|[^-/]+(?:-[^-/]+)?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid ${field.name} field: ${text}`);
+    }
+
+    const [, range, stepText] = match;
+    const step = stepText === undefined ? 1 : Number(stepText);
+    let start = field.min;
+    let end = field.max;
+    if (range !== '*') {
+      const [first, last] = range.split('-');
+      start = parseValue(first, field);
+      // "5/15" means every 15 starting at 5
+      end =
+        last !== undefined
+          ? parseValue(last, field)
+          : stepText !== undefined
+            ? field.max
+            : start;
+    }
+
+    if (step < 1 || start > end) {
+      throw new Error(`Invalid ${field.name} field: ${text}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a single value (number or name) of a cron field
+ * @param {String} text
+ * @param {Object} field - Entry of FIELDS
+ * @returns {Number}
+ */
+function parseValue(text, field) {
+  const index = field.names ? field.names.indexOf(text.toUpperCase()) : -1;
+  const value = index >= 0 ? index + field.min : Number(text);
+
+  if (!/^\d+$/.test(text) && index < 0) {
+    throw new Error(`Invalid ${field.name} value: ${text}`);
+  }
+  if (value < field.min || value > field.max) {
+    throw new Error(
+      `${field.name} value ${text} is out of range (${field.min}-${field.max})`,
+    );
+  }
+
+  return value;
+}
+
+/**
+ * Check whether the day of a wall-clock date matches the day fields
+ * @param {Object} schedule - Output of parseCron
+ * @param {Date} date - Wall-clock time as a UTC date
+ * @returns {Boolean}
+ */
+function matchesDay(schedule, date) {
+  const dayMatches = schedule.days.has(date.getUTCDate());
+  const weekdayMatches = schedule.weekdays.has(date.getUTCDay());
+
+  if (schedule.anyDay || schedule.anyWeekday) {
+    return dayMatches && weekdayMatches;
+  }
+  return dayMatches || weekdayMatches;
+}
+
+/**
+ * Get a cached formatter for local date parts in a time zone
+ * @param {String} timezone
+ * @returns {Intl.DateTimeFormat}
+ */
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(
+      timezone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+      }),
+    );
+  }
+  return formatters.get(timezone);
+}
+
+/**
+ * Get the wall-clock time of an instant in a time zone
+ * @param {Date} date
+ * @param {String} timezone
+ * @returns {Number} Local date and time as a UTC timestamp
+ */
+function toWallTime(date, timezone) {
+  const parts = Object.fromEntries(
+    getFormatter(timezone)
+      .formatToParts(date)
+      .map((part) => [part.type, Number(part.value)]),
+  );
+
+  return Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second,
+  );
+}
+
+/**
+ * Get the instant of a wall-clock time in a time zone
+ * @param {Number} wall - Local date and time as a UTC timestamp
+ * @param {String} timezone
+ * @returns {Number|null} Timestamp, or null when the local time does not
+ *   exist (skipped by a DST change)
+ */
+function fromWallTime(wall, timezone) {
+  // The offset at the guessed instant can differ from the one at the result
+  let instant = wall - (toWallTime(new Date(wall), timezone) - wall);
+  instant = wall - (toWallTime(new Date(instant), timezone) - instant);
+
+  return toWallTime(new Date(instant), timezone) === wall ? instant : null;
+}
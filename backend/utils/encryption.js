@@ -0,0 +1,131 @@
+import crypto from 'crypto';
+import { URLSearchParams } from 'url';
+
+/**
+ * Encryption of secrets stored in the database (AES-256-GCM)
+ *
+ * The key is derived from ENCRYPTION_KEY, falling back to JWT_SECRET so
+ * existing installs keep working. Changing the key makes stored secrets
+ * unreadable, so set ENCRYPTION_KEY once and keep it.
+ */
+
+const ALGORITHM = 'aes-256-gcm';
+const PREFIX = 'enc:v1:';
+
+// Placeholder for stored secrets in API responses; submitting it back keeps
+// the stored value
+export const SECRET_MASK = '********';
+
+/**
+ * Derive the 256-bit key from the configured secret
+ * @returns {Buffer}
+ */
+function getKey() {
+  const secret = process.env.ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('ENCRYPTION_KEY is not configured');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+/**
+ * Check whether a value was produced by encryptSecret
+ * @param {*} value
+ * @returns {Boolean}
+ */
+export function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * Encrypt a secret for storage
+ * @param {String} plaintext
+ * @returns {String} "enc:v1:<iv>:<tag>:<ciphertext>" (base64 parts)
+ */
+export function encryptSecret(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(String(plaintext), 'utf8'),
+    cipher.final(),
+  ]);
+
+  return (
+    PREFIX +
+    [iv, cipher.getAuthTag(), ciphertext]
+      .map((part) => part.toString('base64'))
+      .join(':')
+  );
+}
+
+/**
+ * Decrypt a stored secret
+ * @param {String} value - Output of encryptSecret
+ * @returns {String}
+ */
+export function decryptSecret(value) {
+  if (!isEncrypted(value)) {
+    throw new Error('Value is not an encrypted secret');
+  }
+
+  const [iv, tag, ciphertext] = value
+    .slice(PREFIX.length)
+    .split(':')
+    .map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([
+    decipher.update(ciphertext),
+    decipher.final(),
+  ]).toString('utf8');
+}
+
+/**
+ * Replace secret values with SECRET_MASK, also in their URL-encoded forms
+ * Used on check results, whose URLs, redirect hops and error messages may
+ * carry the secrets a request was made with.
+ * @param {*} value - String, or object/array searched recursively
+ * @param {Array<String>} secrets - Plain-text secret values
+ * @returns {*} Masked copy
+ */
+export function maskSecrets(value, secrets) {
+  const patterns = [
+    ...new Set(
+      secrets
+        .filter((secret) => typeof secret === 'string' && secret !== '')
+        .flatMap((secret) => [
+          secret,
+          encodeURIComponent(secret),
+          // Query string encoding, as used by URLSearchParams
+          new URLSearchParams({ secret }).toString().slice('secret='.length),
+        ]),
+    ),
+  ]
+    // Longest first, so a secret containing another is masked whole
+    .sort((a, b) => b.length - a.length);
+
+  if (patterns.length === 0) {
+    return value;
+  }
+
+  const mask = (item) => {
+    if (typeof item === 'string') {
+      return patterns.reduce(
+        (text, secret) => text.split(secret).join(SECRET_MASK),
+        item,
+      );
+    }
+    if (Array.isArray(item)) {
+      return item.map(mask);
+    }
+    if (item && Object.getPrototypeOf(item) === Object.prototype) {
+      return Object.fromEntries(
+        Object.entries(item).map(([key, field]) => [key, mask(field)]),
+      );
+    }
+    return item;
+  };
+
+  return mask(value);
+}
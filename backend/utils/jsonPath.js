@@ -0,0 +1,185 @@
+/**
+ * Minimal JSONPath evaluator
+ * Supports the root ($), child access (.key, ['key']), array indexes ([0], [-1])
+ * and wildcards (.*, [*]). A path without a leading $ is read from the root,
+ * so "data.items[0].id" and "$.data.items[0].id" are equivalent.
+ */
+
+const TOKEN_PATTERN =
+  /\.([A-Za-z_$][\w$-]*)|\.\*|\[\*\]|\[(-?\d+)\]|\[\s*(['"])(.*?)\3\s*\]/y;
+
+/**
+ * Split a JSONPath expression into segments
+ * Throws when the expression is malformed
+ * @param {String} path
+ * @returns {Array<Object>} [{ type: 'key'|'index'|'wildcard', value }]
+ */
+export function parseJsonPath(path) {
+  if (typeof path !== 'string' || path.trim() === '') {
+    throw new Error('JSONPath must be a non-empty string');
+  }
+
+  let expression = path.trim();
+  if (expression.startsWith('$')) {
+    expression = expression.substring(1);
+  } else if (!expression.startsWith('[')) {
+    expression = `.${expression}`;
+  }
+
+  const segments = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < expression.length) {
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(expression);
+
+    if (!match) {
+      throw new Error(`Invalid JSONPath "${path}" at position ${start + 1}`);
+    }
+
+    if (match[1] !== undefined) {
+      segments.push({ type: 'key', value: match[1] });
+    } else if (match[2] !== undefined) {
+      segments.push({ type: 'index', value: parseInt(match[2]) });
+    } else if (match[4] !== undefined) {
+      segments.push({ type: 'key', value: match[4] });
+    } else {
+      segments.push({ type: 'wildcard' });
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Evaluate a JSONPath expression and keep the location of every match
+ * @param {*} data - Parsed JSON document
+ * @param {String} path - JSONPath expression
+ * @returns {Array<Object>} [{ path: '$.items[0].id', value }]
+ */
+export function queryJsonPathNodes(data, path) {
+  return selectNodes(data, parseJsonPath(path));
+}
+
+/**
+ * Evaluate a JSONPath expression
+ * @param {*} data - Parsed JSON document
+ * @param {String} path - JSONPath expression
+ * @returns {Array} All matched values (empty when nothing matches)
+ */
+export function queryJsonPath(data, path) {
+  return queryJsonPathNodes(data, path).map((node) => node.value);
+}
+
+/**
+ * Remove every value matched by a JSONPath expression
+ * Array elements are spliced out, so later indexes shift down
+ * @param {*} data - Parsed JSON document (mutated)
+ * @param {String} path - JSONPath expression below the root
+ * @returns {Number} Number of removed values
+ */
+export function removeJsonPath(data, path) {
+  const segments = parseJsonPath(path);
+  const last = segments.pop();
+  if (!last) {
+    throw new Error('JSONPath must select a value below the root');
+  }
+
+  let removed = 0;
+  for (const { value: parent } of selectNodes(data, segments)) {
+    if (parent === null || typeof parent !== 'object') {
+      continue;
+    }
+
+    if (Array.isArray(parent)) {
+      if (last.type === 'wildcard') {
+        removed += parent.splice(0).length;
+      } else if (last.type === 'index') {
+        const index = last.value < 0 ? parent.length + last.value : last.value;
+        if (index >= 0 && index < parent.length) {
+          parent.splice(index, 1);
+          removed++;
+        }
+      }
+    } else if (last.type === 'wildcard') {
+      for (const key of Object.keys(parent)) {
+        delete parent[key];
+        removed++;
+      }
+    } else if (
+      last.type === 'key' &&
+      Object.prototype.hasOwnProperty.call(parent, last.value)
+    ) {
+      delete parent[last.value];
+      removed++;
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * Walk parsed JSONPath segments from the root
+ * @param {*} data
+ * @param {Array<Object>} segments - Output of parseJsonPath
+ * @returns {Array<Object>} [{ path, value }]
+ */
+function selectNodes(data, segments) {
+  let nodes = [{ path: '$', value: data }];
+
+  for (const segment of segments) {
+    const next = [];
+
+    for (const node of nodes) {
+      const { value } = node;
+      if (value === null || typeof value !== 'object') {
+        continue;
+      }
+
+      if (segment.type === 'wildcard') {
+        for (const [key, child] of Object.entries(value)) {
+          next.push({
+            path: formatChildPath(node.path, key, Array.isArray(value)),
+            value: child,
+          });
+        }
+      } else if (segment.type === 'index') {
+        if (Array.isArray(value)) {
+          const index =
+            segment.value < 0 ? value.length + segment.value : segment.value;
+          if (index >= 0 && index < value.length) {
+            next.push({ path: `${node.path}[${index}]`, value: value[index] });
+          }
+        }
+      } else if (Object.prototype.hasOwnProperty.call(value, segment.value)) {
+        next.push({
+          path: formatChildPath(node.path, segment.value, false),
+          value: value[segment.value],
+        });
+      }
+    }
+
+    nodes = next;
+  }
+
+  return nodes;
+}
+
+/**
+ * Append a key or index to a normalized path
+ * @param {String} parent
+ * @param {String} key
+ * @param {Boolean} isIndex
+ * @returns {String}
+ */
+function formatChildPath(parent, key, isIndex) {
+  if (isIndex) {
+    return `${parent}[${key}]`;
+  }
+
+  return /^[A-Za-z_$][\w$-]*$/.test(key)
+    ? `${parent}.${key}`
+    : `${parent}['${key}']`;
+}
+
+export default queryJsonPath;
@@ -6,6 +6,7 @@
  * - Performance monitoring (response times, error rates)
  * - Correlation IDs
  * - Request/Error logging middleware
+ * - Redaction of secrets (passwords, tokens, keys) in every log entry
  */
 
 import winston from "winston";
@@ -66,6 +67,86 @@ const customLevels = {
   },
 };
 
+// Keys whose values are masked in every log entry (case-insensitive)
+const SECRET_KEYS = new Set([
+  "password",
+  "passphrase",
+  "secret",
+  "token",
+  "accesstoken",
+  "refreshtoken",
+  "statictoken",
+  "clientsecret",
+  "clientkey",
+  "clientkeypassphrase",
+  "secretaccesskey",
+  "sessiontoken",
+  "key",
+  "apikey",
+  "api_key",
+  "x-api-key",
+  "authorization",
+  "cookie",
+  "set-cookie",
+]);
+
+const REDACTED = "[REDACTED]";
+
+/**
+ * Copy a logged value with the values of secret keys masked
+ * Monitor auth headers (authConfig.headers) are masked as a whole since
+ * their names are chosen by the user.
+ * @param {*} value
+ * @param {String} parentKey - Key the value is stored under
+ * @param {WeakSet} seen - Objects being copied, to stop at circular references
+ * @returns {*}
+ */
+function redact(value, parentKey = "", seen = new WeakSet()) {
+  if (!value || typeof value !== "object") {
+    return value;
+  }
+  if (seen.has(value)) {
+    return "[Circular]";
+  }
+
+  if (Array.isArray(value)) {
+    seen.add(value);
+    const copy = value.map((item) => redact(item, parentKey, seen));
+    seen.delete(value);
+    return copy;
+  }
+
+  // Errors, dates, buffers and other instances are logged as they are
+  const prototype = Object.getPrototypeOf(value);
+  if (prototype !== Object.prototype && prototype !== null) {
+    return value;
+  }
+
+  seen.add(value);
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    const isSecret =
+      SECRET_KEYS.has(key.toLowerCase()) ||
+      (key === "headers" && parentKey === "authConfig");
+    copy[key] =
+      isSecret && item !== undefined && item !== null && item !== ""
+        ? REDACTED
+        : redact(item, key, seen);
+  }
+  seen.delete(value);
+  return copy;
+}
+
+// Masks secrets before any transport formats or stores the entry; logged
+// objects (such as req.body) are copied, not changed
+const redactSecrets = winston.format((info) => {
+  for (const [key, value] of Object.entries(info)) {
+    info[key] =
+      SECRET_KEYS.has(key.toLowerCase()) && value ? REDACTED : redact(value, key);
+  }
+  return info;
+});
+
 // Log format
 const logFormat = winston.format.combine(
   winston.format.timestamp({ format: "YYYY-MM-DD HH:mm:ss" }),
@@ -143,7 +224,7 @@ const transports = [consoleTransport, appFileTransport, errorFileTransport];
 const logger = winston.createLogger({
   level: config.logLevel,
   levels: customLevels.levels,
-  format: winston.format.json(),
+  format: winston.format.combine(redactSecrets(), winston.format.json()),
   defaultMeta: { app: config.app },
   transports,
   exitOnError: false,
@@ -0,0 +1,126 @@
+import http from 'http';
+import { performance } from 'perf_hooks';
+import { forwardRequest } from './proxy.js';
+
+/**
+ * Per-phase timing of outgoing HTTP requests
+ *
+ * Phases are read from the socket and response events of each request. The
+ * agents disable keep-alive, so every request opens its own socket and all
+ * connection phases are observed. When a request is redirected the timer
+ * restarts, so the phases describe the final hop. Through a proxy, dns and
+ * connect describe the connection to the proxy; for tunnelled HTTPS requests
+ * they are 0 and tunnel setup is only counted in the total.
+ */
+
+export const TIMING_PHASES = ['dns', 'connect', 'tls', 'ttfb', 'download'];
+
+export class RequestTimer {
+  constructor() {
+    this.marks = null;
+  }
+
+  /**
+   * Start timing a request
+   * @param {http.ClientRequest} req
+   */
+  attach(req) {
+    const marks = { start: performance.now() };
+    this.marks = marks;
+
+    req.once('socket', (socket) => {
+      socket.once('lookup', () => {
+        marks.lookup = performance.now();
+      });
+      socket.once('connect', () => {
+        marks.connect = performance.now();
+      });
+      socket.once('secureConnect', () => {
+        marks.secureConnect = performance.now();
+      });
+    });
+
+    req.once('response', (res) => {
+      marks.response = performance.now();
+      res.once('end', () => {
+        marks.end = performance.now();
+      });
+    });
+  }
+
+  /**
+   * Get the duration of each phase in milliseconds
+   * Phases that did not happen (no DNS lookup for IP targets, no TLS for
+   * plain HTTP) are 0; phases cut short by an error end at the time of the call.
+   * @returns {Object|null} { dns, connect, tls, ttfb, download, total } or null
+   *   if no request was made
+   */
+  getTimings() {
+    const marks = this.marks;
+    if (!marks) {
+      return null;
+    }
+
+    const now = performance.now();
+    const connectStart = marks.lookup ?? marks.start;
+    const connected = marks.secureConnect ?? marks.connect;
+    const responseEnd = marks.response ? (marks.end ?? now) : null;
+
+    return {
+      dns: elapsed(marks.start, marks.lookup),
+      connect: elapsed(connectStart, marks.connect),
+      tls: elapsed(marks.connect, marks.secureConnect),
+      ttfb: connected ? elapsed(connected, marks.response ?? now) : 0,
+      download: elapsed(marks.response, responseEnd),
+      total: elapsed(marks.start, responseEnd ?? now),
+    };
+  }
+}
+
+/**
+ * HTTP agent that times every request it handles
+ * Requests are forwarded through `proxy` (a parsed URL) when one is given.
+ */
+export class TimingAgent extends http.Agent {
+  constructor({ timer, proxy, ...options } = {}) {
+    super({ ...options, keepAlive: false });
+    this.timer = timer || new RequestTimer();
+    this.proxy = proxy || null;
+  }
+
+  addRequest(req, options) {
+    this.timer.attach(req);
+    return super.addRequest(
+      req,
+      this.proxy ? forwardRequest(this.proxy, req, options) : options,
+    );
+  }
+}
+
+/**
+ * Add up the phases of several timed requests (e.g. transaction steps)
+ * @param {Object} total - Running totals (mutated)
+ * @param {Object|null} timings - Timings of one request
+ * @returns {Object} total
+ */
+export function addTimings(total, timings) {
+  for (const phase of [...TIMING_PHASES, 'total']) {
+    total[phase] = (total[phase] || 0) + (timings?.[phase] || 0);
+  }
+  return total;
+}
+
+/**
+ * Milliseconds between two marks, 0 when either is missing
+ * @param {Number} from
+ * @param {Number} to
+ * @returns {Number}
+ */
+function elapsed(from, to) {
+  if (from === undefined || to === undefined || to === null) {
+    return 0;
+  }
+  return Math.max(0, Math.round(to - from));
+}
+
+export default RequestTimer;
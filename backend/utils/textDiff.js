@@ -0,0 +1,141 @@
+/**
+ * Line-based text diff
+ * Common leading and trailing lines are matched first, the rest with a
+ * longest common subsequence. Very large changed regions are reported as
+ * fully replaced instead of being diffed line by line.
+ */
+
+// Upper bound for the LCS table (changed lines before x after)
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Diff two texts line by line
+ * @param {String} before
+ * @param {String} after
+ * @returns {Array<Object>} [{ type: 'equal'|'removed'|'added', text }]
+ */
+export function diffLines(before, after) {
+  const a = splitLines(before);
+  const b = splitLines(after);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const changes = a.slice(0, start).map((text) => ({ type: 'equal', text }));
+  changes.push(...diffRange(a.slice(start, endA), b.slice(start, endB)));
+  changes.push(...a.slice(endA).map((text) => ({ type: 'equal', text })));
+
+  return changes;
+}
+
+/**
+ * Reduce a diff to the changed lines and some context around them
+ * Omitted runs of unchanged lines are replaced by { type: 'skip', count }.
+ * @param {Array<Object>} changes - Output of diffLines
+ * @param {Object} options - { context: lines around changes, maxLines }
+ * @returns {Object} { lines, added, removed, truncated }
+ */
+export function formatHunks(changes, { context = 3, maxLines = 500 } = {}) {
+  const keep = changes.map((change) => change.type !== 'equal');
+  changes.forEach((change, index) => {
+    if (change.type === 'equal') {
+      return;
+    }
+    const from = Math.max(0, index - context);
+    const to = Math.min(changes.length - 1, index + context);
+    for (let i = from; i <= to; i++) {
+      keep[i] = true;
+    }
+  });
+
+  const lines = [];
+  let skipped = 0;
+  changes.forEach((change, index) => {
+    if (!keep[index]) {
+      skipped++;
+      return;
+    }
+    if (skipped > 0) {
+      lines.push({ type: 'skip', count: skipped });
+      skipped = 0;
+    }
+    lines.push(change);
+  });
+  if (skipped > 0) {
+    lines.push({ type: 'skip', count: skipped });
+  }
+
+  return {
+    lines: lines.slice(0, maxLines),
+    added: changes.filter((change) => change.type === 'added').length,
+    removed: changes.filter((change) => change.type === 'removed').length,
+    truncated: lines.length > maxLines,
+  };
+}
+
+/**
+ * Diff the changed middle part of two texts
+ * @param {Array<String>} a
+ * @param {Array<String>} b
+ * @returns {Array<Object>}
+ */
+function diffRange(a, b) {
+  const removed = a.map((text) => ({ type: 'removed', text }));
+  const added = b.map((text) => ({ type: 'added', text }));
+
+  if (
+    a.length === 0 ||
+    b.length === 0 ||
+    a.length * b.length > MAX_DIFF_CELLS
+  ) {
+    return [...removed, ...added];
+  }
+
+  // lengths[i * width + j] = LCS length of a[i..] and b[j..]
+  const width = b.length + 1;
+  const lengths = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * width + j] =
+        a[i] === b[j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      changes.push({ type: 'equal', text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      changes.push(removed[i++]);
+    } else {
+      changes.push(added[j++]);
+    }
+  }
+  changes.push(...removed.slice(i), ...added.slice(j));
+
+  return changes;
+}
+
+/**
+ * Split a text into lines
+ * @param {String} text
+ * @returns {Array<String>}
+ */
+function splitLines(text) {
+  return text ? String(text).split(/\r?\n/) : [];
+}
@@ -0,0 +1,137 @@
+import https from 'https';
+import { RequestTimer } from './requestTimer.js';
+import { openTunnel } from './proxy.js';
+
+/**
+ * HTTPS agent that records the peer certificate of every TLS connection
+ *
+ * Certificate verification is done here instead of inside the TLS layer so the
+ * certificate can be captured even when the chain is invalid. Unverified
+ * connections are destroyed before any request data is written. Requests are
+ * also timed per phase (see RequestTimer). When `proxy` (a parsed URL) is
+ * given, connections go through a CONNECT tunnel; `ca`, `cert`, `key` and
+ * `passphrase` are passed on to TLS as usual.
+ */
+
+export class CertificateAgent extends https.Agent {
+  constructor({ timer, proxy, ...options } = {}) {
+    super({ ...options, keepAlive: false, rejectUnauthorized: false });
+    this.verifyCertificates = options.rejectUnauthorized !== false;
+    this.certificate = null;
+    this.timer = timer || new RequestTimer();
+    this.proxy = proxy || null;
+  }
+
+  addRequest(req, options) {
+    this.timer.attach(req);
+    return super.addRequest(req, options);
+  }
+
+  createConnection(options, callback) {
+    if (!this.proxy) {
+      return this.verifyConnection(super.createConnection(options));
+    }
+
+    // Returning nothing makes the agent wait for the callback
+    openTunnel(this.proxy, options, (error, tunnel) => {
+      if (error) {
+        callback(error);
+        return;
+      }
+      callback(
+        null,
+        this.verifyConnection(
+          super.createConnection({ ...options, socket: tunnel }),
+        ),
+      );
+    });
+  }
+
+  /**
+   * Capture the certificate of a TLS socket and enforce verification
+   * @param {tls.TLSSocket} socket
+   * @returns {tls.TLSSocket}
+   */
+  verifyConnection(socket) {
+    socket.once('secureConnect', () => {
+      this.certificate = describeCertificate(socket);
+
+      if (this.verifyCertificates && !socket.authorized) {
+        const error = new Error(
+          `TLS certificate verification failed: ${socket.authorizationError}`,
+        );
+        error.code = String(socket.authorizationError);
+        socket.destroy(error);
+      }
+    });
+
+    return socket;
+  }
+}
+
+/**
+ * Summarize the peer certificate of a TLS socket
+ * @param {tls.TLSSocket} socket
+ * @returns {Object|null} Certificate details or null if none was presented
+ */
+export function describeCertificate(socket) {
+  const cert = socket.getPeerCertificate(true);
+
+  if (!cert || Object.keys(cert).length === 0) {
+    return null;
+  }
+
+  const validTo = new Date(cert.valid_to);
+
+  // Walk the issuer chain, stopping at the self-signed root
+  const chain = [];
+  let issuerCert = cert.issuerCertificate;
+  const seen = new Set([cert.fingerprint256]);
+  while (issuerCert && !seen.has(issuerCert.fingerprint256)) {
+    seen.add(issuerCert.fingerprint256);
+    chain.push({
+      subject: formatName(issuerCert.subject),
+      issuer: formatName(issuerCert.issuer),
+      validTo: new Date(issuerCert.valid_to).toISOString(),
+    });
+    issuerCert = issuerCert.issuerCertificate;
+  }
+
+  return {
+    subject: formatName(cert.subject),
+    issuer: formatName(cert.issuer),
+    subjectAltNames: (cert.subjectaltname || '')
+      .split(',')
+      .map((name) => name.trim())
+      .filter(Boolean),
+    validFrom: new Date(cert.valid_from).toISOString(),
+    validTo: validTo.toISOString(),
+    daysUntilExpiry: Math.floor((validTo.getTime() - Date.now()) / 86400000),
+    serialNumber: cert.serialNumber,
+    fingerprint256: cert.fingerprint256,
+    protocol: socket.getProtocol(),
+    chainValid: socket.authorized,
+    chainError: socket.authorized ? null : String(socket.authorizationError),
+    chain,
+  };
+}
+
+/**
+ * Format a certificate subject/issuer object as "CN=..., O=..."
+ * @param {Object} name
+ * @returns {String}
+ */
+function formatName(name) {
+  if (!name) {
+    return '';
+  }
+
+  return Object.entries(name)
+    .map(
+      ([key, value]) =>
+        `${key}=${Array.isArray(value) ? value.join('+') : value}`,
+    )
+    .join(', ');
+}
+
+export default CertificateAgent;
@@ -1,16 +1,60 @@
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import { parseJsonPath, queryJsonPathNodes } from './jsonPath.js';
+
 /**
  * Response validation utility
  * Validates HTTP responses against configured rules
  */
 
+export const JSON_PATH_OPERATORS = [
+  'equals',
+  'contains',
+  'matches',
+  'length',
+  'type',
+  'exists',
+  'gt',
+  'gte',
+  'lt',
+  'lte',
+];
+
+export const HEADER_OPERATORS = [
+  'exists',
+  'notExists',
+  'equals',
+  'contains',
+  'notContains',
+  'matches',
+];
+
+export const FINAL_URL_OPERATORS = [
+  'equals',
+  'contains',
+  'notContains',
+  'matches',
+];
+
+const JSON_TYPES = ['string', 'number', 'boolean', 'object', 'array', 'null'];
+const NUMERIC_OPERATORS = ['length', 'gt', 'gte', 'lt', 'lte'];
+
+// Report at most this many failing matches per assertion (wildcards can match a lot)
+const MAX_ASSERTION_ERRORS = 5;
+
+// Compiled JSON Schemas keyed by their serialized form
+const schemaValidators = new Map();
+const MAX_CACHED_SCHEMAS = 100;
+
 export class ResponseValidator {
   /**
    * Validate response against monitor's validation rules
    * @param {Object} response - Axios response object
    * @param {Object} rules - Validation rules from monitor
+   * @param {Object} context - { finalUrl } URL the response came from after redirects
    * @returns {Object} { isValid: boolean, errors: string[], details: object }
    */
-  static validate(response, rules) {
+  static validate(response, rules, context = {}) {
     const errors = [];
     const details = {
       httpStatus: response.status,
@@ -56,7 +100,7 @@ export class ResponseValidator {
 
     // Validate response contains specific values
     if (rules.containsValue) {
-      const data = JSON.stringify(response.data);
+      const data = this.getBodyText(response.data);
       for (const [key, value] of Object.entries(rules.containsValue)) {
         if (!data.includes(value)) {
           errors.push(
@@ -81,6 +125,56 @@ export class ResponseValidator {
       }
     }
 
+    // URL the redirects ended at (e.g. not a login page)
+    if (rules.finalUrl && context.finalUrl !== undefined) {
+      const error = this.checkFinalUrl(context.finalUrl, rules.finalUrl);
+      if (error) {
+        errors.push(error);
+      }
+    }
+
+    // Response header assertions
+    if (Array.isArray(rules.headerAssertions)) {
+      for (const assertion of rules.headerAssertions) {
+        const error = this.checkHeaderAssertion(response.headers, assertion);
+        if (error) {
+          errors.push(error);
+        }
+      }
+    }
+
+    // Body regex and forbidden keywords, matched against the raw body text
+    if (
+      rules.bodyRegex ||
+      rules.bodyNotRegex ||
+      (Array.isArray(rules.bodyNotContains) && rules.bodyNotContains.length > 0)
+    ) {
+      errors.push(
+        ...this.checkBodyText(this.getBodyText(response.data), rules),
+      );
+    }
+
+    // JSONPath assertions
+    if (
+      Array.isArray(rules.jsonPathAssertions) &&
+      rules.jsonPathAssertions.length > 0
+    ) {
+      const data = this.parseJsonBody(response.data);
+      for (const assertion of rules.jsonPathAssertions) {
+        errors.push(...this.checkJsonPathAssertion(data, assertion));
+      }
+    }
+
+    // JSON Schema (draft-07) for the whole body
+    if (rules.jsonSchema !== undefined && rules.jsonSchema !== null) {
+      errors.push(
+        ...this.validateJsonSchema(
+          this.parseJsonBody(response.data),
+          rules.jsonSchema,
+        ),
+      );
+    }
+
     return {
       isValid: errors.length === 0,
       errors,
@@ -88,6 +182,524 @@ export class ResponseValidator {
     };
   }
 
+  /**
+   * Validate the structure of validation rules before they are saved
+   * Throws with a user-facing message when the rules are invalid
+   * @param {Object} rules - Validation rules
+   */
+  static validateRulesConfig(rules) {
+    if (rules === undefined || rules === null) {
+      return;
+    }
+
+    if (typeof rules !== 'object' || Array.isArray(rules)) {
+      throw new Error('Validation rules must be an object');
+    }
+
+    const { certExpiresInDays } = rules;
+    if (
+      certExpiresInDays !== undefined &&
+      certExpiresInDays !== null &&
+      (!Number.isInteger(certExpiresInDays) || certExpiresInDays <= 0)
+    ) {
+      throw new Error('certExpiresInDays must be a positive integer');
+    }
+
+    if (rules.jsonPathAssertions !== undefined) {
+      if (!Array.isArray(rules.jsonPathAssertions)) {
+        throw new Error('jsonPathAssertions must be an array');
+      }
+
+      for (const assertion of rules.jsonPathAssertions) {
+        const { path, operator = 'exists', expected } = assertion || {};
+
+        try {
+          parseJsonPath(path);
+        } catch (error) {
+          throw new Error(`JSONPath assertion: ${error.message}`);
+        }
+
+        if (!JSON_PATH_OPERATORS.includes(operator)) {
+          throw new Error(
+            `JSONPath assertion ${path}: operator must be one of: ${JSON_PATH_OPERATORS.join(', ')}`,
+          );
+        }
+
+        if (NUMERIC_OPERATORS.includes(operator) && isNaN(Number(expected))) {
+          throw new Error(
+            `JSONPath assertion ${path}: ${operator} expects a number`,
+          );
+        }
+
+        if (operator === 'type' && !JSON_TYPES.includes(expected)) {
+          throw new Error(
+            `JSONPath assertion ${path}: type must be one of: ${JSON_TYPES.join(', ')}`,
+          );
+        }
+
+        if (operator === 'matches') {
+          this.parseRegex(String(expected), `JSONPath assertion ${path}`);
+        }
+      }
+    }
+
+    if (rules.headerAssertions !== undefined) {
+      if (!Array.isArray(rules.headerAssertions)) {
+        throw new Error('headerAssertions must be an array');
+      }
+
+      for (const assertion of rules.headerAssertions) {
+        const { name, operator = 'exists', value } = assertion || {};
+
+        if (typeof name !== 'string' || name.trim() === '') {
+          throw new Error('Header assertion: header name is required');
+        }
+        if (!HEADER_OPERATORS.includes(operator)) {
+          throw new Error(
+            `Header assertion ${name}: operator must be one of: ${HEADER_OPERATORS.join(', ')}`,
+          );
+        }
+        if (
+          !['exists', 'notExists'].includes(operator) &&
+          typeof value !== 'string'
+        ) {
+          throw new Error(`Header assertion ${name}: value must be a string`);
+        }
+        if (operator === 'matches') {
+          this.parseRegex(value, `Header assertion ${name}`);
+        }
+      }
+    }
+
+    if (rules.finalUrl !== undefined && rules.finalUrl !== null) {
+      const { operator = 'equals', value } = rules.finalUrl;
+
+      if (!FINAL_URL_OPERATORS.includes(operator)) {
+        throw new Error(
+          `Final URL assertion: operator must be one of: ${FINAL_URL_OPERATORS.join(', ')}`,
+        );
+      }
+      if (typeof value !== 'string' || value === '') {
+        throw new Error('Final URL assertion: value is required');
+      }
+      if (operator === 'matches') {
+        this.parseRegex(value, 'Final URL assertion');
+      }
+    }
+
+    for (const field of ['bodyRegex', 'bodyNotRegex']) {
+      if (rules[field] !== undefined && rules[field] !== null) {
+        if (typeof rules[field] !== 'string') {
+          throw new Error(`${field} must be a string`);
+        }
+        this.parseRegex(rules[field], field);
+      }
+    }
+
+    if (
+      rules.bodyNotContains !== undefined &&
+      (!Array.isArray(rules.bodyNotContains) ||
+        rules.bodyNotContains.some((keyword) => typeof keyword !== 'string'))
+    ) {
+      throw new Error('bodyNotContains must be an array of strings');
+    }
+
+    for (const field of ['warnLatencyMs', 'criticalLatencyMs']) {
+      const value = rules[field];
+      if (
+        value !== undefined &&
+        value !== null &&
+        (!Number.isInteger(value) || value <= 0)
+      ) {
+        throw new Error(`${field} must be a positive integer`);
+      }
+    }
+
+    if (
+      rules.warnLatencyMs &&
+      rules.criticalLatencyMs &&
+      rules.warnLatencyMs >= rules.criticalLatencyMs
+    ) {
+      throw new Error('warnLatencyMs must be lower than criticalLatencyMs');
+    }
+
+    if (rules.jsonSchema !== undefined && rules.jsonSchema !== null) {
+      try {
+        this.getSchemaValidator(rules.jsonSchema);
+      } catch (error) {
+        throw new Error(`Invalid JSON Schema: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Check a single response header assertion
+   * Header names are case-insensitive, repeated headers are joined with ", "
+   * @param {Object} headers - Response headers
+   * @param {Object} assertion - { name, operator, value }
+   * @returns {String|null} Error message or null if the assertion holds
+   */
+  static checkHeaderAssertion(headers, assertion) {
+    const { name, operator = 'exists', value } = assertion;
+    const headerName = name.trim().toLowerCase();
+    const entry = Object.entries(headers || {}).find(
+      ([key]) => key.toLowerCase() === headerName,
+    );
+    const actual = Array.isArray(entry?.[1])
+      ? entry[1].join(', ')
+      : entry?.[1] === undefined
+        ? undefined
+        : String(entry[1]);
+
+    if (operator === 'notExists') {
+      return actual === undefined
+        ? null
+        : `Header ${name}: expected to be absent, got "${actual}"`;
+    }
+
+    if (actual === undefined) {
+      return `Header ${name}: missing`;
+    }
+
+    let passed;
+    switch (operator) {
+      case 'equals':
+        passed = actual === value;
+        break;
+      case 'contains':
+        passed = actual.includes(value);
+        break;
+      case 'notContains':
+        passed = !actual.includes(value);
+        break;
+      case 'matches':
+        passed = this.parseRegex(value).test(actual);
+        break;
+      default:
+        passed = true;
+    }
+
+    return passed
+      ? null
+      : `Header ${name}: expected ${operator} "${value}", got "${actual}"`;
+  }
+
+  /**
+   * Check the URL a response was served from after following redirects
+   * @param {String} url - Final URL
+   * @param {Object} assertion - { operator, value }
+   * @returns {String|null} Error message or null if the assertion holds
+   */
+  static checkFinalUrl(url, assertion) {
+    const { operator = 'equals', value } = assertion;
+
+    let passed;
+    switch (operator) {
+      case 'contains':
+        passed = url.includes(value);
+        break;
+      case 'notContains':
+        passed = !url.includes(value);
+        break;
+      case 'matches':
+        passed = this.parseRegex(value).test(url);
+        break;
+      case 'equals':
+      default:
+        passed = url === value;
+    }
+
+    return passed
+      ? null
+      : `Final URL: expected ${operator} "${value}", got "${url}"`;
+  }
+
+  /**
+   * Check the raw body text against bodyRegex, bodyNotRegex and bodyNotContains
+   * @param {String} text - Response body as text
+   * @param {Object} rules - Validation rules
+   * @returns {Array<String>} Errors
+   */
+  static checkBodyText(text, rules) {
+    const errors = [];
+
+    if (rules.bodyRegex && !this.parseRegex(rules.bodyRegex).test(text)) {
+      errors.push(`Body does not match ${rules.bodyRegex}`);
+    }
+
+    if (rules.bodyNotRegex) {
+      const match = text.match(this.parseRegex(rules.bodyNotRegex));
+      if (match) {
+        errors.push(
+          `Body matches forbidden pattern ${rules.bodyNotRegex}: "${match[0].substring(0, 100)}"`,
+        );
+      }
+    }
+
+    // Keywords are matched case-insensitively (e.g. "maintenance")
+    const lowerText = text.toLowerCase();
+    for (const keyword of rules.bodyNotContains || []) {
+      if (keyword && lowerText.includes(keyword.toLowerCase())) {
+        errors.push(`Body contains forbidden keyword: ${keyword}`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Build a RegExp from a pattern
+   * Accepts a plain pattern or a /pattern/flags literal
+   * @param {String} pattern
+   * @param {String} label - Prefix for the error message of invalid patterns
+   * @returns {RegExp}
+   */
+  static parseRegex(pattern, label = 'Regex') {
+    const literal = pattern.match(/^\/([\s\S]+)\/([dgimsuyv]*)$/);
+
+    try {
+      return literal
+        ? new RegExp(literal[1], literal[2].replace(/[gy]/g, ''))
+        : new RegExp(pattern);
+    } catch (error) {
+      throw new Error(`${label}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the response body as text
+   * Strings are used as-is so multi-line patterns work on HTML and plain text
+   * @param {*} data
+   * @returns {String}
+   */
+  static getBodyText(data) {
+    if (data === null || data === undefined) {
+      return '';
+    }
+
+    return typeof data === 'string' ? data : JSON.stringify(data);
+  }
+
+  /**
+   * Check a single JSONPath assertion
+   * Every value matched by the path must satisfy the operator, so
+   * "$.items[*].status equals ok" means every item has status ok
+   * @param {*} data - Parsed response body
+   * @param {Object} assertion - { path, operator, expected }
+   * @returns {Array<String>} Errors, each naming the failing path
+   */
+  static checkJsonPathAssertion(data, assertion) {
+    const { path, operator = 'exists', expected } = assertion;
+
+    let nodes;
+    try {
+      nodes = queryJsonPathNodes(data, path);
+    } catch (error) {
+      return [`${path}: ${error.message}`];
+    }
+
+    if (operator === 'exists') {
+      const shouldExist = expected !== false && expected !== 'false';
+      if (shouldExist && nodes.length === 0) {
+        return [`${path}: expected to exist`];
+      }
+      if (!shouldExist && nodes.length > 0) {
+        return [`${nodes[0].path}: expected not to exist`];
+      }
+      return [];
+    }
+
+    if (nodes.length === 0) {
+      return [`${path}: no value found`];
+    }
+
+    const failures = nodes.filter(
+      (node) => !this.compareJsonValue(node.value, operator, expected),
+    );
+    const errors = failures
+      .slice(0, MAX_ASSERTION_ERRORS)
+      .map(
+        (node) =>
+          `${node.path}: expected ${operator} ${this.formatJsonValue(expected)}, ` +
+          `got ${this.formatJsonValue(operator === 'type' ? this.getJsonType(node.value) : node.value)}`,
+      );
+
+    if (failures.length > MAX_ASSERTION_ERRORS) {
+      errors.push(
+        `${path}: ${failures.length - MAX_ASSERTION_ERRORS} more value(s) failed ${operator}`,
+      );
+    }
+
+    return errors;
+  }
+
+  /**
+   * Compare a matched value with the expected value of an assertion
+   * Primitives are compared by their string form so "200" equals 200
+   * @param {*} actual
+   * @param {String} operator - One of JSON_PATH_OPERATORS
+   * @param {*} expected
+   * @returns {Boolean}
+   */
+  static compareJsonValue(actual, operator, expected) {
+    const equals = (a, b) =>
+      typeof a === 'object' || typeof b === 'object'
+        ? JSON.stringify(a) === JSON.stringify(b)
+        : String(a) === String(b);
+
+    switch (operator) {
+      case 'equals':
+        return equals(actual, expected);
+      case 'contains':
+        return Array.isArray(actual)
+          ? actual.some((item) => equals(item, expected))
+          : typeof actual === 'string' && actual.includes(String(expected));
+      case 'matches':
+        return this.parseRegex(String(expected)).test(
+          typeof actual === 'string' ? actual : JSON.stringify(actual),
+        );
+      case 'length':
+        if (typeof actual === 'string' || Array.isArray(actual)) {
+          return actual.length === Number(expected);
+        }
+        return (
+          this.getJsonType(actual) === 'object' &&
+          Object.keys(actual).length === Number(expected)
+        );
+      case 'type':
+        return this.getJsonType(actual) === expected;
+      case 'gt':
+      case 'gte':
+      case 'lt':
+      case 'lte': {
+        if (actual === null || actual === '' || isNaN(Number(actual))) {
+          return false;
+        }
+        const value = Number(actual);
+        const limit = Number(expected);
+        return {
+          gt: value > limit,
+          gte: value >= limit,
+          lt: value < limit,
+          lte: value <= limit,
+        }[operator];
+      }
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Validate a parsed body against a draft-07 JSON Schema
+   * @param {*} data - Parsed response body
+   * @param {Object|Boolean} schema
+   * @returns {Array<String>} Errors, each naming the failing location
+   */
+  static validateJsonSchema(data, schema) {
+    let validate;
+    try {
+      validate = this.getSchemaValidator(schema);
+    } catch (error) {
+      return [`Invalid JSON Schema: ${error.message}`];
+    }
+
+    if (validate(data)) {
+      return [];
+    }
+
+    return validate.errors.map(
+      (error) =>
+        `Schema violation at ${error.instancePath || '/'}: ${error.message}`,
+    );
+  }
+
+  /**
+   * Compile a JSON Schema, reusing earlier compilations of the same schema
+   * A fresh Ajv instance per schema keeps $id values from clashing
+   * @param {Object|Boolean} schema
+   * @returns {Function} Ajv validate function
+   */
+  static getSchemaValidator(schema) {
+    const key = JSON.stringify(schema);
+    let validate = schemaValidators.get(key);
+
+    if (!validate) {
+      const ajv = new Ajv({ allErrors: true, strict: false });
+      addFormats(ajv);
+      validate = ajv.compile(schema);
+
+      if (schemaValidators.size >= MAX_CACHED_SCHEMAS) {
+        schemaValidators.clear();
+      }
+      schemaValidators.set(key, validate);
+    }
+
+    return validate;
+  }
+
+  /**
+   * Parse a response body as JSON when it is still a string
+   * @param {*} data
+   * @returns {*}
+   */
+  static parseJsonBody(data) {
+    if (typeof data !== 'string') {
+      return data;
+    }
+
+    try {
+      return JSON.parse(data);
+    } catch {
+      return data;
+    }
+  }
+
+  /**
+   * Get the JSON type name of a value
+   * @param {*} value
+   * @returns {String} string, number, boolean, object, array, null or undefined
+   */
+  static getJsonType(value) {
+    if (value === null) {
+      return 'null';
+    }
+    return Array.isArray(value) ? 'array' : typeof value;
+  }
+
+  /**
+   * Format a value for an error message, shortened to 100 characters
+   * @param {*} value
+   * @returns {String}
+   */
+  static formatJsonValue(value) {
+    const text = value === undefined ? 'undefined' : JSON.stringify(value);
+    return text.length > 100 ? `${text.substring(0, 100)}...` : text;
+  }
+
+  /**
+   * Validate a TLS certificate against the certExpiresInDays rule
+   * Plain HTTP responses (no certificate) are not checked
+   * @param {Object|null} certificate - Certificate details from CertificateAgent
+   * @param {Object} rules - Validation rules from monitor
+   * @returns {String|null} Error message or null if valid
+   */
+  static validateCertificate(certificate, rules) {
+    const minDays = parseInt(rules?.certExpiresInDays);
+
+    if (!certificate || isNaN(minDays)) {
+      return null;
+    }
+
+    if (certificate.daysUntilExpiry < minDays) {
+      return (
+        `Certificate ${certificate.subject} expires in ${certificate.daysUntilExpiry} day(s) ` +
+        `(${certificate.validTo}), expected at least ${minDays}`
+      );
+    }
+
+    return null;
+  }
+
   /**
    * Check if nested key exists in object (supports dot notation)
    * @param {Object} obj
@@ -1,4 +1,5 @@
-import { formatDate } from "../lib/utils";
+import { formatDate, TIMING_PHASES } from "../lib/utils";
+import { ContentDiff } from "./ContentDiffModal";
 
 export default function CheckDetailModal({ check, onClose }) {
   if (!check) return null;
@@ -67,6 +68,11 @@ export default function CheckDetailModal({ check, onClose }) {
                   >
                     {check.status}
                   </span>
+                  {check.isRetry && (
+                    <span className="ml-2 text-xs font-medium text-gray-500">
+                      Retry
+                    </span>
+                  )}
                 </div>
               </div>
 
@@ -96,11 +102,109 @@ export default function CheckDetailModal({ check, onClose }) {
               </div>
             </div>
 
+            {/* Timing */}
+            {check.timings && (
+              <div>
+                <div className="text-sm font-medium text-gray-700 mb-2">
+                  Timing
+                </div>
+                <div className="flex h-4 rounded overflow-hidden bg-gray-100">
+                  {TIMING_PHASES.filter(
+                    (phase) => check.timings[phase.key] > 0
+                  ).map((phase) => (
+                    <div
+                      key={phase.key}
+                      title={`${phase.label}: ${check.timings[phase.key]}ms`}
+                      style={{
+                        width: `${
+                          (check.timings[phase.key] /
+                            Math.max(check.timings.total, 1)) *
+                          100
+                        }%`,
+                        backgroundColor: phase.color,
+                      }}
+                    />
+                  ))}
+                </div>
+                <div className="flex flex-wrap gap-x-4 gap-y-1 mt-2 text-xs text-gray-600">
+                  {TIMING_PHASES.map((phase) => (
+                    <span key={phase.key} className="inline-flex items-center">
+                      <span
+                        className="w-2 h-2 rounded-sm mr-1.5"
+                        style={{ backgroundColor: phase.color }}
+                      />
+                      {phase.label} {check.timings[phase.key] ?? 0}ms
+                    </span>
+                  ))}
+                  {check.timings.auth > 0 && (
+                    <span className="text-gray-500">
+                      Auth {check.timings.auth}ms (not included in latency)
+                    </span>
+                  )}
+                </div>
+              </div>
+            )}
+
+            {/* Redirect Chain */}
+            {check.responseMetadata?.redirects?.length > 0 && (
+              <div>
+                <div className="text-sm font-medium text-gray-700 mb-2">
+                  Redirects
+                </div>
+                <ol className="border border-gray-200 rounded-md divide-y divide-gray-200">
+                  {check.responseMetadata.redirects.map((hop, index) => (
+                    <li key={index} className="p-3 text-sm">
+                      <div className="flex items-center justify-between">
+                        <span className="font-mono text-xs text-gray-900 break-all">
+                          {hop.url}
+                        </span>
+                        <span className="text-gray-600 ml-4 whitespace-nowrap">
+                          {hop.status} · {hop.latency}ms
+                        </span>
+                      </div>
+                      <div className="text-gray-500 font-mono text-xs break-all mt-1">
+                        → {hop.location}
+                      </div>
+                    </li>
+                  ))}
+                  {check.responseMetadata.finalUrl && (
+                    <li className="p-3 text-sm flex items-center justify-between">
+                      <span className="font-mono text-xs text-gray-900 break-all">
+                        {check.responseMetadata.finalUrl}
+                      </span>
+                      <span className="text-gray-600 ml-4 whitespace-nowrap">
+                        {check.httpStatus ?? "-"} (final)
+                      </span>
+                    </li>
+                  )}
+                </ol>
+              </div>
+            )}
+
+            {/* Content Change */}
+            {check.responseMetadata?.contentChange && (
+              <div>
+                <div className="text-sm font-medium text-gray-700 mb-2">
+                  Content Changed
+                  <span className="ml-2 text-xs font-normal text-gray-500">
+                    since check #
+                    {check.responseMetadata.contentChange.previousCheckId}
+                  </span>
+                </div>
+                <ContentDiff diff={check.responseMetadata.contentChange} />
+              </div>
+            )}
+
             {/* Error Message */}
             {check.errorMessage && (
               <div>
                 <div className="text-sm font-medium text-gray-700 mb-2">
                   Error Message
+                  {check.errorCode && (
+                    <span className="ml-2 px-2 py-0.5 text-xs font-mono rounded bg-red-100 text-red-800">
+                      {check.errorCode}
+                    </span>
+                  )}
                 </div>
                 <div className="bg-red-50 border border-red-200 rounded-md p-3">
                   <p className="text-sm text-red-800">{check.errorMessage}</p>
@@ -126,6 +230,105 @@ export default function CheckDetailModal({ check, onClose }) {
               </div>
             )}
 
+            {/* TLS Certificate */}
+            {check.responseMetadata?.certificate && (
+              <div>
+                <div className="text-sm font-medium text-gray-700 mb-2">
+                  TLS Certificate
+                </div>
+                <div
+                  className={`border rounded-md p-3 space-y-1 ${
+                    check.responseMetadata.certificate.chainValid
+                      ? "bg-gray-50 border-gray-200"
+                      : "bg-red-50 border-red-200"
+                  }`}
+                >
+                  {[
+                    ["Subject", check.responseMetadata.certificate.subject],
+                    ["Issuer", check.responseMetadata.certificate.issuer],
+                    [
+                      "SANs",
+                      check.responseMetadata.certificate.subjectAltNames.join(
+                        ", "
+                      ),
+                    ],
+                    [
+                      "Valid From",
+                      formatDate(check.responseMetadata.certificate.validFrom),
+                    ],
+                    [
+                      "Valid To",
+                      `${formatDate(
+                        check.responseMetadata.certificate.validTo
+                      )} (${
+                        check.responseMetadata.certificate.daysUntilExpiry
+                      } days)`,
+                    ],
+                    [
+                      "Chain",
+                      check.responseMetadata.certificate.chainValid
+                        ? "Valid"
+                        : `Invalid (${check.responseMetadata.certificate.chainError})`,
+                    ],
+                  ].map(([label, value]) => (
+                    <div key={label} className="flex justify-between text-sm">
+                      <span className="text-gray-600">{label}:</span>
+                      <span className="text-gray-900 text-right break-all ml-4">
+                        {value}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {/* Transaction Steps */}
+            {check.responseMetadata?.steps && (
+              <div>
+                <div className="text-sm font-medium text-gray-700 mb-2">
+                  Steps
+                </div>
+                <div className="border border-gray-200 rounded-md divide-y divide-gray-200">
+                  {check.responseMetadata.steps.map((step, index) => (
+                    <div key={index} className="p-3 text-sm">
+                      <div className="flex items-center justify-between">
+                        <span
+                          className={`font-medium ${
+                            step.status === "success"
+                              ? "text-green-700"
+                              : "text-red-700"
+                          }`}
+                        >
+                          {index + 1}. {step.name}
+                        </span>
+                        <span
+                          className="text-gray-600"
+                          title={
+                            step.timings
+                              ? TIMING_PHASES.map(
+                                  (phase) =>
+                                    `${phase.label} ${step.timings[phase.key]}ms`
+                                ).join(", ")
+                              : undefined
+                          }
+                        >
+                          {step.httpStatus ?? "-"} · {step.latency}ms
+                        </span>
+                      </div>
+                      <div className="text-gray-500 font-mono text-xs break-all mt-1">
+                        {step.method} {step.url}
+                      </div>
+                      {step.errors?.map((error, i) => (
+                        <div key={i} className="text-red-700 mt-1">
+                          {error}
+                        </div>
+                      ))}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
             {/* Response Data */}
             <div>
               <div className="text-sm font-medium text-gray-700 mb-2">
@@ -0,0 +1,186 @@
+import { useState, useEffect } from "react";
+import { queueAPI } from "../lib/api";
+import { formatRelativeTime } from "../lib/utils";
+
+// The panel refreshes itself while it is shown
+const REFRESH_INTERVAL_MS = 5000;
+
+/**
+ * Format a lag in milliseconds, e.g. 0.4s, 12s, 3m
+ */
+function formatLag(ms) {
+  if (ms < 10000) return `${(ms / 1000).toFixed(1)}s`;
+  if (ms < 60000) return `${Math.round(ms / 1000)}s`;
+  return `${Math.round(ms / 60000)}m`;
+}
+
+/**
+ * Check queue status and concurrency (admin only)
+ */
+export default function CheckQueuePanel() {
+  const [queue, setQueue] = useState(null);
+  const [error, setError] = useState("");
+  const [concurrency, setConcurrency] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    const loadQueue = async () => {
+      try {
+        const response = await queueAPI.getStatus();
+        setQueue(response.queue);
+        setError("");
+      } catch (error) {
+        console.error("Failed to load check queue:", error);
+        setError("Failed to load check queue");
+      }
+    };
+
+    loadQueue();
+    const timer = setInterval(loadQueue, REFRESH_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  useEffect(() => {
+    if (queue && concurrency === "") {
+      setConcurrency(String(queue.concurrency));
+    }
+  }, [queue, concurrency]);
+
+  const handleSaveConcurrency = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+
+    try {
+      const response = await queueAPI.updateConcurrency(
+        parseInt(concurrency, 10)
+      );
+      setQueue((current) => ({
+        ...current,
+        concurrency: response.concurrency,
+      }));
+      setError("");
+    } catch (error) {
+      setError(
+        error.response?.data?.message || "Failed to update check concurrency"
+      );
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const stats = queue
+    ? [
+        { label: "Queued", value: queue.counts.queued },
+        { label: "Due", value: queue.dueJobs },
+        { label: "Running", value: queue.counts.running },
+        { label: "Done (1h)", value: queue.counts.done },
+        { label: "Failed (1h)", value: queue.counts.failed },
+        { label: "Scheduler Lag", value: formatLag(queue.schedulerLagMs) },
+        { label: "Queue Lag", value: formatLag(queue.queueLagMs) },
+      ]
+    : [];
+
+  return (
+    <div className="bg-white shadow-sm rounded-lg p-6 border border-gray-200">
+      <h2 className="text-xl font-semibold text-gray-900 mb-1">Check Queue</h2>
+      <p className="text-sm text-gray-500 mb-4">
+        Scheduled checks and retries are queued as jobs and run by the backend
+        replicas. Lag is how long due checks have been waiting.
+      </p>
+
+      {error && <div className="mb-4 text-sm text-red-800">{error}</div>}
+
+      {!queue ? (
+        <div className="text-sm text-gray-500">Loading queue...</div>
+      ) : (
+        <div className="space-y-6">
+          <div className="grid grid-cols-2 sm:grid-cols-4 lg:grid-cols-7 gap-4">
+            {stats.map((stat) => (
+              <div key={stat.label}>
+                <div className="text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  {stat.label}
+                </div>
+                <div className="text-lg font-semibold text-gray-900">
+                  {stat.value}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <form
+            onSubmit={handleSaveConcurrency}
+            className="flex items-end gap-3"
+          >
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Concurrent Checks per Replica
+              </label>
+              <input
+                type="number"
+                min="1"
+                max={queue.maxConcurrency}
+                required
+                value={concurrency}
+                onChange={(e) => setConcurrency(e.target.value)}
+                className="w-32 px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={isSaving}
+              className="px-4 py-2 text-sm font-medium text-white bg-primary-600 rounded-md hover:bg-primary-700 disabled:opacity-50"
+            >
+              {isSaving ? "Saving..." : "Apply"}
+            </button>
+          </form>
+
+          <div>
+            <h3 className="text-sm font-medium text-gray-700 mb-2">
+              Running Checks
+            </h3>
+            {queue.runningJobs.length === 0 ? (
+              <p className="text-sm text-gray-500">No checks are running.</p>
+            ) : (
+              <ul className="divide-y divide-gray-200 text-sm">
+                {queue.runningJobs.map((job) => (
+                  <li key={job.id} className="py-2 flex justify-between gap-4">
+                    <span className="text-gray-900">
+                      {job.monitorName}
+                      {job.isRetry && (
+                        <span className="ml-2 text-xs text-orange-600">
+                          retry
+                        </span>
+                      )}
+                    </span>
+                    <span className="text-gray-500">
+                      {job.worker} · started {formatRelativeTime(job.startedAt)}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {queue.failedJobs.length > 0 && (
+            <div>
+              <h3 className="text-sm font-medium text-gray-700 mb-2">
+                Recent Failed Jobs
+              </h3>
+              <ul className="divide-y divide-gray-200 text-sm">
+                {queue.failedJobs.map((job) => (
+                  <li key={job.id} className="py-2 flex justify-between gap-4">
+                    <span className="text-gray-900">{job.monitorName}</span>
+                    <span className="text-red-700 truncate">{job.error}</span>
+                    <span className="text-gray-500 whitespace-nowrap">
+                      {formatRelativeTime(job.finishedAt)}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
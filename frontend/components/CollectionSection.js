@@ -55,6 +55,7 @@ export default function CollectionSection({ collection, monitors, onUpdate }) {
   const avgLatency = stats.avgLatency || 0;
   const upMonitors = stats.upMonitors || 0;
   const downMonitors = stats.downMonitors || 0;
+  const degradedMonitors = stats.degradedMonitors || 0;
   const totalMonitors = monitors.length;
 
   return (
@@ -107,6 +108,11 @@ export default function CollectionSection({ collection, monitors, onUpdate }) {
                 <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800">
                   {upMonitors} up
                 </span>
+                {degradedMonitors > 0 && (
+                  <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-orange-100 text-orange-800">
+                    {degradedMonitors} degraded
+                  </span>
+                )}
                 {downMonitors > 0 && (
                   <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-red-100 text-red-800">
                     {downMonitors} down
@@ -0,0 +1,120 @@
+import { useState, useEffect } from "react";
+import { checksAPI } from "../lib/api";
+import { formatDate } from "../lib/utils";
+
+const LINE_STYLES = {
+  added: { prefix: "+", className: "bg-green-50 text-green-800" },
+  removed: { prefix: "-", className: "bg-red-50 text-red-800" },
+  equal: { prefix: " ", className: "text-gray-700" },
+};
+
+/**
+ * Line diff recorded by change detection ({ lines, added, removed, truncated })
+ */
+export function ContentDiff({ diff }) {
+  if (!diff.lines?.length) {
+    return <p className="text-sm text-gray-500">No differences</p>;
+  }
+
+  return (
+    <div>
+      <div className="text-xs text-gray-600 mb-1">
+        <span className="text-green-700">+{diff.added}</span>{" "}
+        <span className="text-red-700">-{diff.removed}</span> lines
+      </div>
+      <div className="border border-gray-200 rounded-md overflow-x-auto">
+        <pre className="text-xs font-mono">
+          {diff.lines.map((line, index) =>
+            line.type === "skip" ? (
+              <div
+                key={index}
+                className="px-3 py-0.5 bg-gray-100 text-gray-500"
+              >
+                ⋯ {line.count} unchanged lines
+              </div>
+            ) : (
+              <div
+                key={index}
+                className={`px-3 whitespace-pre-wrap break-all ${LINE_STYLES[line.type].className}`}
+              >
+                {LINE_STYLES[line.type].prefix} {line.text}
+              </div>
+            )
+          )}
+        </pre>
+      </div>
+      {diff.truncated && (
+        <p className="text-xs text-gray-500 mt-1">
+          * Diff truncated to 500 lines
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default function ContentDiffModal({ monitorId, fromId, toId, onClose }) {
+  const [diff, setDiff] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    checksAPI
+      .getDiff(monitorId, fromId, toId)
+      .then((response) => setDiff(response.diff))
+      .catch((err) => setError(err.response?.data?.message || err.message));
+  }, [monitorId, fromId, toId]);
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto" onClick={onClose}>
+      <div className="flex items-center justify-center min-h-screen px-4 pt-4 pb-20 text-center sm:block sm:p-0">
+        {/* Background overlay */}
+        <div className="fixed inset-0 transition-opacity bg-gray-500 bg-opacity-75"></div>
+
+        {/* Modal panel */}
+        <div
+          className="inline-block align-bottom bg-white rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-4xl sm:w-full"
+          onClick={(e) => e.stopPropagation()}
+        >
+          {/* Header */}
+          <div className="bg-white px-6 py-4 border-b border-gray-200">
+            <h3 className="text-lg font-semibold text-gray-900">
+              Compare Checks
+            </h3>
+            {diff && (
+              <p className="mt-1 text-sm text-gray-500">
+                #{diff.from.id} ({formatDate(diff.from.checkedAt)}) → #
+                {diff.to.id} ({formatDate(diff.to.checkedAt)})
+              </p>
+            )}
+          </div>
+
+          {/* Body */}
+          <div className="bg-white px-6 py-4 max-h-[70vh] overflow-y-auto">
+            {error ? (
+              <div className="bg-red-50 border border-red-200 rounded-md p-3">
+                <p className="text-sm text-red-800">{error}</p>
+              </div>
+            ) : !diff ? (
+              <p className="text-sm text-gray-500">Loading diff...</p>
+            ) : diff.changed ? (
+              <ContentDiff diff={diff} />
+            ) : (
+              <p className="text-sm text-gray-500">
+                The content of both checks is identical
+              </p>
+            )}
+          </div>
+
+          {/* Footer */}
+          <div className="bg-gray-50 px-6 py-4 border-t border-gray-200 flex justify-end">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 text-sm font-medium text-white bg-primary-600 rounded-md hover:bg-primary-700"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,11 +1,29 @@
 import { useState } from 'react';
 import { formatDate } from '../lib/utils';
 import CheckDetailModal from './CheckDetailModal';
+import ContentDiffModal from './ContentDiffModal';
 import StatusBadge from './StatusBadge';
 
 export default function HistoryTable({ checks }) {
   const [selectedCheck, setSelectedCheck] = useState(null);
   const [statusFilter, setStatusFilter] = useState('all'); // all, success, failure
+  const [compareIds, setCompareIds] = useState([]);
+  const [isComparing, setIsComparing] = useState(false);
+
+  // Only checks with content recorded by change detection can be compared
+  const canCompare = checks.some(check => check.contentHash);
+  // Checks run by probe agents are tagged with the agent's location
+  const hasLocations = checks.some(check => check.location);
+  const columnCount = 6 + (canCompare ? 1 : 0) + (hasLocations ? 1 : 0);
+
+  // Keep at most two selected checks, dropping the oldest selection
+  const toggleCompare = (checkId) => {
+    setCompareIds(prev =>
+      prev.includes(checkId)
+        ? prev.filter(id => id !== checkId)
+        : [...prev, checkId].slice(-2)
+    );
+  };
 
   // Filter checks based on status
   const filteredChecks = checks.filter(check => {
@@ -63,6 +81,15 @@ export default function HistoryTable({ checks }) {
               Failure ({checks.filter(c => c.status === 'failure').length})
             </button>
           </div>
+          {canCompare && (
+            <button
+              onClick={() => setIsComparing(true)}
+              disabled={compareIds.length !== 2}
+              className="ml-auto px-3 py-1.5 text-xs font-medium rounded-md bg-primary-600 text-white hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Compare Selected ({compareIds.length}/2)
+            </button>
+          )}
         </div>
       </div>
 
@@ -70,9 +97,19 @@ export default function HistoryTable({ checks }) {
         <table className="min-w-full divide-y divide-gray-200">
           <thead className="bg-gray-50">
             <tr>
+              {canCompare && (
+                <th className="pl-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Diff
+                </th>
+              )}
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                 Time
               </th>
+              {hasLocations && (
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Location
+                </th>
+              )}
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                 Status
               </th>
@@ -93,18 +130,45 @@ export default function HistoryTable({ checks }) {
           <tbody className="bg-white divide-y divide-gray-200">
             {filteredChecks.length === 0 ? (
               <tr>
-                <td colSpan="6" className="px-6 py-12 text-center text-gray-500">
+                <td colSpan={columnCount} className="px-6 py-12 text-center text-gray-500">
                   No checks match the selected filter
                 </td>
               </tr>
             ) : (
               filteredChecks.map((check) => (
               <tr key={check.id} className="hover:bg-gray-50">
+                {canCompare && (
+                  <td className="pl-6 py-4 whitespace-nowrap">
+                    {check.contentHash && (
+                      <input
+                        type="checkbox"
+                        checked={compareIds.includes(check.id)}
+                        onChange={() => toggleCompare(check.id)}
+                        className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                      />
+                    )}
+                  </td>
+                )}
                 <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                   {formatDate(check.checkedAt)}
                 </td>
+                {hasLocations && (
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    {check.location || 'Server'}
+                  </td>
+                )}
                 <td className="px-6 py-4 whitespace-nowrap">
                   <StatusBadge status={check.status} size="md" />
+                  {check.responseMetadata?.contentChange && (
+                    <span className="ml-2 text-xs font-medium text-blue-600">
+                      Changed
+                    </span>
+                  )}
+                  {check.isRetry && (
+                    <span className="ml-2 text-xs font-medium text-gray-500">
+                      Retry
+                    </span>
+                  )}
                 </td>
                 <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                   {check.httpStatus || 'N/A'}
@@ -142,6 +206,16 @@ export default function HistoryTable({ checks }) {
           onClose={() => setSelectedCheck(null)}
         />
       )}
+
+      {/* Content Diff Modal */}
+      {isComparing && (
+        <ContentDiffModal
+          monitorId={checks[0].monitorId}
+          fromId={Math.min(...compareIds)}
+          toId={Math.max(...compareIds)}
+          onClose={() => setIsComparing(false)}
+        />
+      )}
     </>
   );
 }
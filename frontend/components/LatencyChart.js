@@ -1,7 +1,11 @@
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { useState } from 'react';
+import { LineChart, Line, AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
 import { format } from 'date-fns';
+import { TIMING_PHASES } from '../lib/utils';
 
 export default function LatencyChart({ data }) {
+  const [view, setView] = useState('total'); // total, phases
+
   if (!data || data.length === 0) {
     return (
       <div className="text-center py-12 text-gray-500">
@@ -14,34 +18,92 @@ export default function LatencyChart({ data }) {
   const chartData = data.map(item => ({
     time: format(new Date(item.timestamp), 'HH:mm'),
     latency: item.latency,
-    status: item.status
+    status: item.status,
+    ...Object.fromEntries(
+      TIMING_PHASES.map(phase => [phase.key, item.timings?.[phase.key] ?? 0])
+    )
   }));
 
+  // Only HTTP and transaction checks record phases
+  const hasTimings = data.some(item => item.timings);
+  const showPhases = hasTimings && view === 'phases';
+
   return (
-    <ResponsiveContainer width="100%" height={300}>
-      <LineChart data={chartData}>
-        <CartesianGrid strokeDasharray="3 3" />
-        <XAxis 
-          dataKey="time" 
-          tick={{ fontSize: 12 }}
-        />
-        <YAxis 
-          label={{ value: 'Latency (ms)', angle: -90, position: 'insideLeft' }}
-          tick={{ fontSize: 12 }}
-        />
-        <Tooltip 
-          contentStyle={{ backgroundColor: 'white', border: '1px solid #ccc' }}
-          labelStyle={{ fontWeight: 'bold' }}
-        />
-        <Line 
-          type="monotone" 
-          dataKey="latency" 
-          stroke="#0ea5e9" 
-          strokeWidth={2}
-          dot={{ fill: '#0ea5e9', r: 3 }}
-          activeDot={{ r: 5 }}
-        />
-      </LineChart>
-    </ResponsiveContainer>
+    <div>
+      {hasTimings && (
+        <div className="flex justify-end gap-2 mb-2">
+          {[['total', 'Total'], ['phases', 'Phases']].map(([value, label]) => (
+            <button
+              key={value}
+              onClick={() => setView(value)}
+              className={`px-3 py-1 text-xs font-medium rounded-md ${
+                view === value
+                  ? 'bg-primary-600 text-white'
+                  : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <ResponsiveContainer width="100%" height={300}>
+        {showPhases ? (
+          <AreaChart data={chartData}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis
+              dataKey="time"
+              tick={{ fontSize: 12 }}
+            />
+            <YAxis
+              label={{ value: 'Latency (ms)', angle: -90, position: 'insideLeft' }}
+              tick={{ fontSize: 12 }}
+            />
+            <Tooltip
+              contentStyle={{ backgroundColor: 'white', border: '1px solid #ccc' }}
+              labelStyle={{ fontWeight: 'bold' }}
+            />
+            <Legend wrapperStyle={{ fontSize: 12 }} />
+            {TIMING_PHASES.map(phase => (
+              <Area
+                key={phase.key}
+                type="monotone"
+                dataKey={phase.key}
+                name={phase.label}
+                stackId="phases"
+                stroke={phase.color}
+                fill={phase.color}
+                fillOpacity={0.6}
+              />
+            ))}
+          </AreaChart>
+        ) : (
+          <LineChart data={chartData}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis
+              dataKey="time"
+              tick={{ fontSize: 12 }}
+            />
+            <YAxis
+              label={{ value: 'Latency (ms)', angle: -90, position: 'insideLeft' }}
+              tick={{ fontSize: 12 }}
+            />
+            <Tooltip
+              contentStyle={{ backgroundColor: 'white', border: '1px solid #ccc' }}
+              labelStyle={{ fontWeight: 'bold' }}
+            />
+            <Line
+              type="monotone"
+              dataKey="latency"
+              stroke="#0ea5e9"
+              strokeWidth={2}
+              dot={{ fill: '#0ea5e9', r: 3 }}
+              activeDot={{ r: 5 }}
+            />
+          </LineChart>
+        )}
+      </ResponsiveContainer>
+    </div>
   );
 }
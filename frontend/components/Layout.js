@@ -5,6 +5,7 @@ import {
   FiHome,
   FiActivity,
   FiFileText,
+  FiServer,
   FiSettings,
   FiLogOut,
 } from "react-icons/fi";
@@ -20,6 +21,7 @@ export default function Layout({ children }) {
   const navItems = [
     { name: "Dashboard", href: "/dashboard", icon: FiHome },
     { name: "Monitors", href: "/monitors", icon: FiActivity },
+    { name: "Agents", href: "/agents", icon: FiServer },
     { name: "Logs", href: "/logs", icon: FiFileText },
     { name: "Settings", href: "/settings", icon: FiSettings },
   ];
@@ -1,6 +1,6 @@
 import { useState } from "react";
 import Link from "next/link";
-import { formatRelativeTime, truncate } from "../lib/utils";
+import { formatInterval, formatRelativeTime, truncate } from "../lib/utils";
 import { monitorsAPI } from "../lib/api";
 import { StatusIndicator } from "./StatusBadge";
 import { useDashboard } from "../contexts/DashboardContext";
@@ -82,11 +82,39 @@ export default function MonitorCard({ monitor, onCheckComplete }) {
           <div>
             <p className="text-xs text-gray-500">Interval</p>
             <p className="text-lg font-semibold text-gray-900">
-              {monitor.checkInterval}m
+              {monitor.schedule ? (
+                <span
+                  title={`${monitor.schedule} (${monitor.scheduleTimezone})`}
+                >
+                  Cron
+                </span>
+              ) : (
+                formatInterval(monitor.checkIntervalSeconds)
+              )}
             </p>
           </div>
         </div>
 
+        {/* Locations */}
+        {monitor.locations?.length > 0 && (
+          <div className="flex flex-wrap gap-2 mb-4">
+            {monitor.locations.map((location) => (
+              <span
+                key={location.agentId}
+                className={`inline-flex items-center px-2 py-1 text-xs rounded border border-gray-200 ${
+                  location.enabled ? "text-gray-700" : "text-gray-400"
+                }`}
+                title={`${location.agentName}${
+                  location.online ? "" : " (offline)"
+                } - last check ${formatRelativeTime(location.lastCheckTime)}`}
+              >
+                <StatusIndicator status={location.status} size="sm" />
+                <span className="ml-1">{location.location}</span>
+              </span>
+            ))}
+          </div>
+        )}
+
         {/* Last Check */}
         <div className="text-sm text-gray-600 mb-4">
           Last check: {formatRelativeTime(monitor.lastCheckTime)}
@@ -17,6 +17,14 @@ export default function StatusBadge({ status, showText = true, size = 'md' }) {
           borderColor: 'border-green-200',
           label: 'Up'
         };
+      case 'degraded':
+        return {
+          dotColor: 'bg-orange-500',
+          bgColor: 'bg-orange-100',
+          textColor: 'text-orange-800',
+          borderColor: 'border-orange-200',
+          label: 'Degraded'
+        };
       case 'down':
       case 'failure':
         return {
@@ -107,6 +115,12 @@ export function StatusIndicator({ status, showLabel = false, size = 'md' }) {
           label: 'Up',
           textColor: 'text-green-700'
         };
+      case 'degraded':
+        return {
+          color: 'bg-orange-500',
+          label: 'Degraded',
+          textColor: 'text-orange-700'
+        };
       case 'down':
       case 'failure':
         return {
@@ -0,0 +1,284 @@
+import { useState, useEffect } from "react";
+import Link from "next/link";
+import { variablesAPI } from "../lib/api";
+import { FiEdit2, FiTrash2 } from "react-icons/fi";
+
+const EMPTY_FORM = { name: "", isSecret: true, value: "", description: "" };
+
+/**
+ * Secrets and variables that monitors reference as {{secrets.NAME}} and
+ * {{vars.NAME}}, with the monitors that use each one
+ */
+export default function VariablesPanel() {
+  const [variables, setVariables] = useState(null);
+  const [error, setError] = useState("");
+  const [form, setForm] = useState(EMPTY_FORM);
+  // ID of the entry being edited, null when creating one
+  const [editingId, setEditingId] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadVariables = async () => {
+    try {
+      const response = await variablesAPI.getAll();
+      setVariables(response.variables);
+    } catch (error) {
+      console.error("Failed to load variables:", error);
+      setError("Failed to load secrets and variables");
+    }
+  };
+
+  useEffect(() => {
+    loadVariables();
+  }, []);
+
+  const handleChange = (field, value) => {
+    setForm((current) => ({ ...current, [field]: value }));
+  };
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+  };
+
+  const handleEdit = (variable) => {
+    setEditingId(variable.id);
+    setForm({
+      name: variable.name,
+      isSecret: variable.isSecret,
+      // Secret values are never sent back; an empty value keeps the stored one
+      value: variable.isSecret ? "" : variable.value,
+      description: variable.description || "",
+    });
+    setError("");
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError("");
+
+    try {
+      if (editingId) {
+        await variablesAPI.update(editingId, {
+          name: form.name,
+          description: form.description,
+          ...(form.value !== "" && { value: form.value }),
+        });
+      } else {
+        await variablesAPI.create(form);
+      }
+      resetForm();
+      await loadVariables();
+    } catch (error) {
+      setError(
+        error.response?.data?.message || "Failed to save the secret or variable"
+      );
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (variable) => {
+    const usage =
+      variable.monitors.length > 0
+        ? ` It is used by ${variable.monitors
+            .map((monitor) => monitor.name)
+            .join(", ")}, which will fail until it is defined again.`
+        : "";
+    if (!confirm(`Delete ${variable.reference}?${usage}`)) {
+      return;
+    }
+
+    try {
+      await variablesAPI.delete(variable.id);
+      setVariables((current) =>
+        current.filter((item) => item.id !== variable.id)
+      );
+      if (editingId === variable.id) {
+        resetForm();
+      }
+    } catch (error) {
+      setError(
+        error.response?.data?.message ||
+          "Failed to delete the secret or variable"
+      );
+    }
+  };
+
+  return (
+    <div className="bg-white shadow-sm rounded-lg p-6 border border-gray-200">
+      <h2 className="text-xl font-semibold text-gray-900 mb-1">
+        Secrets &amp; Variables
+      </h2>
+      <p className="text-sm text-gray-500 mb-4">
+        Reference them in a monitor&apos;s URL, headers, body or authentication
+        settings as{" "}
+        <code className="bg-gray-100 px-1 rounded">{"{{secrets.NAME}}"}</code>{" "}
+        or <code className="bg-gray-100 px-1 rounded">{"{{vars.NAME}}"}</code>.
+        Values are filled in when a check runs; secrets are stored encrypted and
+        never shown again.
+      </p>
+
+      {error && <div className="mb-4 text-sm text-red-800">{error}</div>}
+
+      <form
+        onSubmit={handleSubmit}
+        className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6"
+      >
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Name
+          </label>
+          <input
+            type="text"
+            required
+            pattern="[A-Za-z_][A-Za-z0-9_]*"
+            value={form.name}
+            onChange={(e) => handleChange("name", e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono focus:ring-primary-500 focus:border-primary-500"
+            placeholder="API_KEY"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Kind
+          </label>
+          <select
+            value={form.isSecret ? "secret" : "variable"}
+            onChange={(e) =>
+              handleChange("isSecret", e.target.value === "secret")
+            }
+            disabled={editingId !== null}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500 disabled:bg-gray-100"
+          >
+            <option value="secret">Secret (encrypted, write-only)</option>
+            <option value="variable">Variable</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Value
+          </label>
+          <input
+            type={form.isSecret ? "password" : "text"}
+            required={!editingId || !form.isSecret}
+            value={form.value}
+            onChange={(e) => handleChange("value", e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono focus:ring-primary-500 focus:border-primary-500"
+            placeholder={
+              editingId && form.isSecret ? "Leave empty to keep the value" : ""
+            }
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Description
+          </label>
+          <input
+            type="text"
+            value={form.description}
+            onChange={(e) => handleChange("description", e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+          />
+        </div>
+        <div className="md:col-span-2 flex justify-end gap-3">
+          {editingId && (
+            <button
+              type="button"
+              onClick={resetForm}
+              className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+          )}
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="px-4 py-2 text-sm font-medium text-white bg-primary-600 rounded-md hover:bg-primary-700 disabled:opacity-50"
+          >
+            {isSaving ? "Saving..." : editingId ? "Update" : "Add"}
+          </button>
+        </div>
+      </form>
+
+      {!variables ? (
+        <div className="text-sm text-gray-500">Loading...</div>
+      ) : variables.length === 0 ? (
+        <p className="text-sm text-gray-500">No secrets or variables yet.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Reference
+                </th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Value
+                </th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Used By
+                </th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Actions
+                </th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {variables.map((variable) => (
+                <tr key={variable.id}>
+                  <td className="px-4 py-2">
+                    <div className="font-mono text-gray-900">
+                      {variable.reference}
+                    </div>
+                    {variable.description && (
+                      <div className="text-xs text-gray-500">
+                        {variable.description}
+                      </div>
+                    )}
+                  </td>
+                  <td className="px-4 py-2 font-mono text-gray-500 truncate max-w-xs">
+                    {variable.value}
+                  </td>
+                  <td className="px-4 py-2 text-gray-900">
+                    {variable.monitors.length === 0 ? (
+                      <span className="text-gray-500">Not used</span>
+                    ) : (
+                      variable.monitors.map((monitor, index) => (
+                        <span key={monitor.id}>
+                          {index > 0 && ", "}
+                          <Link
+                            href={`/monitors/${monitor.id}/edit`}
+                            className="text-primary-600 hover:underline"
+                          >
+                            {monitor.name}
+                          </Link>
+                        </span>
+                      ))
+                    )}
+                  </td>
+                  <td className="px-4 py-2 whitespace-nowrap space-x-3">
+                    <button
+                      onClick={() => handleEdit(variable)}
+                      className="text-gray-600 hover:text-gray-900"
+                      title="Edit"
+                    >
+                      <FiEdit2 className="inline w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(variable)}
+                      className="text-red-600 hover:text-red-800"
+                      title="Delete"
+                    >
+                      <FiTrash2 className="inline w-4 h-4" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
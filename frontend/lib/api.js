@@ -200,6 +200,13 @@ export const monitorsAPI = {
     const response = await api.post(`/api/monitors/${id}/check`);
     return response.data;
   },
+
+  previewSchedule: async (schedule, timezone) => {
+    const response = await api.get("/api/monitors/schedule/preview", {
+      params: { schedule, timezone },
+    });
+    return response.data;
+  },
 };
 
 // Checks API
@@ -224,6 +231,13 @@ export const checksAPI = {
     });
     return response.data;
   },
+
+  getDiff: async (monitorId, from, to) => {
+    const response = await api.get(`/api/checks/${monitorId}/diff`, {
+      params: { from, to },
+    });
+    return response.data;
+  },
 };
 
 // Settings API
@@ -307,6 +321,70 @@ export const collectionsAPI = {
   },
 };
 
+// Agents API
+export const agentsAPI = {
+  getAll: async () => {
+    const response = await api.get("/api/agents");
+    return response.data;
+  },
+
+  create: async (data) => {
+    const response = await api.post("/api/agents", data);
+    return response.data;
+  },
+
+  update: async (id, data) => {
+    const response = await api.put(`/api/agents/${id}`, data);
+    return response.data;
+  },
+
+  delete: async (id) => {
+    const response = await api.delete(`/api/agents/${id}`);
+    return response.data;
+  },
+
+  regenerateToken: async (id) => {
+    const response = await api.post(`/api/agents/${id}/token`);
+    return response.data;
+  },
+};
+
+// Secrets and Variables API
+export const variablesAPI = {
+  getAll: async () => {
+    const response = await api.get("/api/variables");
+    return response.data;
+  },
+
+  create: async (data) => {
+    const response = await api.post("/api/variables", data);
+    return response.data;
+  },
+
+  update: async (id, data) => {
+    const response = await api.put(`/api/variables/${id}`, data);
+    return response.data;
+  },
+
+  delete: async (id) => {
+    const response = await api.delete(`/api/variables/${id}`);
+    return response.data;
+  },
+};
+
+// Check Queue API (admin only)
+export const queueAPI = {
+  getStatus: async () => {
+    const response = await api.get("/api/queue");
+    return response.data;
+  },
+
+  updateConcurrency: async (concurrency) => {
+    const response = await api.put("/api/queue/concurrency", { concurrency });
+    return response.data;
+  },
+};
+
 // Logs API
 export const logsAPI = {
   getAll: async (limit = 100, offset = 0) => {
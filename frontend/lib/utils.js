@@ -30,6 +30,8 @@ export function getStatusColor(status) {
     case 'up':
     case 'success':
       return 'text-green-600 bg-green-50';
+    case 'degraded':
+      return 'text-orange-600 bg-orange-50';
     case 'down':
     case 'failure':
       return 'text-red-600 bg-red-50';
@@ -46,6 +48,8 @@ export function getStatusBadgeColor(status) {
     case 'up':
     case 'success':
       return 'bg-green-500';
+    case 'degraded':
+      return 'bg-orange-500';
     case 'down':
     case 'failure':
       return 'bg-red-500';
@@ -61,3 +65,24 @@ export function truncate(str, length = 50) {
   if (!str) return '';
   return str.length > length ? str.substring(0, length) + '...' : str;
 }
+
+/**
+ * Format a check interval in seconds, e.g. 30s, 5m, 2h
+ */
+export function formatInterval(seconds) {
+  if (!seconds) return 'N/A';
+  if (seconds % 3600 === 0) return `${seconds / 3600}h`;
+  if (seconds % 60 === 0) return `${seconds / 60}m`;
+  return `${seconds}s`;
+}
+
+/**
+ * Request phases recorded in check timings, in request order
+ */
+export const TIMING_PHASES = [
+  { key: 'dns', label: 'DNS', color: '#a855f7' },
+  { key: 'connect', label: 'Connect', color: '#f59e0b' },
+  { key: 'tls', label: 'TLS', color: '#10b981' },
+  { key: 'ttfb', label: 'TTFB', color: '#0ea5e9' },
+  { key: 'download', label: 'Download', color: '#6366f1' }
+];
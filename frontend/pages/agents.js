@@ -0,0 +1,302 @@
+import { useState, useEffect } from "react";
+import Layout from "../components/Layout";
+import Loading from "../components/Loading";
+import { agentsAPI } from "../lib/api";
+import { formatRelativeTime } from "../lib/utils";
+import { useAuth } from "../contexts/AuthContext";
+import { FiPlus, FiRefreshCw, FiTrash2 } from "react-icons/fi";
+
+export default function Agents() {
+  const { loading: authLoading, isAuthenticated } = useAuth();
+  const [agents, setAgents] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [name, setName] = useState("");
+  const [location, setLocation] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+  const [message, setMessage] = useState({ type: "", text: "" });
+  // Tokens are only returned once, when an agent is created or its token regenerated
+  const [newToken, setNewToken] = useState(null);
+
+  useEffect(() => {
+    if (!authLoading && isAuthenticated) {
+      loadAgents();
+    }
+  }, [authLoading, isAuthenticated]);
+
+  const loadAgents = async () => {
+    try {
+      const response = await agentsAPI.getAll();
+      if (response.success) {
+        setAgents(response.agents);
+      }
+    } catch (error) {
+      console.error("Failed to load agents:", error);
+      setMessage({ type: "error", text: "Failed to load agents" });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setMessage({ type: "", text: "" });
+
+    try {
+      const response = await agentsAPI.create({ name, location });
+      setAgents((current) => [...current, response.agent]);
+      setNewToken({ agentName: response.agent.name, token: response.token });
+      setName("");
+      setLocation("");
+    } catch (error) {
+      setMessage({
+        type: "error",
+        text: error.response?.data?.message || "Failed to create agent",
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const replaceAgent = (agent) => {
+    setAgents((current) =>
+      current.map((item) => (item.id === agent.id ? agent : item))
+    );
+  };
+
+  const handleToggle = async (agent) => {
+    try {
+      const response = await agentsAPI.update(agent.id, {
+        enabled: !agent.enabled,
+      });
+      replaceAgent(response.agent);
+    } catch (error) {
+      setMessage({
+        type: "error",
+        text: error.response?.data?.message || "Failed to update agent",
+      });
+    }
+  };
+
+  const handleRegenerateToken = async (agent) => {
+    if (
+      !confirm(
+        `Regenerate the token of "${agent.name}"? The agent stops working until it is restarted with the new token.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      const response = await agentsAPI.regenerateToken(agent.id);
+      replaceAgent(response.agent);
+      setNewToken({ agentName: agent.name, token: response.token });
+    } catch (error) {
+      setMessage({
+        type: "error",
+        text: error.response?.data?.message || "Failed to regenerate token",
+      });
+    }
+  };
+
+  const handleDelete = async (agent) => {
+    if (
+      !confirm(
+        `Delete agent "${agent.name}"? Monitors that only run on this agent are checked by the server again.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      await agentsAPI.delete(agent.id);
+      setAgents((current) => current.filter((item) => item.id !== agent.id));
+    } catch (error) {
+      setMessage({
+        type: "error",
+        text: error.response?.data?.message || "Failed to delete agent",
+      });
+    }
+  };
+
+  if (authLoading || isLoading) {
+    return <Loading message="Loading agents..." fullScreen />;
+  }
+
+  return (
+    <Layout>
+      <div className="min-h-screen space-y-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Probe Agents</h1>
+          <p className="mt-1 text-sm text-gray-500">
+            Run checks from other networks and regions. Start an agent with{" "}
+            <code className="bg-gray-100 px-1 rounded">
+              SERVER_URL=... AGENT_TOKEN=... npm run agent
+            </code>{" "}
+            in the backend directory, then assign it to monitors.
+          </p>
+        </div>
+
+        {message.text && (
+          <div className="rounded-md p-4 bg-red-50 border border-red-200">
+            <div className="text-sm text-red-800">{message.text}</div>
+          </div>
+        )}
+
+        {newToken && (
+          <div className="rounded-md p-4 bg-green-50 border border-green-200 space-y-2">
+            <div className="text-sm text-green-800">
+              Token for <strong>{newToken.agentName}</strong>. Copy it now, it
+              will not be shown again.
+            </div>
+            <input
+              type="text"
+              readOnly
+              value={newToken.token}
+              onFocus={(e) => e.target.select()}
+              className="w-full px-3 py-2 border border-green-300 rounded-md font-mono text-sm bg-white"
+            />
+            <button
+              type="button"
+              onClick={() => setNewToken(null)}
+              className="text-sm text-green-800 hover:underline"
+            >
+              Dismiss
+            </button>
+          </div>
+        )}
+
+        {/* New Agent */}
+        <form
+          onSubmit={handleCreate}
+          className="bg-white shadow-sm rounded-lg p-6 border border-gray-200 flex flex-wrap items-end gap-4"
+        >
+          <div className="flex-1 min-w-[12rem]">
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Name
+            </label>
+            <input
+              type="text"
+              required
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+              placeholder="Frankfurt probe"
+            />
+          </div>
+          <div className="flex-1 min-w-[12rem]">
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Location
+            </label>
+            <input
+              type="text"
+              required
+              value={location}
+              onChange={(e) => setLocation(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+              placeholder="eu-west"
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="inline-flex items-center px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 disabled:opacity-50"
+          >
+            <FiPlus className="w-4 h-4 mr-2" />
+            {isSaving ? "Creating..." : "Create Agent"}
+          </button>
+        </form>
+
+        {/* Agents Table */}
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Name
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Location
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Status
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Last Seen
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {agents.length === 0 ? (
+                  <tr>
+                    <td
+                      colSpan="5"
+                      className="px-6 py-8 text-center text-sm text-gray-500"
+                    >
+                      No agents yet. Monitors are checked by the server.
+                    </td>
+                  </tr>
+                ) : (
+                  agents.map((agent) => (
+                    <tr key={agent.id}>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                        {agent.name}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {agent.location}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm">
+                        {!agent.enabled ? (
+                          <span className="text-gray-500">Disabled</span>
+                        ) : agent.online ? (
+                          <span className="inline-flex items-center text-green-700">
+                            <span className="w-2 h-2 mr-2 rounded-full bg-green-500" />
+                            Online
+                          </span>
+                        ) : (
+                          <span className="inline-flex items-center text-red-700">
+                            <span className="w-2 h-2 mr-2 rounded-full bg-red-500" />
+                            Offline
+                          </span>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {formatRelativeTime(agent.lastSeenAt)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm space-x-3">
+                        <button
+                          onClick={() => handleToggle(agent)}
+                          className="text-primary-600 hover:text-primary-800"
+                        >
+                          {agent.enabled ? "Disable" : "Enable"}
+                        </button>
+                        <button
+                          onClick={() => handleRegenerateToken(agent)}
+                          className="text-gray-600 hover:text-gray-900"
+                          title="Regenerate token"
+                        >
+                          <FiRefreshCw className="inline w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => handleDelete(agent)}
+                          className="text-red-600 hover:text-red-800"
+                          title="Delete agent"
+                        >
+                          <FiTrash2 className="inline w-4 h-4" />
+                        </button>
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+}
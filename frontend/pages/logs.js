@@ -330,6 +330,11 @@ export default function LogHistory() {
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap">
                         <StatusBadge status={log.status} size="md" />
+                        {log.isRetry && (
+                          <span className="ml-2 text-xs font-medium text-gray-500">
+                            Retry
+                          </span>
+                        )}
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                         {log.httpStatus || "N/A"}
@@ -468,6 +473,11 @@ export default function LogHistory() {
                   <div>
                     <label className="block text-sm font-medium text-gray-700">
                       Error Message
+                      {selectedLog.errorCode && (
+                        <span className="ml-2 px-2 py-0.5 text-xs font-mono rounded bg-red-100 text-red-800">
+                          {selectedLog.errorCode}
+                        </span>
+                      )}
                     </label>
                     <p className="mt-1 text-sm text-red-600 bg-red-50 p-3 rounded">
                       {selectedLog.errorMessage}
@@ -62,6 +62,7 @@ export default function MonitorsList() {
   const filteredMonitors = monitors.filter((monitor) => {
     if (statusFilter === "all") return true;
     if (statusFilter === "up") return monitor.status === "up";
+    if (statusFilter === "degraded") return monitor.status === "degraded";
     if (statusFilter === "down") return monitor.status === "down";
     if (statusFilter === "pending") return monitor.status === "pending";
     return true;
@@ -210,6 +211,18 @@ export default function MonitorsList() {
               <span className="w-2 h-2 rounded-full bg-green-500 mr-1.5"></span>
               Up ({monitors.filter((m) => m.status === "up").length})
             </button>
+            <button
+              onClick={() => setStatusFilter("degraded")}
+              className={`inline-flex items-center px-3 py-1.5 text-xs font-medium rounded-md transition-colors ${
+                statusFilter === "degraded"
+                  ? "bg-orange-600 text-white"
+                  : "bg-orange-50 text-orange-700 hover:bg-orange-100"
+              }`}
+            >
+              <span className="w-2 h-2 rounded-full bg-orange-500 mr-1.5"></span>
+              Degraded ({monitors.filter((m) => m.status === "degraded").length}
+              )
+            </button>
             <button
               onClick={() => setStatusFilter("down")}
               className={`inline-flex items-center px-3 py-1.5 text-xs font-medium rounded-md transition-colors ${
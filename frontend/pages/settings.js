@@ -1,11 +1,13 @@
 import { useState, useEffect } from "react";
 import Layout from "../components/Layout";
 import Loading from "../components/Loading";
+import CheckQueuePanel from "../components/CheckQueuePanel";
+import VariablesPanel from "../components/VariablesPanel";
 import { settingsAPI } from "../lib/api";
 import { useAuth } from "../contexts/AuthContext";
 
 export default function Settings() {
-  const { loading: authLoading, isAuthenticated } = useAuth();
+  const { loading: authLoading, isAuthenticated, user } = useAuth();
   const [defaultAlertEmail, setDefaultAlertEmail] = useState("");
   const [sendRecoveryAlerts, setSendRecoveryAlerts] = useState(true);
   const [isLoading, setIsLoading] = useState(false);
@@ -166,6 +168,10 @@ export default function Settings() {
             </button>
           </div>
         </form>
+
+        <VariablesPanel />
+
+        {user?.role === "admin" && <CheckQueuePanel />}
       </div>
     </Layout>
   );